@@ -1,604 +1,347 @@
 #!/usr/bin/env node
 /**
  * CLI Scanner for GitHub Actions Integration  
- * Comprehensive accessibility checker for all file types
- * Supports: .js, .jsx, .ts, .tsx, .html, .htm, .css, .scss
+ * Runs the same rule registry as the MCP server via the hybrid analyzer
+ * Supports: .js, .jsx, .ts, .tsx, .html, .htm, .vue, .svelte, .astro, .css, .scss
  */
 
 import fs from 'fs';
 import path from 'path';
+import { loadConfig, isIgnored, evaluateThresholds } from './src/core/config.js';
+import { collectFiles } from './src/core/file-walker.js';
+import { createSarifLog } from './src/core/sarif-reporter.js';
+import { loadBaseline, writeBaseline, findMissingFileEntries } from './src/core/baseline.js';
+import { createWorkerPool, analyzeFileTask } from './src/core/worker-pool.js';
+import { createFileResult, formatFileText, formatFileJson, formatStaleEntries } from './src/core/report-formatter.js';
+import { getCacheStats, clearCache } from './src/core/result-cache.js';
 
 /**
- * Comprehensive accessibility analyzer
+ * Scan a file and return results
+ * @param {string} filePath - File to scan
+ * @param {Object} config - Result of loadConfig()
+ * @param {Object|null} [baseline] - Result of loadBaseline(); matching violations are left out
+ * @param {Object} [options]
+ * @param {boolean} [options.fix] - Apply automatic fixes and write the file before reporting
+ * @param {boolean} [options.cache] - Use .a11y/cache (default: config.cache, when a config file was found)
+ * @param {Object} [options.pool] - createWorkerPool() result; without one the file is analyzed in this thread
  */
-function analyzeFile(content, filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  const violations = [];
-  let line = 1;
-  let match;
-  
-  // === JSX/TSX/JS/HTML CHECKS ===
-  if (['.jsx', '.tsx', '.js', '.html', '.htm'].includes(ext)) {
-    
-    // 1. Missing alt attributes on images
-    const imgRegex = /<img[^>]*>/gi;
-    while ((match = imgRegex.exec(content)) !== null) {
-      if (!match[0].includes('alt=')) {
-        line = content.substring(0, match.index).split('\n').length;
-        violations.push({
-          id: 'img-missing-alt',
-          severity: 'error',
-          wcagCriteria: ['1.1.1'],
-          title: 'Image missing alt attribute',
-          description: 'All images must have an alt attribute for screen readers',
-          help: 'Add alt attribute with meaningful description',
-          line,
-          column: 1,
-          code: match[0],
-          fixSuggestions: ['Add alt="description" to the image tag'],
-          tags: ['wcag-a', 'images']
-        });
-      }
-    }
+async function scanFile(filePath, config, baseline = null, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
 
-    // 2. Div used as button
-    const divButtonRegex = /<div[^>]*(onclick|onClick)[^>]*>/gi;
-    while ((match = divButtonRegex.exec(content)) !== null) {
-      line = content.substring(0, match.index).split('\n').length;
-      violations.push({
-        id: 'div-button',
-        severity: 'error',
-        wcagCriteria: ['1.3.1', '4.1.2'],
-        title: 'Interactive div should be a button',
-        description: 'Div with click handler should be a semantic button element',
-        help: 'Replace with <button> or add proper ARIA role and keyboard support',
-        line,
-        column: 1,
-        code: match[0],
-        fixSuggestions: [
-          'Replace <div onClick> with <button>',
-          'Add role="button" tabIndex="0" and keyboard handlers if div is required'
-        ],
-        tags: ['wcag-a', 'semantic-html', 'keyboard']
-      });
-    }
+  // Absolute, so baseline entries (stored relative to the project root) match from any directory
+  const task = { filePath: path.resolve(filePath), config, baseline: baseline || false, fix: options.fix, cache: options.cache };
+  const analysis = options.pool ? await options.pool.analyze(task) : await analyzeFileTask(task);
+  return createFileResult(filePath, analysis);
+}
 
-    // 3. Buttons with no accessible name
-    const buttonRegex = /<button[^>]*>([\s\S]*?)<\/button>/gi;
-    while ((match = buttonRegex.exec(content)) !== null) {
-      const buttonContent = match[1].replace(/<!--.*?-->/gs, '').replace(/<[^>]+>/g, '').trim();
-      const hasAriaLabel = match[0].includes('aria-label');
-      
-      if (!buttonContent && !hasAriaLabel) {
-        line = content.substring(0, match.index).split('\n').length;
-        violations.push({
-          id: 'button-missing-accessible-name',
-          severity: 'error',
-          wcagCriteria: ['4.1.2'],
-          title: 'Button has no accessible name',
-          description: 'Button must have text content or aria-label',
-          help: 'Add visible text or aria-label attribute',
-          line,
-          column: 1,
-          code: match[0],
-          fixSuggestions: [
-            'Add text inside the button',
-            'Add aria-label="description" attribute'
-          ],
-          tags: ['wcag-a', 'buttons']
-        });
-      }
-    }
+/**
+ * Format and print human-readable results
+ */
+function printResults(result) {
+  console.log(formatFileText(result));
+}
 
-    // 4. Form inputs missing labels
-    const inputRegex = /<input[^>]*>/gi;
-    while ((match = inputRegex.exec(content)) !== null) {
-      const hasId = /id=["']([^"']+)["']/.exec(match[0]);
-      const hasAriaLabel = match[0].includes('aria-label');
-      const hasAriaLabelledBy = match[0].includes('aria-labelledby');
-      const inputType = /type=["']([^"']+)["']/.exec(match[0]);
-      const type = inputType ? inputType[1] : 'text';
-      
-      // Skip hidden and submit/button inputs
-      if (type === 'hidden' || type === 'submit' || type === 'button') continue;
-      
-      if (hasId && !hasAriaLabel && !hasAriaLabelledBy) {
-        const inputId = hasId[1];
-        const labelRegex = new RegExp(`<label[^>]*for=["']${inputId}["'][^>]*>`, 'i');
-        
-        if (!labelRegex.test(content)) {
-          line = content.substring(0, match.index).split('\n').length;
-          violations.push({
-            id: 'input-missing-label',
-            severity: 'error',
-            wcagCriteria: ['1.3.1', '3.3.2'],
-            title: 'Form input missing label',
-            description: 'All form inputs must have an associated label',
-            help: 'Add a <label> element or aria-label attribute',
-            line,
-            column: 1,
-            code: match[0],
-            fixSuggestions: [
-              `Add <label for="${inputId}">Label text</label>`,
-              'Add aria-label="description" to the input'
-            ],
-            tags: ['wcag-a', 'forms']
-          });
-        }
-      } else if (!hasId && !hasAriaLabel && !hasAriaLabelledBy) {
-        line = content.substring(0, match.index).split('\n').length;
-        violations.push({
-          id: 'input-no-id-or-label',
-          severity: 'error',
-          wcagCriteria: ['1.3.1', '3.3.2'],
-          title: 'Form input has no label or id',
-          description: 'Input needs an id with matching label or aria-label',
-          help: 'Add id and <label for> or aria-label',
-          line,
-          column: 1,
-          code: match[0],
-          fixSuggestions: [
-            'Add id="inputId" and <label for="inputId">Label</label>',
-            'Add aria-label="description"'
-          ],
-          tags: ['wcag-a', 'forms']
-        });
-      }
-    }
+/**
+ * Format results as SARIF 2.1.0 for GitHub code scanning
+ * @param {Array} results - scanFile() results
+ * @param {Object} config - Result of loadConfig(); file URIs are relative to its rootDir
+ */
+function formatAsSarif(results, config) {
+  const { version } = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+  return JSON.stringify(createSarifLog(
+    results.map(result => ({ filePath: path.resolve(result.filePath), violations: result.violations, suppressed: result.suppressed })),
+    { rootDir: config.rootDir, toolVersion: version }
+  ), null, 2);
+}
 
-    // 5. Links with non-descriptive text
-    const linkRegex = /<a[^>]*>(.*?)<\/a>/gi;
-    while ((match = linkRegex.exec(content)) !== null) {
-      const linkText = match[1].replace(/<[^>]+>/g, '').trim().toLowerCase();
-      const badTexts = ['click here', 'here', 'read more', 'more', 'link'];
-      
-      if (badTexts.includes(linkText)) {
-        line = content.substring(0, match.index).split('\n').length;
-        violations.push({
-          id: 'link-non-descriptive',
-          severity: 'warning',
-          wcagCriteria: ['2.4.4'],
-          title: 'Link text not descriptive',
-          description: `Link text "${linkText}" is not meaningful out of context`,
-          help: 'Use descriptive link text that makes sense when read alone',
-          line,
-          column: 1,
-          code: match[0],
-          fixSuggestions: [
-            'Use descriptive text like "Read the full article" instead of "Read more"',
-            'Add aria-label with descriptive text'
-          ],
-          tags: ['wcag-aa', 'links']
-        });
-      }
-    }
+/**
+ * Print the totals for a multi-file scan
+ */
+function printSummary(report) {
+  console.log('\n📋 Scan Summary:');
+  console.log(`   Files scanned: ${report.summary.filesScanned}`);
+  console.log(`   Files with violations: ${report.summary.filesWithViolations}`);
+  if (report.summary.filesIgnored > 0) {
+    console.log(`   Files ignored: ${report.summary.filesIgnored}`);
   }
-
-  // === HTML-ONLY CHECKS ===
-  if (['.html', '.htm'].includes(ext)) {
-    
-    // 6. Missing page language
-    if (!/<html[^>]*lang=/i.test(content)) {
-      violations.push({
-        id: 'html-missing-lang',
-        severity: 'error',
-        wcagCriteria: ['3.1.1'],
-        title: 'HTML missing lang attribute',
-        description: 'The <html> element must have a lang attribute',
-        help: 'Add lang attribute to specify page language',
-        line: 1,
-        column: 1,
-        code: content.match(/<html[^>]*>/i)?.[0] || '<html>',
-        fixSuggestions: ['Add lang="en" to <html> tag'],
-        tags: ['wcag-a', 'language']
-      });
-    }
-
-    // 7. Missing page title
-    if (!/<title[^>]*>[\s\S]*?<\/title>/i.test(content)) {
-      violations.push({
-        id: 'html-missing-title',
-        severity: 'error',
-        wcagCriteria: ['2.4.2'],
-        title: 'Page missing title',
-        description: 'Every HTML page must have a descriptive <title>',
-        help: 'Add <title> element in <head>',
-        line: 1,
-        column: 1,
-        code: '<head>',
-        fixSuggestions: ['Add <title>Page Title</title> in the <head> section'],
-        tags: ['wcag-a', 'title']
-      });
-    }
-
-    // 8. Iframe missing title
-    const iframeRegex = /<iframe[^>]*>/gi;
-    while ((match = iframeRegex.exec(content)) !== null) {
-      if (!match[0].includes('title=')) {
-        line = content.substring(0, match.index).split('\n').length;
-        violations.push({
-          id: 'iframe-missing-title',
-          severity: 'error',
-          wcagCriteria: ['2.4.1', '4.1.2'],
-          title: 'Iframe missing title',
-          description: 'All iframes must have a title attribute',
-          help: 'Add title attribute describing iframe content',
-          line,
-          column: 1,
-          code: match[0],
-          fixSuggestions: ['Add title="description" to iframe'],
-          tags: ['wcag-a', 'iframe']
-        });
-      }
-    }
+  console.log(`   Errors: ${report.summary.errors}`);
+  console.log(`   Warnings: ${report.summary.warnings}`);
+  if (report.summary.fixed > 0) {
+    console.log(`   Fixed automatically: ${report.summary.fixed}`);
   }
-
-  // === CSS/SCSS CHECKS ===
-  if (['.css', '.scss'].includes(ext)) {
-    
-    // 9. Missing focus styles
-    if (!/:focus[^}]*/g.test(content)) {
-      violations.push({
-        id: 'missing-focus-styles',
-        severity: 'warning',
-        wcagCriteria: ['2.4.7'],
-        title: 'No focus styles defined',
-        description: 'CSS should include :focus styles for keyboard navigation',
-        help: 'Add :focus and :focus-visible styles',
-        line: 1,
-        column: 1,
-        code: '',
-        fixSuggestions: [
-          'Add :focus styles for interactive elements',
-          'Use :focus-visible for better UX'
-        ],
-        tags: ['wcag-aa', 'focus', 'keyboard']
-      });
-    }
-
-    // 10. outline: none or outline: 0 without alternative
-    // Match outline: none/0 with optional !important and semicolon
-    const outlineNoneRegex = /outline\s*:\s*(none|0)(\s*!important)?\s*[;!]/gi;
-    while ((match = outlineNoneRegex.exec(content)) !== null) {
-      line = content.substring(0, match.index).split('\n').length;
-      
-      // Find the CSS rule block this belongs to
-      const ruleStart = content.lastIndexOf('{', match.index);
-      const ruleEnd = content.indexOf('}', match.index);
-      let ruleBlock = '';
-      if (ruleStart !== -1 && ruleEnd !== -1 && ruleEnd > ruleStart) {
-        ruleBlock = content.substring(ruleStart, ruleEnd);
-      } else {
-        // Fallback: check nearby context
-        const contextStart = Math.max(0, match.index - 200);
-        const contextEnd = Math.min(content.length, match.index + 200);
-        ruleBlock = content.substring(contextStart, contextEnd);
-      }
-      
-      // Check if there's an alternative focus indicator in the same rule
-      // Look for box-shadow, border, or other outline values in the same block
-      const hasAlternative = /(box-shadow\s*:|border\s*[:\-]|outline\s*:\s*(2|3|4|5|auto|dotted|dashed|solid|double|groove|ridge|inset|outset|\d+px))/i.test(ruleBlock);
-      
-      // Also check if this is in a :focus rule that has alternatives
-      const isInFocusRule = /:focus[^}]*\{[^}]*outline\s*:\s*(none|0)/i.test(ruleBlock);
-      
-      if (!hasAlternative || isInFocusRule) {
-        violations.push({
-          id: 'outline-none-no-alternative',
-          severity: 'error',
-          wcagCriteria: ['2.4.7'],
-          title: 'Removed focus outline without alternative',
-          description: 'outline: none or outline: 0 removes keyboard focus indicator without providing an alternative',
-          help: 'Provide alternative focus indicator (box-shadow, border, etc.)',
-          line,
-          column: 1,
-          code: match[0],
-          fixSuggestions: [
-            'Add custom focus style: button:focus { box-shadow: 0 0 0 3px rgba(0,0,255,0.3); }',
-            'Or remove outline: none to keep default focus indicator'
-          ],
-          tags: ['wcag-aa', 'focus']
-        });
-      }
-    }
-
-    // 11. Very small font sizes
-    const fontSizeRegex = /font-size\s*:\s*(\d+(?:\.\d+)?)\s*px/gi;
-    while ((match = fontSizeRegex.exec(content)) !== null) {
-      const fontSize = parseFloat(match[1]);
-      if (fontSize < 10) {
-        line = content.substring(0, match.index).split('\n').length;
-        violations.push({
-          id: 'font-size-too-small',
-          severity: 'error',
-          wcagCriteria: ['1.4.4'],
-          title: 'Font size too small for readability',
-          description: `Font size ${fontSize}px is below minimum readable size (12px minimum, 16px recommended)`,
-          help: 'Increase font size to at least 12px, preferably 16px',
-          line,
-          column: 1,
-          code: match[0],
-          fixSuggestions: [
-            `Change font-size to at least 12px: font-size: 12px;`,
-            'For body text, use 16px or larger',
-            'Use relative units (rem, em) for better scalability'
-          ],
-          tags: ['wcag-aa', 'typography']
-        });
-      } else if (fontSize < 12) {
-        line = content.substring(0, match.index).split('\n').length;
-        violations.push({
-          id: 'font-size-small',
-          severity: 'warning',
-          wcagCriteria: ['1.4.4'],
-          title: 'Font size may be too small',
-          description: `Font size ${fontSize}px is below recommended minimum (12px minimum, 16px recommended)`,
-          help: 'Consider increasing font size for better readability',
-          line,
-          column: 1,
-          code: match[0],
-          fixSuggestions: [
-            `Increase to at least 12px: font-size: 12px;`,
-            'For body text, use 16px or larger'
-          ],
-          tags: ['wcag-aa', 'typography']
-        });
-      }
-    }
-
-    // 12. Very small touch targets
-    const sizeRegex = /(width|height|min-width|min-height)\s*:\s*(\d+(?:\.\d+)?)\s*px/gi;
-    while ((match = sizeRegex.exec(content)) !== null) {
-      const size = parseFloat(match[2]);
-      if (size < 44 && (match[1].includes('width') || match[1].includes('height'))) {
-        line = content.substring(0, match.index).split('\n').length;
-        const lines = content.substring(0, match.index).split('\n');
-        const currentLine = lines[lines.length - 1];
-        const selectorMatch = currentLine.match(/([.#]?[\w-]+)\s*\{/);
-        const selector = selectorMatch ? selectorMatch[1] : 'unknown';
-        
-        if (selector.includes('button') || selector.includes('btn') || 
-            selector.includes('link') || selector.includes('a') ||
-            selector.includes('input') || selector.includes('click')) {
-          violations.push({
-            id: 'touch-target-too-small',
-            severity: 'error',
-            wcagCriteria: ['2.5.5'],
-            title: 'Touch target too small',
-            description: `${match[1]} of ${size}px is below WCAG minimum of 44x44px for touch targets`,
-            help: 'Increase touch target size to at least 44x44px',
-            line,
-            column: 1,
-            code: match[0],
-            fixSuggestions: [
-              `Increase ${match[1]} to at least 44px: ${match[1]}: 44px;`,
-              'Add padding to increase effective touch target size',
-              'Ensure both width and height meet 44px minimum'
-            ],
-            tags: ['wcag-aa', 'touch-targets']
-          });
-        }
-      }
-    }
-
-    // 13. display: none on potentially interactive elements
-    const displayNoneRegex = /\.([\w-]+)\s*\{[^}]*display\s*:\s*none/gi;
-    while ((match = displayNoneRegex.exec(content)) !== null) {
-      const className = match[1];
-      if (className.includes('button') || className.includes('btn') || 
-          className.includes('link') || className.includes('menu') ||
-          className.includes('nav') || className.includes('interactive')) {
-        line = content.substring(0, match.index).split('\n').length;
-        violations.push({
-          id: 'display-none-on-interactive',
-          severity: 'warning',
-          wcagCriteria: ['2.1.1', '4.1.2'],
-          title: 'display: none may hide interactive content from screen readers',
-          description: `Using display: none on "${className}" may hide content from assistive technologies`,
-          help: 'Use visually-hidden technique instead of display: none for screen reader content',
-          line,
-          column: 1,
-          code: match[0],
-          fixSuggestions: [
-            'Use .sr-only or visually-hidden class instead',
-            'Example: .visually-hidden { position: absolute; width: 1px; height: 1px; clip: rect(0,0,0,0); overflow: hidden; }'
-          ],
-          tags: ['wcag-a', 'screen-readers']
-        });
-      }
-    }
-
-    // 14. color: transparent
-    const transparentRegex = /color\s*:\s*transparent/gi;
-    while ((match = transparentRegex.exec(content)) !== null) {
-      line = content.substring(0, match.index).split('\n').length;
-      violations.push({
-        id: 'text-transparent',
-        severity: 'error',
-        wcagCriteria: ['1.4.3'],
-        title: 'Text color is transparent',
-        description: 'Transparent text color makes content invisible',
-        help: 'Use visible text color or ensure content is accessible via other means',
-        line,
-        column: 1,
-        code: match[0],
-        fixSuggestions: [
-          'Use a visible color: color: #333;',
-          'If hiding text visually, ensure it\'s available to screen readers'
-        ],
-        tags: ['wcag-aa', 'color']
-      });
-    }
-
-    // 15. pointer-events: none on interactive elements
-    const pointerEventsRegex = /(button|a|input|select|textarea)[^}]*\{[^}]*pointer-events\s*:\s*none/gi;
-    if (pointerEventsRegex.test(content)) {
-      const pointerMatch = content.match(/(button|a|input|select|textarea)[^}]*\{[^}]*pointer-events\s*:\s*none/gi);
-      if (pointerMatch) {
-        const matchIndex = content.indexOf(pointerMatch[0]);
-        line = content.substring(0, matchIndex).split('\n').length;
-        violations.push({
-          id: 'pointer-events-none',
-          severity: 'error',
-          wcagCriteria: ['2.1.1', '2.5.3'],
-          title: 'pointer-events: none disables keyboard interaction',
-          description: 'pointer-events: none on interactive elements prevents keyboard and touch interaction',
-          help: 'Remove pointer-events: none or use alternative method',
-          line,
-          column: 1,
-          code: pointerMatch[0].substring(0, 100),
-          fixSuggestions: [
-            'Remove pointer-events: none from interactive elements',
-            'Use disabled attribute for form elements instead',
-            'Ensure keyboard navigation still works'
-          ],
-          tags: ['wcag-a', 'keyboard']
-        });
-      }
-    }
+  if (report.summary.cached > 0) {
+    console.log(`   Unchanged, from cache: ${report.summary.cached}`);
+  }
+  if (report.summary.baselined > 0) {
+    console.log(`   Baselined (not shown): ${report.summary.baselined}`);
+  }
+  if (report.summary.suppressed > 0) {
+    console.log(`   Suppressed by a11y-disable comments: ${report.summary.suppressed}`);
+  }
+  if (report.summary.unusedSuppressions > 0) {
+    console.log(`   ⚠️  Unused suppression comments: ${report.summary.unusedSuppressions}`);
   }
+  if (report.staleBaselineEntries.length > 0) {
+    console.log(formatStaleEntries(report.staleBaselineEntries));
+  }
+  report.errors.forEach(({ path: filePath, error }) => console.log(`⚠️  ${filePath}: ${error}`));
+  report.thresholds.exceeded.forEach(reason => console.log(`🚫 Threshold: ${reason}`));
+  if (report.errors.length === 0 && report.thresholds.passed) {
+    console.log('✅ Within the configured failure thresholds');
+  }
+}
 
-  return violations;
+/**
+ * Aggregate multi-file results as JSON for CI/CD
+ */
+function formatReportAsJSON(report) {
+  return JSON.stringify({
+    files: report.results.map(result => JSON.parse(formatFileJson(result))),
+    summary: report.summary,
+    errors: report.errors,
+    staleBaselineEntries: report.staleBaselineEntries,
+    passed: report.thresholds.passed,
+    thresholdsExceeded: report.thresholds.exceeded
+  }, null, 2);
 }
 
 /**
- * Scan a file and return results
+ * Scan files on a worker pool, analyzing each file once
+ * @param {string[]} files - Files to scan
+ * @param {Object} config - Result of loadConfig()
+ * @param {Object|null} baseline - Result of loadBaseline()
+ * @param {Object} [options] - fix, cache, and jobs (worker count)
+ * @returns {Promise<{ results: Array, errors: Array<{ path, error }> }>} Both in file order
  */
-function scanFile(filePath) {
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`File not found: ${filePath}`);
+async function scanWithPool(files, config, baseline, options = {}) {
+  const pool = createWorkerPool({ size: options.jobs });
+  try {
+    const { results: scanned } = await pool.map(files, async filePath => {
+      try {
+        return { result: await scanFile(filePath, config, baseline, { fix: options.fix, cache: options.cache, pool }) };
+      } catch (error) {
+        return { error: { path: filePath, error: error.message } };
+      }
+    });
+    return {
+      results: scanned.filter(entry => entry.result).map(entry => entry.result),
+      errors: scanned.filter(entry => entry.error).map(entry => entry.error)
+    };
+  } finally {
+    await pool.close();
   }
+}
 
-  const content = fs.readFileSync(filePath, 'utf8');
-  const violations = analyzeFile(content, filePath);
-  const ext = path.extname(filePath).toLowerCase();
-  
-  let fileType = 'unknown';
-  if (['.jsx'].includes(ext)) fileType = 'jsx';
-  else if (['.tsx'].includes(ext)) fileType = 'tsx';
-  else if (['.js'].includes(ext)) fileType = 'js';
-  else if (['.ts'].includes(ext)) fileType = 'ts';
-  else if (['.html', '.htm'].includes(ext)) fileType = 'html';
-  else if (['.css'].includes(ext)) fileType = 'css';
-  else if (['.scss'].includes(ext)) fileType = 'scss';
+/**
+ * Scan every file and combine the results into one report
+ * @param {string[]} files - Files to scan
+ * @param {string[]} ignored - Files and directories skipped by ignore globs
+ * @param {Object} config - Result of loadConfig()
+ * @param {Object|null} baseline - Result of loadBaseline()
+ * @param {Object} [options] - fix, cache, jobs
+ */
+async function scanFiles(files, ignored, config, baseline, options = {}) {
+  const { results, errors } = await scanWithPool(files, config, baseline, options);
 
+  const violations = results.flatMap(result => result.violations);
   return {
-    filePath,
-    fileType,
-    content,
-    violations,
-    statistics: {
+    results,
+    errors,
+    thresholds: evaluateThresholds(violations, config),
+    staleBaselineEntries: [
+      ...results.flatMap(result => result.staleBaselineEntries),
+      ...findMissingFileEntries(baseline, config)
+    ],
+    summary: {
+      filesScanned: results.length,
+      filesWithViolations: results.filter(result => result.violations.length > 0).length,
+      filesIgnored: ignored.length,
       totalViolations: violations.length,
       errors: violations.filter(v => v.severity === 'error').length,
       warnings: violations.filter(v => v.severity === 'warning').length,
       info: violations.filter(v => v.severity === 'info').length,
-      estimatedFixTime: `${Math.max(violations.length * 2, 1)} minutes`
-    },
-    metadata: {
-      lineCount: content.split('\n').length,
-      analyzedAt: new Date().toISOString()
+      baselined: results.reduce((sum, result) => sum + result.baselined, 0),
+      fixed: results.reduce((sum, result) => sum + result.fixes.length, 0),
+      cached: results.filter(result => result.cached).length,
+      suppressed: results.reduce((sum, result) => sum + result.suppressed.length, 0),
+      unusedSuppressions: results.reduce((sum, result) => sum + result.unusedSuppressions.length, 0)
     }
   };
 }
 
 /**
- * Format and print human-readable results
+ * Human-readable size, e.g. 12.5 KB
  */
-function printResults(result) {
-  console.log(`\n📄 File: ${result.filePath}`);
-  console.log(`🗂️  File Type: ${result.fileType.toUpperCase()}`);
-  console.log(`📊 Lines: ${result.metadata.lineCount}`);
-  
-  if (result.violations.length === 0) {
-    console.log('✅ Result: No accessibility violations found! 🎉');
-  } else {
-    console.log(`❌ Result: Found ${result.violations.length} accessibility violation(s):\n`);
-    
-    result.violations.forEach((violation, index) => {
-      console.log(`   ${index + 1}. [${violation.severity.toUpperCase()}] ${violation.title}`);
-      console.log(`      📍 Line: ${violation.line}`);
-      console.log(`      📝 ${violation.description}`);
-      console.log(`      🔧 ${violation.help}`);
-      console.log(`      📚 WCAG: ${violation.wcagCriteria.join(', ')}`);
-      if (violation.fixSuggestions && violation.fixSuggestions.length > 0) {
-        console.log(`      💡 Suggestions:`);
-        violation.fixSuggestions.forEach(suggestion => {
-          console.log(`         - ${suggestion}`);
-        });
-      }
-      console.log();
-    });
-    
-    console.log(`\n📈 Statistics:`);
-    console.log(`   Errors: ${result.statistics.errors}`);
-    console.log(`   Warnings: ${result.statistics.warnings}`);
-    console.log(`   Estimated fix time: ${result.statistics.estimatedFixTime}`);
-  }
-  
-  console.log('─'.repeat(80));
-}
-
-/**
- * Format results as JSON for CI/CD
- */
-function formatAsJSON(result) {
-  return JSON.stringify({
-    file: result.filePath,
-    type: result.fileType,
-    violations: result.violations.map(v => ({
-      id: v.id,
-      severity: v.severity,
-      title: v.title,
-      description: v.description,
-      line: v.line,
-      wcag: v.wcagCriteria,
-      fix: v.help
-    })),
-    summary: result.statistics
-  }, null, 2);
+function formatBytes(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
 }
 
 /**
  * Main CLI entry point
  */
-function main() {
+async function main() {
   const args = process.argv.slice(2);
   
   if (args.length === 0 || args[0] === '--help' || args[0] === '-h') {
-    console.log('Usage: node cli-scanner.js <file-path> [--json]');
+    console.log('Usage: node cli-scanner.js <path>... [--json | --sarif] [--config <path>]');
     console.log('');
-    console.log('  Analyze a file for accessibility violations');
-    console.log('  Supports: .js, .jsx, .ts, .tsx, .html, .htm, .css, .scss');
+    console.log('  Analyze files, directories or glob patterns for accessibility violations');
+    console.log('  Supports: .js, .jsx, .ts, .tsx, .html, .htm, .vue, .svelte, .astro, .css, .scss');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node cli-scanner.js src/App.jsx');
+    console.log('  node cli-scanner.js src public/index.html');
+    console.log('  node cli-scanner.js "src/**/*.{jsx,tsx}" --json');
+    console.log('  node cli-scanner.js src --fix');
     console.log('');
     console.log('Options:');
-    console.log('  --json    Output results in JSON format for CI/CD integration');
+    console.log('  --json            Output results in JSON format for CI/CD integration');
+    console.log('  --sarif           Output results as SARIF 2.1.0 (GitHub code scanning)');
+    console.log('  --fix             Apply automatic fixes in place, then report what is left');
+    console.log('  --update-baseline Record the current violations in .a11y/baseline.json so they are not reported');
+    console.log('  --config <path>   Config file to use (default: nearest .a11y/config.json)');
+    console.log('  --jobs <n>        Files analyzed in parallel on worker threads (default: one per CPU)');
+    console.log('  --no-cache        Analyze every file, ignoring results cached in .a11y/cache');
+    console.log('  --cache-stats     Show the size of .a11y/cache (no paths needed)');
+    console.log('  --clear-cache     Delete .a11y/cache (no paths needed)');
     console.log('');
     console.log('Exit codes:');
-    console.log('  0 = No violations');
-    console.log('  3 = Violations found');
-    console.log('  1 = Error (file not found, etc.)');
+    console.log('  0 = No violations, or within the configured failure thresholds');
+    console.log('  3 = Violations exceed the failure thresholds');
+    console.log('  1 = Error (file not found, invalid config, etc.)');
     process.exit(0);
   }
 
   const jsonOutput = args.includes('--json');
-  const filePath = args.find(arg => !arg.startsWith('--'));
+  const sarifOutput = args.includes('--sarif');
+  const fix = args.includes('--fix');
+  const cache = args.includes('--no-cache') ? false : undefined;
+  const cacheCommand = args.includes('--cache-stats') || args.includes('--clear-cache');
+  const configIndex = args.indexOf('--config');
+  const configPath = configIndex !== -1 ? args[configIndex + 1] : undefined;
+  const jobsIndex = args.indexOf('--jobs');
+  const jobs = jobsIndex !== -1 ? Number(args[jobsIndex + 1]) : undefined;
+  const optionValues = [configIndex, jobsIndex].filter(index => index !== -1).map(index => index + 1);
+  const targets = args.filter((arg, index) => !arg.startsWith('--') && !optionValues.includes(index));
+
+  if (jobs !== undefined && !(Number.isInteger(jobs) && jobs > 0)) {
+    console.error('Error: --jobs must be a positive integer');
+    process.exit(1);
+  }
 
-  if (!filePath) {
+  if (targets.length === 0 && !cacheCommand) {
     console.error('Error: No file path provided');
     process.exit(1);
   }
 
   try {
-    const result = scanFile(filePath);
-    
-    if (jsonOutput) {
-      console.log(formatAsJSON(result));
+    const config = loadConfig({ configPath });
+
+    if (args.includes('--clear-cache')) {
+      const { path: dir, removed, bytes } = clearCache(config);
+      console.log(`🧹 Removed ${removed} cached result(s) (${formatBytes(bytes)}) from ${dir}`);
+      process.exit(0);
+    }
+    if (args.includes('--cache-stats')) {
+      const stats = getCacheStats(config);
+      if (jsonOutput) {
+        console.log(JSON.stringify(stats, null, 2));
+      } else {
+        const disabled = !config.configPath ? ' (off: no .a11y/config.json)' : !config.cache ? ' (disabled in config)' : '';
+        console.log(`🗄️  Cache: ${stats.path}${disabled}`);
+        console.log(`   Entries: ${stats.entries} (${formatBytes(stats.bytes)})`);
+        console.log(`   Usable with the current rules (${stats.rulesVersion}): ${stats.current}`);
+        if (stats.stale > 0) {
+          console.log(`   From older rules, never used again: ${stats.stale} (remove with --clear-cache)`);
+        }
+      }
+      process.exit(0);
+    }
+
+    if (args.includes('--update-baseline')) {
+      const { files, missing } = collectFiles(targets, { config });
+      if (missing.length > 0) {
+        throw new Error(`No such file, directory or matching files: ${missing.join(', ')}`);
+      }
+      const { results, errors } = await scanWithPool(files, config, null, { cache, jobs });
+      if (errors.length > 0) {
+        throw new Error(errors.map(({ path: filePath, error }) => `${filePath}: ${error}`).join('\n'));
+      }
+      const { path: written, baseline } = writeBaseline(
+        results.map(result => ({ filePath: path.resolve(result.filePath), violations: result.violations })),
+        config
+      );
+      console.log(`📌 Recorded ${results.reduce((sum, result) => sum + result.violations.length, 0)} violation(s) from ${results.length} file(s)`);
+      console.log(`   ${written} now has ${baseline.entries.length} entr${baseline.entries.length === 1 ? 'y' : 'ies'}`);
+      process.exit(0);
+    }
+
+    const baseline = loadBaseline(config);
+
+    // A single file keeps the per-file report that run.sh reads (scan-parallel.js renders the same one)
+    const singleFile = targets.length === 1 && fs.existsSync(targets[0]) && fs.statSync(targets[0]).isFile();
+    if (singleFile) {
+      const filePath = targets[0];
+
+      if (isIgnored(path.resolve(filePath), config)) {
+        if (sarifOutput) {
+          console.log(formatAsSarif([], config));
+        } else if (jsonOutput) {
+          console.log(JSON.stringify({ file: filePath, ignored: true, violations: [] }, null, 2));
+        } else {
+          console.log(`⏭️  Skipped ${filePath} (matches an ignore pattern in ${config.configPath})`);
+        }
+        process.exit(0);
+      }
+
+      const result = await scanFile(filePath, config, baseline, { fix, cache });
+      result.thresholds = evaluateThresholds(result.violations, config);
+      
+      if (sarifOutput) {
+        console.log(formatAsSarif([result], config));
+      } else if (jsonOutput) {
+        console.log(formatFileJson(result));
+      } else {
+        printResults(result);
+      }
+      
+      // Exit with code 3 if violations exceed the thresholds (so PR checks fail)
+      process.exit(result.thresholds.passed ? 0 : 3);
+    }
+
+    const { files, missing, ignored } = collectFiles(targets, { config });
+    if (missing.length > 0) {
+      throw new Error(`No such file, directory or matching files: ${missing.join(', ')}`);
+    }
+
+    if (files.length === 0) {
+      if (sarifOutput) {
+        console.log(formatAsSarif([], config));
+      } else if (jsonOutput) {
+        console.log(JSON.stringify({ files: [], summary: { filesScanned: 0, filesIgnored: ignored.length }, passed: true }, null, 2));
+      } else {
+        console.log('ℹ️  No supported files to scan');
+      }
+      process.exit(0);
+    }
+
+    const report = await scanFiles(files, ignored, config, baseline, { fix, cache, jobs });
+
+    if (sarifOutput) {
+      console.log(formatAsSarif(report.results, config));
+    } else if (jsonOutput) {
+      console.log(formatReportAsJSON(report));
     } else {
-      printResults(result);
+      report.results
+        .filter(result => result.violations.length > 0 || result.fixes.length > 0)
+        .forEach(result => printResults(result));
+      printSummary(report);
     }
-    
-    // Exit with code 3 if violations found (so PR checks fail)
-    process.exit(result.violations.length > 0 ? 3 : 0);
+
+    if (report.errors.length > 0) process.exit(1);
+    process.exit(report.thresholds.passed ? 0 : 3);
     
   } catch (error) {
     console.error('Error:', error.message);
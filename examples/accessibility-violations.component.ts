@@ -0,0 +1,27 @@
+// accessibility-violations.component.ts
+// An Angular component whose inline template is checked like a .component.html file
+
+import { Component } from '@angular/core';
+
+@Component({
+  selector: 'app-media-card',
+  template: `
+    <!-- VIOLATION 1: Div used as a button -->
+    <div class="media-card" (click)="play()">Play</div>
+
+    <!-- VIOLATION 2: Image without alt text -->
+    <img [src]="thumbnail">
+
+    <!-- VIOLATION 3: Iframe without a title -->
+    <iframe [src]="embedUrl"></iframe>
+    <!-- Correct: a bound title -->
+    <iframe [src]="embedUrl" [attr.title]="videoTitle"></iframe>
+  `
+})
+export class MediaCardComponent {
+  thumbnail = '/thumb.png';
+  embedUrl = '';
+  videoTitle = 'Product demo';
+
+  play(): void {}
+}
@@ -6,14 +6,144 @@
 
 import { Octokit } from '@octokit/rest';
 import fs from 'fs';
-import path from 'path';
-import { checkAccessibilityBatch } from './mcp-client.js';
+import { checkAccessibilityBatch, closeClient } from './mcp-client.js';
+import { loadConfig, isIgnored, evaluateThresholds } from '../src/core/config.js';
+import { isSupportedFile } from '../src/core/file-types.js';
+import { createSarifLog } from '../src/core/sarif-reporter.js';
+import { parseAddedLines, buildReview } from '../src/core/pr-review.js';
+import { diffViolations } from '../src/core/fingerprint.js';
+import { loadBaseline } from '../src/core/baseline.js';
 
 // Initialize GitHub API client
 const octokit = new Octokit({
   auth: process.env.GITHUB_TOKEN
 });
 
+/**
+ * Write a11y-results.json for the PR comment and a11y-results.sarif for code scanning
+ * @param {Object} results - Summary written to a11y-results.json
+ * @param {Array} fileResults - Per-file results with the full violation objects
+ */
+function saveResults(results, fileResults) {
+  fs.writeFileSync('a11y-results.json', JSON.stringify(results, null, 2));
+  fs.writeFileSync('a11y-results.sarif', JSON.stringify(createSarifLog(fileResults), null, 2));
+}
+
+/**
+ * Post a pull-request review: inline comments on changed lines, summary for the rest
+ * @returns {Promise<boolean>} Whether the review was posted
+ */
+async function postReview({ owner, repo, prNumber, commitId }, results, relevantFiles) {
+  if (results.violations.length === 0 && !results.fixedViolations?.length) return false;
+
+  const addedLinesByFile = new Map(relevantFiles.map(file => [file.filename, parseAddedLines(file.patch)]));
+  const review = buildReview(results, addedLinesByFile);
+
+  try {
+    await octokit.rest.pulls.createReview({
+      owner,
+      repo,
+      pull_number: prNumber,
+      commit_id: commitId,
+      event: 'COMMENT',
+      body: review.body,
+      comments: review.comments
+    });
+    console.log(`💬 Posted review with ${review.comments.length} inline comment(s), ${review.outsideDiff.length} outside the diff`);
+    return true;
+  } catch (error) {
+    // Fork PRs get a read-only token; the workflow falls back to an issue comment
+    console.warn(`⚠️  Could not post PR review: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * File content at a commit, or null when it can't be fetched
+ */
+async function fetchContent({ owner, repo }, filePath, ref) {
+  try {
+    const { data: content } = await octokit.rest.repos.getContent({
+      owner,
+      repo,
+      path: filePath,
+      ref
+    });
+    return 'content' in content ? Buffer.from(content.content, 'base64').toString('utf-8') : null;
+  } catch (error) {
+    console.warn(`⚠️  Failed to fetch ${filePath}@${ref.substring(0, 7)}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Analyze files via the MCP server, falling back to direct analysis if it fails
+ * @param {Array<{ path: string, content: string }>} filesToCheck
+ * @param {Object} config - Result of loadConfig()
+ * @returns {Promise<Array>} Per-file results: { filePath, violations, error? }
+ */
+async function analyzeFiles(filesToCheck, config) {
+  try {
+    const mcpResult = await checkAccessibilityBatch(filesToCheck);
+    
+    if (mcpResult && mcpResult.results) {
+      console.log(`✅ MCP analysis complete: ${mcpResult.summary?.filesWithViolations || 0} files with violations`);
+      return mcpResult.results;
+    }
+    throw new Error('Unexpected MCP response format');
+  } catch (error) {
+    console.error(`❌ MCP server error: ${error.message}`);
+    console.error(`⚠️  Falling back to direct analysis...`);
+  }
+  
+  // Fallback: analyze files on a local worker pool if MCP fails
+  const { createWorkerPool } = await import('../src/core/worker-pool.js');
+  const baseline = loadBaseline(config) || false;
+  const pool = createWorkerPool();
+  try {
+    const { results } = await pool.map(filesToCheck, async file => {
+      try {
+        const report = await pool.analyze({ filePath: file.path, content: file.content, config, baseline });
+        return {
+          filePath: file.path,
+          violations: report.violations,
+          suppressed: report.suppressed,
+          unusedSuppressions: report.unusedSuppressions,
+          baselined: report.baselined.length,
+          staleBaselineEntries: report.staleBaselineEntries
+        };
+      } catch (fallbackError) {
+        console.warn(`⚠️  Failed to analyze ${file.path}:`, fallbackError.message);
+        return { filePath: file.path, violations: [], error: fallbackError.message };
+      }
+    });
+    return results;
+  } finally {
+    await pool.close();
+  }
+}
+
+/**
+ * Flatten an analyzer violation into the a11y-results.json shape
+ */
+function toReportViolation(violation, filePath) {
+  return {
+    id: violation.id || 'unknown',
+    severity: violation.severity || 'error',
+    title: violation.title || 'Accessibility violation',
+    description: violation.description || violation.help || 'Accessibility issue detected',
+    help: violation.help || violation.description || '',
+    line: violation.line || 1,
+    column: violation.column || 1,
+    endLine: violation.endLine || violation.line || 1,
+    endColumn: violation.endColumn || violation.column || 1,
+    file: filePath || 'unknown',
+    wcagCriteria: Array.isArray(violation.wcagCriteria) ? violation.wcagCriteria : [],
+    fixSuggestion: violation.fixSuggestions?.[0] || violation.help || violation.description || 'Review WCAG guidelines',
+    code: violation.code || ''
+  };
+}
+
 async function analyzePR() {
   try {
     const [owner, repo] = process.env.REPOSITORY.split('/');
@@ -21,6 +151,11 @@ async function analyzePR() {
     
     console.log(`📋 Analyzing PR #${prNumber} in ${owner}/${repo}`);
     
+    const config = loadConfig();
+    if (config.configPath) {
+      console.log(`⚙️  Using config ${config.configPath}`);
+    }
+    
     // Get PR details
     const { data: pr } = await octokit.rest.pulls.get({
       owner,
@@ -32,7 +167,8 @@ async function analyzePR() {
     console.log(`🌿 Branch: ${pr.head.ref}`);
     
     // Get changed files
-    const { data: files } = await octokit.rest.pulls.listFiles({
+    // Every page, so each file's patch is available for inline comments
+    const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
       owner,
       repo,
       pull_number: prNumber,
@@ -43,13 +179,12 @@ async function analyzePR() {
     
     // Filter relevant files
     const relevantFiles = files.filter(file => {
-      const ext = path.extname(file.filename).toLowerCase();
-      const supportedExts = ['.tsx', '.jsx', '.ts', '.js', '.html', '.htm', '.css', '.scss'];
-      return supportedExts.includes(ext) &&
+      return isSupportedFile(file.filename) &&
              !file.filename.includes('test.') &&
              !file.filename.includes('stories.') &&
              !file.filename.includes('.test.') &&
              !file.filename.includes('.spec.') &&
+             !isIgnored(file.filename, config) &&
              file.status !== 'removed';
     });
     
@@ -70,34 +205,27 @@ async function analyzePR() {
           warnings: 0,
           info: 0
         },
+        passed: true,
+        thresholdsExceeded: [],
         timestamp: new Date().toISOString()
       };
-      fs.writeFileSync('a11y-results.json', JSON.stringify(results, null, 2));
+      saveResults(results, []);
       return results;
     }
     
-    // Fetch file contents and prepare for batch analysis
+    // Fetch file contents at the PR head, and at the base for files that existed before the PR
     const filesToCheck = [];
+    const baseFiles = [];
     
     for (const file of relevantFiles) {
-      try {
-        // Get file content at the PR branch
-        const { data: content } = await octokit.rest.repos.getContent({
-          owner,
-          repo,
-          path: file.filename,
-          ref: pr.head.sha
-        });
-        
-        if ('content' in content) {
-          const decodedContent = Buffer.from(content.content, 'base64').toString('utf-8');
-          filesToCheck.push({
-            path: file.filename,
-            content: decodedContent
-          });
-        }
-      } catch (error) {
-        console.warn(`⚠️  Failed to fetch ${file.filename}:`, error.message);
+      const content = await fetchContent({ owner, repo }, file.filename, pr.head.sha);
+      if (content === null) continue;
+      filesToCheck.push({ path: file.filename, content });
+      
+      if (config.pullRequests.newViolationsOnly && file.status !== 'added') {
+        const baseContent = await fetchContent({ owner, repo }, file.previous_filename || file.filename, pr.base.sha);
+        // Analyzed under the head path so base and head results line up file by file
+        if (baseContent !== null) baseFiles.push({ path: file.filename, content: baseContent });
       }
     }
     
@@ -116,105 +244,59 @@ async function analyzePR() {
           warnings: 0,
           info: 0
         },
+        passed: true,
+        thresholdsExceeded: [],
         timestamp: new Date().toISOString()
       };
-      fs.writeFileSync('a11y-results.json', JSON.stringify(results, null, 2));
+      saveResults(results, []);
       return results;
     }
     
     console.log(`🔍 Analyzing ${filesToCheck.length} files via MCP server...`);
+    const batchResults = await analyzeFiles(filesToCheck, config);
     
-    // Use MCP server for analysis (this is the proper MCP integration)
-    let batchResults = [];
-    let overallSummary = {};
+    // Keep only the violations this PR introduced, matched by rule id and code fingerprint
+    const fixedViolations = [];
+    let existingViolations = 0;
     
-    try {
-      const mcpResult = await checkAccessibilityBatch(filesToCheck);
-      
-      if (mcpResult && mcpResult.results) {
-        batchResults = mcpResult.results;
-        overallSummary = mcpResult.summary || {};
-        console.log(`✅ MCP analysis complete: ${overallSummary.filesWithViolations || 0} files with violations`);
-      } else {
-        throw new Error('Unexpected MCP response format');
-      }
-    } catch (error) {
-      console.error(`❌ MCP server error: ${error.message}`);
-      console.error(`⚠️  Falling back to direct analysis...`);
+    if (baseFiles.length > 0) {
+      console.log(`🔍 Analyzing ${baseFiles.length} base versions to separate new violations...`);
+      const baseResults = await analyzeFiles(baseFiles, config);
+      const baseViolationsByPath = new Map(baseResults
+        .filter(fileResult => !fileResult.error)
+        .map(fileResult => [fileResult.filePath, fileResult.violations || []]));
       
-      // Fallback: analyze files directly if MCP fails
-      for (const file of filesToCheck) {
-        try {
-          const { analyzeFileHybrid } = await import('../src/core/hybrid-analyzer.js');
-          const violations = await analyzeFileHybrid(file.content, file.path);
-          batchResults.push({
-            filePath: file.path,
-            violations,
-            summary: {
-              totalViolations: violations.length,
-              errors: violations.filter(v => v.severity === 'error').length,
-              warnings: violations.filter(v => v.severity === 'warning').length
-            }
-          });
-        } catch (fallbackError) {
-          console.warn(`⚠️  Failed to analyze ${file.path}:`, fallbackError.message);
-          batchResults.push({
-            filePath: file.path,
-            violations: [],
-            error: fallbackError.message
-          });
-        }
+      for (const fileResult of batchResults) {
+        if (!baseViolationsByPath.has(fileResult.filePath)) continue;
+        const diff = diffViolations(baseViolationsByPath.get(fileResult.filePath), fileResult.violations || []);
+        fileResult.violations = diff.introduced;
+        existingViolations += diff.unchanged.length;
+        fixedViolations.push(...diff.fixed.map(violation => toReportViolation(violation, fileResult.filePath)));
       }
-      
-      // Calculate summary for fallback
-      overallSummary = {
-        filesChecked: filesToCheck.length,
-        filesWithViolations: batchResults.filter(r => r.violations && r.violations.length > 0).length,
-        totalViolations: batchResults.reduce((sum, r) => sum + (r.summary?.totalViolations || 0), 0),
-        totalErrors: batchResults.reduce((sum, r) => sum + (r.summary?.errors || 0), 0),
-        totalWarnings: batchResults.reduce((sum, r) => sum + (r.summary?.warnings || 0), 0)
-      };
+      console.log(`   ${existingViolations} existing violation(s) not reported, ${fixedViolations.length} fixed by this PR`);
     }
     
-    // Use summary from MCP if available, otherwise calculate
-    const batchResult = {
-      results: batchResults,
-      summary: overallSummary.filesChecked ? overallSummary : {
-        filesChecked: filesToCheck.length,
-        filesWithViolations: batchResults.filter(r => r.violations && r.violations.length > 0).length,
-        totalViolations: batchResults.reduce((sum, r) => sum + (r.summary?.totalViolations || 0), 0),
-        totalErrors: batchResults.reduce((sum, r) => sum + (r.summary?.errors || 0), 0),
-        totalWarnings: batchResults.reduce((sum, r) => sum + (r.summary?.warnings || 0), 0)
-      }
-    };
+    // Head and base analyses share one MCP session; it is no longer needed
+    await closeClient();
+    
+    // Baseline entries in the changed files that no longer match, so .a11y/baseline.json can be pruned
+    const staleBaselineEntries = batchResults.flatMap(fileResult => fileResult.staleBaselineEntries || []);
+    const baselined = batchResults.reduce((sum, fileResult) => sum + (fileResult.baselined || 0), 0);
+    
+    // Suppressed findings and their justifications, listed for audit
+    const suppressed = batchResults.flatMap(fileResult => (fileResult.suppressed || []).map(violation => ({
+      ...toReportViolation(violation, fileResult.filePath),
+      reason: violation.suppression?.reason || null
+    })));
+    const unusedSuppressions = batchResults.flatMap(fileResult =>
+      (fileResult.unusedSuppressions || []).map(suppression => ({ ...suppression, file: fileResult.filePath })));
     
     // Transform MCP results to our format
-    const allViolations = [];
-    
-    if (batchResult && batchResult.results) {
-      for (const fileResult of batchResult.results) {
-        if (fileResult.violations && Array.isArray(fileResult.violations) && fileResult.violations.length > 0) {
-          for (const violation of fileResult.violations) {
-            allViolations.push({
-              id: violation.id || 'unknown',
-              severity: violation.severity || 'error',
-              title: violation.title || 'Accessibility violation',
-              description: violation.description || violation.help || 'Accessibility issue detected',
-              help: violation.help || violation.description || '',
-              line: violation.line || 1,
-              file: fileResult.filePath || 'unknown',
-              wcagCriteria: Array.isArray(violation.wcagCriteria) ? violation.wcagCriteria : [],
-              fixSuggestion: violation.fixSuggestions?.[0] || violation.help || violation.description || 'Review WCAG guidelines',
-              code: violation.code || ''
-            });
-          }
-        }
-      }
-    } else {
-      console.warn('⚠️  Unexpected MCP response format:', JSON.stringify(batchResult, null, 2));
-    }
+    const allViolations = batchResults.flatMap(fileResult =>
+      (fileResult.violations || []).map(violation => toReportViolation(violation, fileResult.filePath)));
     
     // Generate results
+    const thresholdResult = evaluateThresholds(allViolations, config);
     const results = {
       prNumber,
       repository: `${owner}/${repo}`,
@@ -228,15 +310,29 @@ async function analyzePR() {
         warnings: allViolations.filter(v => v.severity === 'warning').length,
         info: allViolations.filter(v => v.severity === 'info').length
       },
+      passed: thresholdResult.passed,
+      thresholdsExceeded: thresholdResult.exceeded,
+      mode: config.pullRequests.newViolationsOnly ? 'new-violations' : 'all-violations',
+      existingViolations,
+      baselined,
+      staleBaselineEntries,
+      suppressed,
+      unusedSuppressions,
       timestamp: new Date().toISOString()
     };
+    if (config.pullRequests.reportFixed) {
+      results.fixedViolations = fixedViolations;
+    }
+    
+    results.reviewPosted = await postReview({ owner, repo, prNumber, commitId: pr.head.sha }, results, relevantFiles);
     
     // Save results
-    fs.writeFileSync('a11y-results.json', JSON.stringify(results, null, 2));
+    saveResults(results, batchResults);
     
     console.log(`✅ Analysis complete: ${results.summary.totalViolations} violations found`);
     console.log(`   - Errors: ${results.summary.errors}`);
     console.log(`   - Warnings: ${results.summary.warnings}`);
+    results.thresholdsExceeded.forEach(reason => console.log(`🚫 Threshold: ${reason}`));
     
     return results;
     
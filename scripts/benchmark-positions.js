@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Position Lookup Benchmark
+ * Grows each example to a multi-megabyte file and compares locating its violations by
+ * rescanning the content up to each match (`substring(0, offset).split('\n')`) with the
+ * shared line-start table from src/core/positions.js, then times a full analysis.
+ * Components (.vue, .svelte, .astro) grow the way a real one does: their markup is repeated
+ * inside the one file, around a single set of script and style blocks. They are listed
+ * separately, since their analysis runs every block through its own analyzer.
+ *
+ * Usage: node scripts/benchmark-positions.js [--size <MB>] [--samples <n>] [file ...]
+ *   --size     Size each file is grown to (default: 2)
+ *   --samples  Rescans timed per file; the rest are extrapolated, since rescanning every
+ *              violation of a large file takes minutes (default: 200)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { analyzeContent } from '../src/core/hybrid-analyzer.js';
+import { createPositionIndex } from '../src/core/positions.js';
+import { splitComponent } from '../src/core/component-analyzer.js';
+import { COMPONENT_FILES } from '../src/core/file-types.js';
+
+const EXAMPLES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'examples');
+
+function parseArgs(argv) {
+  const options = { size: 2, samples: 200, files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--size') options.size = Number(argv[++i]);
+    else if (argv[i] === '--samples') options.samples = parseInt(argv[++i], 10);
+    else options.files.push(argv[i]);
+  }
+  if (!(options.size > 0) || !(options.samples > 0)) {
+    console.error('Usage: node scripts/benchmark-positions.js [--size <MB>] [--samples <n>] [file ...]');
+    process.exit(2);
+  }
+  if (options.files.length === 0) {
+    options.files = fs.readdirSync(EXAMPLES_DIR).sort().map(name => path.join(EXAMPLES_DIR, name));
+  }
+  return options;
+}
+
+/**
+ * Repeat a file's content until it reaches the target size; for components only their markup
+ */
+function grow(content, bytes, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (!COMPONENT_FILES.includes(ext)) {
+    return content.repeat(Math.max(1, Math.ceil(bytes / content.length)));
+  }
+  const { start, end } = markupRegion(content, ext);
+  const markup = content.substring(start, end);
+  const times = Math.max(1, Math.ceil((bytes - content.length) / markup.length) + 1);
+  return content.substring(0, start) + markup.repeat(times) + content.substring(end);
+}
+
+/**
+ * The markup of a component: the <template> block of a Vue file, or the longest stretch of
+ * a Svelte or Astro file outside its frontmatter, <script> and <style> elements
+ */
+function markupRegion(content, ext) {
+  if (ext === '.vue') {
+    return splitComponent(content).find(block => block.type === 'template');
+  }
+  const blocks = [...content.matchAll(/^---[\s\S]*?\n---[^\S\n]*$|<(script|style)\b[\s\S]*?<\/\1\s*>/gm)]
+    .map(match => ({ start: match.index, end: match.index + match[0].length }));
+  const gaps = [...blocks, { start: content.length, end: content.length }].map((block, index) => ({
+    start: index === 0 ? 0 : blocks[index - 1].end,
+    end: block.start
+  }));
+  return gaps.reduce((longest, gap) => gap.end - gap.start > longest.end - longest.start ? gap : longest);
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  return { ms: Number(process.hrtime.bigint() - start) / 1e6, result };
+}
+
+function rescanLine(content, offset) {
+  return content.substring(0, offset).split('\n').length;
+}
+
+function format(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${ms.toFixed(1)} ms`;
+}
+
+async function benchmark(filePath, options) {
+  const content = grow(fs.readFileSync(filePath, 'utf8'), options.size * 1024 * 1024, filePath);
+
+  const analysisStart = process.hrtime.bigint();
+  const violations = await analyzeContent(content, filePath);
+  const analysisMs = Number(process.hrtime.bigint() - analysisStart) / 1e6;
+
+  const index = createPositionIndex(content);
+  const offsets = violations.map(v => index.offsetAt(v.line, v.column));
+
+  // Evenly spaced across the file, so the sample's average rescan length matches the whole
+  const step = Math.max(1, offsets.length / options.samples);
+  const sample = [];
+  for (let i = 0; i < offsets.length; i += step) sample.push(offsets[Math.floor(i)]);
+  const rescan = time(() => sample.map(offset => rescanLine(content, offset)));
+  const rescanMs = sample.length > 0 ? rescan.ms * offsets.length / sample.length : 0;
+
+  const indexed = time(() => {
+    const positions = createPositionIndex(content);
+    return offsets.map(offset => positions.positionAt(offset).line);
+  });
+
+  sample.forEach((offset, i) => {
+    if (rescan.result[i] !== index.positionAt(offset).line) {
+      throw new Error(`${path.basename(filePath)}: line mismatch at offset ${offset}`);
+    }
+  });
+
+  return {
+    file: path.basename(filePath),
+    megabytes: content.length / 1024 / 1024,
+    violations: violations.length,
+    rescanMs,
+    estimated: sample.length < offsets.length,
+    indexedMs: indexed.ms,
+    analysisMs
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  console.log(`⏱️  Locating violations in files grown to ${options.size} MB\n`);
+  console.log(`${'File'.padEnd(42)}${'Size'.padStart(8)}${'Found'.padStart(8)}${'Rescan'.padStart(13)}${'Line table'.padStart(13)}${'Speedup'.padStart(10)}${'Analysis'.padStart(11)}`);
+
+  let anyEstimated = false;
+  const isComponent = filePath => COMPONENT_FILES.includes(path.extname(filePath).toLowerCase());
+  const files = [...options.files.filter(file => !isComponent(file)), ...options.files.filter(isComponent)];
+  for (const [index, filePath] of files.entries()) {
+    if (isComponent(filePath) && (index === 0 || !isComponent(files[index - 1]))) {
+      console.log('\nComponents (markup grown inside one file)');
+    }
+    const r = await benchmark(filePath, options);
+    anyEstimated ||= r.estimated;
+    const ratio = r.rescanMs / r.indexedMs;
+    const speedup = r.violations > 0 ? `${ratio.toFixed(ratio < 10 ? 1 : 0)}×` : '-';
+    console.log(
+      r.file.padEnd(42) +
+      `${r.megabytes.toFixed(1)} MB`.padStart(8) +
+      String(r.violations).padStart(8) +
+      `${r.estimated ? '~' : ''}${format(r.rescanMs)}`.padStart(13) +
+      format(r.indexedMs).padStart(13) +
+      speedup.padStart(10) +
+      format(r.analysisMs).padStart(11)
+    );
+  }
+
+  if (anyEstimated) {
+    console.log(`\n~ extrapolated from ${options.samples} timed rescans per file`);
+  }
+}
+
+main().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
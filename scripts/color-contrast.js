@@ -32,32 +32,32 @@ function getLuminance(r, g, b) {
  * Returns ratio (e.g., 4.5 for WCAG AA)
  */
 export function calculateContrast(color1, color2) {
-  let rgb1, rgb2;
+  const rgb1 = parseColor(color1);
+  const rgb2 = parseColor(color2);
 
-  // Parse color1
-  if (color1.startsWith('#')) {
-    rgb1 = hexToRgb(color1);
-  } else if (color1.startsWith('rgb')) {
-    const match = color1.match(/\d+/g);
-    if (match && match.length >= 3) {
-      rgb1 = { r: parseInt(match[0]), g: parseInt(match[1]), b: parseInt(match[2]) };
-    }
+  if (!rgb1 || !rgb2) {
+    return null;
   }
-  
-  // Parse color2
-  if (color2.startsWith('#')) {
-    rgb2 = hexToRgb(color2);
-  } else if (color2.startsWith('rgb')) {
-    const match = color2.match(/\d+/g);
+
+  return contrastOf(rgb1, rgb2);
+}
+
+/**
+ * Parse a hex or rgb()/rgba() color
+ */
+function parseColor(color) {
+  if (color.startsWith('#')) {
+    return hexToRgb(color);
+  } else if (color.startsWith('rgb')) {
+    const match = color.match(/\d+/g);
     if (match && match.length >= 3) {
-      rgb2 = { r: parseInt(match[0]), g: parseInt(match[1]), b: parseInt(match[2]) };
+      return { r: parseInt(match[0]), g: parseInt(match[1]), b: parseInt(match[2]) };
     }
   }
+  return null;
+}
 
-  if (!rgb1 || !rgb2) {
-    return null;
-  }
-
+function contrastOf(rgb1, rgb2) {
   const lum1 = getLuminance(rgb1.r, rgb1.g, rgb1.b);
   const lum2 = getLuminance(rgb2.r, rgb2.g, rgb2.b);
 
@@ -67,6 +67,35 @@ export function calculateContrast(color1, color2) {
   return (lighter + 0.05) / (darker + 0.05);
 }
 
+/**
+ * Closest foreground color that reaches a contrast ratio against a background
+ * Mixes the foreground towards black or white, whichever contrasts more with the background
+ * Returns hex (e.g., '#595959'), or null if a color can't be parsed
+ */
+export function adjustForContrast(foreground, background, ratio = 4.5) {
+  const fg = parseColor(foreground);
+  const bg = parseColor(background);
+  if (!fg || !bg) {
+    return null;
+  }
+
+  const black = { r: 0, g: 0, b: 0 };
+  const white = { r: 255, g: 255, b: 255 };
+  const target = contrastOf(black, bg) >= contrastOf(white, bg) ? black : white;
+
+  for (let step = 1; step <= 20; step++) {
+    const amount = step / 20;
+    const mixed = {
+      r: Math.round(fg.r + (target.r - fg.r) * amount),
+      g: Math.round(fg.g + (target.g - fg.g) * amount),
+      b: Math.round(fg.b + (target.b - fg.b) * amount)
+    };
+    if (contrastOf(mixed, bg) >= ratio || step === 20) {
+      return '#' + [mixed.r, mixed.g, mixed.b].map(value => value.toString(16).padStart(2, '0')).join('');
+    }
+  }
+}
+
 /**
  * Check if contrast meets WCAG AA standards
  * - Normal text: 4.5:1
@@ -96,10 +125,17 @@ export function extractColorValues(cssContent) {
   // Match color and background-color declarations
   const colorRegex = /(color|background-color|background)\s*:\s*([^;]+)/gi;
   let match;
+  // Lines are counted from the previous match, so large stylesheets are scanned once
+  let line = 1;
+  let lastIndex = 0;
   
   while ((match = colorRegex.exec(cssContent)) !== null) {
     const property = match[1].toLowerCase();
     const value = match[2].trim();
+    for (let i = cssContent.indexOf('\n', lastIndex); i !== -1 && i < match.index; i = cssContent.indexOf('\n', i + 1)) {
+      line++;
+    }
+    lastIndex = match.index;
     
     // Extract hex colors
     const hexMatch = value.match(/#[0-9a-fA-F]{3,6}/);
@@ -108,7 +144,7 @@ export function extractColorValues(cssContent) {
         property,
         value: hexMatch[0],
         fullValue: value,
-        line: cssContent.substring(0, match.index).split('\n').length
+        line
       });
     }
     
@@ -119,7 +155,7 @@ export function extractColorValues(cssContent) {
         property,
         value: rgbMatch[0],
         fullValue: value,
-        line: cssContent.substring(0, match.index).split('\n').length
+        line
       });
     }
   }
@@ -2,173 +2,318 @@
 /**
  * MCP Client for GitHub Actions
  * Communicates with the MCP server via JSON-RPC over stdio
+ * One session serves many requests: the server is started once, initialized,
+ * and requests are matched to responses by id as they stream in.
  */
 
 import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
 import fs from 'fs';
 import path from 'path';
+import readline from 'readline';
 import { fileURLToPath } from 'url';
+import { LATEST_PROTOCOL_VERSION } from '@modelcontextprotocol/sdk/types.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const DEFAULT_TIMEOUT = 30000;
+// How long to wait for a partial result after asking a request to stop, before cancelling it
+const CANCEL_GRACE_PERIOD = 5000;
+// Asks the server to stop a batch or directory check early and answer with the results so far
+const STOP_NOTIFICATION = 'notifications/a11y/stop';
+const CLIENT_INFO = { name: 'a11y-mcp-client', version: '1.0.0' };
+
 /**
- * Call MCP server tool via JSON-RPC
+ * Locate the MCP server
+ * 1. Environment variable override
+ * 2. In source repo: src/mcp-server.js
+ * 3. In integrated repo: .github/a11y-mcp/mcp-server.js
  */
-function callMCPServer(method, params = {}) {
-  return new Promise((resolve, reject) => {
-    // Try multiple possible locations for MCP server
-    // 1. In source repo: src/mcp-server.js
-    // 2. In integrated repo: .github/a11y-mcp/mcp-server.js
-    // 3. Environment variable override
-    const possiblePaths = [
-      process.env.MCP_SERVER_PATH,
-      path.join(__dirname, '..', 'src', 'mcp-server.js'),
-      path.join(__dirname, '..', '.github', 'a11y-mcp', 'mcp-server.js'),
-      path.join(process.cwd(), '.github', 'a11y-mcp', 'mcp-server.js')
-    ].filter(Boolean); // Remove undefined values
-    
-    let mcpServerPath = null;
-    for (const possiblePath of possiblePaths) {
-      if (fs.existsSync(possiblePath)) {
-        mcpServerPath = possiblePath;
-        break;
-      }
-    }
-    
-    if (!mcpServerPath) {
-      reject(new Error(`MCP server not found. Tried: ${possiblePaths.join(', ')}`));
-      return;
-    }
+function findServer() {
+  const possiblePaths = [
+    process.env.MCP_SERVER_PATH,
+    path.join(__dirname, '..', 'src', 'mcp-server.js'),
+    path.join(__dirname, '..', '.github', 'a11y-mcp', 'mcp-server.js'),
+    path.join(process.cwd(), '.github', 'a11y-mcp', 'mcp-server.js')
+  ].filter(Boolean); // Remove undefined values
 
-    const request = {
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method,
-      params
-    };
+  const serverPath = possiblePaths.find(possiblePath => fs.existsSync(possiblePath));
+  if (!serverPath) {
+    throw new Error(`MCP server not found. Tried: ${possiblePaths.join(', ')}`);
+  }
+  return serverPath;
+}
 
-    const child = spawn('node', [mcpServerPath], {
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+/**
+ * A session with the MCP server over stdio
+ * Emits 'notification' for server notifications (e.g. notifications/progress)
+ * and 'exit' when the server process ends.
+ */
+export class MCPClient extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.serverPath] - Defaults to the first server found (see findServer)
+   * @param {number} [options.timeout=30000] - Per-request timeout in milliseconds
+   * @param {string} [options.cwd] - Working directory for the server, which sets its project root
+   */
+  constructor(options = {}) {
+    super();
+    this.serverPath = options.serverPath;
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT;
+    this.cwd = options.cwd;
+    this.child = null;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.stderr = '';
+    this.serverInfo = null;
+    this.starting = null;
+  }
 
-    let stdout = '';
-    let stderr = '';
-    let responseReceived = false;
+  /**
+   * Start the server and perform the initialize/initialized handshake
+   * Safe to call more than once; later calls wait for the same session.
+   * @returns {Promise<Object>} The server's initialize result
+   */
+  start() {
+    if (!this.starting) {
+      this.starting = this.spawnServer().catch(error => {
+        this.starting = null;
+        throw error;
+      });
+    }
+    return this.starting;
+  }
 
-    child.stdout.on('data', (data) => {
-      stdout += data.toString();
-    });
+  async spawnServer() {
+    const serverPath = this.serverPath || findServer();
+    this.child = spawn(process.execPath, [serverPath], { cwd: this.cwd, stdio: ['pipe', 'pipe', 'pipe'] });
+
+    // Responses stream in as newline-delimited JSON
+    readline.createInterface({ input: this.child.stdout }).on('line', line => this.handleLine(line));
 
-    child.stderr.on('data', (data) => {
+    this.child.stderr.on('data', data => {
       const stderrText = data.toString();
-      stderr += stderrText;
+      // Keep the tail for error messages
+      this.stderr = (this.stderr + stderrText).slice(-4000);
       // MCP server logs to stderr, but we can ignore non-error logs
       if (stderrText.includes('Error') || stderrText.includes('error')) {
         console.error('MCP Server stderr:', stderrText);
       }
     });
 
-    // Set timeout for response
-    const timeout = setTimeout(() => {
-      if (!responseReceived) {
-        child.kill();
-        reject(new Error(`MCP server timeout after 30 seconds. Stdout: ${stdout.substring(0, 500)}`));
-      }
-    }, 30000);
-
-    child.on('close', (code) => {
-      clearTimeout(timeout);
-      responseReceived = true;
-
-      try {
-        // MCP server sends JSON-RPC responses via stdout
-        // Parse the response
-        let response = null;
-        
-        // Try to find JSON in stdout (might have multiple lines)
-        const lines = stdout.trim().split('\n').filter(line => line.trim());
-        
-        for (const line of lines) {
-          const trimmed = line.trim();
-          if (trimmed.startsWith('{') && trimmed.endsWith('}')) {
-            try {
-              const parsed = JSON.parse(trimmed);
-              // Check if it's a JSON-RPC response
-              if (parsed.jsonrpc === '2.0' && parsed.id === request.id) {
-                response = parsed;
-                break;
-              }
-            } catch (e) {
-              // Not valid JSON, continue
-            }
-          }
-        }
-
-        // If no response found, try parsing entire stdout
-        if (!response && stdout.trim()) {
-          try {
-            const parsed = JSON.parse(stdout.trim());
-            if (parsed.jsonrpc === '2.0') {
-              response = parsed;
-            }
-          } catch (e) {
-            // Not JSON
-          }
-        }
-
-        if (!response) {
-          reject(new Error(`Failed to parse MCP response. Code: ${code}\nStdout: ${stdout}\nStderr: ${stderr}`));
-          return;
-        }
-
-        if (response.error) {
-          reject(new Error(`MCP Error: ${response.error.message || JSON.stringify(response.error)}`));
-          return;
-        }
-
-        resolve(response.result || response);
-      } catch (error) {
-        reject(new Error(`Failed to parse MCP response: ${error.message}\nStdout: ${stdout}\nStderr: ${stderr}`));
-      }
+    this.child.on('error', error => this.failPending(new Error(`Failed to spawn MCP server: ${error.message}`)));
+    this.child.on('exit', (code, signal) => {
+      this.child = null;
+      this.starting = null;
+      this.failPending(new Error(`MCP server exited (${signal || `code ${code}`})${this.stderr ? `\nStderr: ${this.stderr}` : ''}`));
+      this.emit('exit', code, signal);
     });
+    // A failed write surfaces as an exit; don't let EPIPE crash the caller
+    this.child.stdin.on('error', () => {});
 
-    child.on('error', (error) => {
-      clearTimeout(timeout);
-      reject(new Error(`Failed to spawn MCP server: ${error.message}`));
+    const result = await this.request('initialize', {
+      protocolVersion: LATEST_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO
     });
+    this.serverInfo = result.serverInfo;
+    this.notify('notifications/initialized');
+    return result;
+  }
+
+  /**
+   * Send a request and wait for its response
+   * Requests may overlap; each response is matched to its request by id.
+   * @param {string} method - JSON-RPC method, e.g. 'tools/list'
+   * @param {Object} [params]
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Overrides the session timeout
+   * @param {Function} [options.onProgress] - Called with each notifications/progress params for this request
+   * @param {AbortSignal} [options.signal] - When aborted, asks the server to stop early and waits for
+   *   its partial result; without one in time, sends notifications/cancelled and rejects
+   * @returns {Promise<Object>} The response result
+   */
+  request(method, params = {}, options = {}) {
+    if (!this.child) {
+      return Promise.reject(new Error('MCP client is not started'));
+    }
+    if (options.signal?.aborted) {
+      return Promise.reject(new Error(`MCP request ${method} was cancelled before it was sent`));
+    }
 
-    // Send request to MCP server (JSON-RPC over stdio)
+    const id = this.nextId++;
+    const timeout = options.timeout ?? this.timeout;
+    const message = { jsonrpc: '2.0', id, method, params };
+    if (options.onProgress) {
+      // The request id doubles as the progress token
+      message.params = { ...params, _meta: { ...params._meta, progressToken: id } };
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.notify(STOP_NOTIFICATION, { requestId: id });
+        // Requests that can't stop early are cancelled; per the MCP spec they get no response
+        clearTimeout(pending.timer);
+        pending.timer = setTimeout(() => {
+          this.notify('notifications/cancelled', { requestId: id, reason: String(options.signal.reason?.message || options.signal.reason || 'Cancelled by client') });
+          settle(reject, new Error(`MCP request ${method} was cancelled`));
+        }, CANCEL_GRACE_PERIOD);
+      };
+      const settle = (callback, value) => {
+        clearTimeout(pending.timer);
+        options.signal?.removeEventListener('abort', onAbort);
+        this.pending.delete(id);
+        callback(value);
+      };
+      const pending = {
+        method,
+        onProgress: options.onProgress,
+        resolve: result => settle(resolve, result),
+        reject: error => settle(reject, error),
+        timer: setTimeout(() => settle(reject, new Error(`MCP request ${method} timed out after ${timeout / 1000} seconds`)), timeout)
+      };
+      this.pending.set(id, pending);
+      options.signal?.addEventListener('abort', onAbort, { once: true });
+      this.send(message);
+    });
+  }
+
+  /**
+   * Send a notification (no response expected)
+   */
+  notify(method, params) {
+    this.send({ jsonrpc: '2.0', method, ...(params && { params }) });
+  }
+
+  /**
+   * Call a tool and parse the JSON text it returns
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {Object} [options] - timeout, onProgress and signal (see request)
+   * @returns {Promise<Object>}
+   */
+  async callTool(name, args, options = {}) {
+    await this.start();
+    const result = await this.request('tools/call', { name, arguments: args }, options);
+
+    // Parse the result (MCP returns content as text with JSON)
+    if (!result || !result.content || !result.content[0]) {
+      throw new Error('Unexpected MCP response format');
+    }
+    if (result.isError) {
+      throw new Error(`MCP Error: ${result.content[0].text}`);
+    }
+    return JSON.parse(result.content[0].text);
+  }
+
+  /**
+   * List the server's tools
+   */
+  async listTools() {
+    await this.start();
+    return (await this.request('tools/list')).tools;
+  }
+
+  /**
+   * Shut the server down: close its stdin and wait for it to exit, killing it after a grace period
+   * Requests still in flight are rejected.
+   * @param {number} [gracePeriod=2000] - Milliseconds to wait before sending SIGTERM
+   */
+  async close(gracePeriod = 2000) {
+    const child = this.child;
+    if (!child) return;
+
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.stdin.end();
+    const timer = setTimeout(() => child.kill('SIGTERM'), gracePeriod);
+    await exited;
+    clearTimeout(timer);
+  }
+
+  send(message) {
+    this.child.stdin.write(JSON.stringify(message) + '\n');
+  }
+
+  handleLine(line) {
+    let message;
     try {
-      child.stdin.write(JSON.stringify(request) + '\n');
-      child.stdin.end();
+      message = JSON.parse(line);
     } catch (error) {
-      clearTimeout(timeout);
-      reject(new Error(`Failed to write to MCP server: ${error.message}`));
+      // Not JSON-RPC; ignore stray output
+      return;
     }
-  });
+
+    if (message.id !== undefined && message.method) {
+      // Server-to-client request: answer pings, decline the rest
+      if (message.method === 'ping') {
+        this.send({ jsonrpc: '2.0', id: message.id, result: {} });
+      } else {
+        this.send({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+      }
+      return;
+    }
+
+    if (message.method) {
+      if (message.method === 'notifications/progress') {
+        this.pending.get(message.params?.progressToken)?.onProgress?.(message.params);
+      }
+      this.emit('notification', message);
+      return;
+    }
+
+    const pending = this.pending.get(message.id);
+    if (!pending) return;
+
+    if (message.error) {
+      pending.reject(new Error(`MCP Error: ${message.error.message || JSON.stringify(message.error)}`));
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+
+  failPending(error) {
+    [...this.pending.values()].forEach(({ reject }) => reject(error));
+  }
 }
 
+// Session shared by the helpers below
+let sharedClient = null;
+
 /**
- * Check accessibility for a single file
+ * The shared session, started on first use
+ * @returns {Promise<MCPClient>}
  */
-export async function checkAccessibility(filePath, content) {
-  try {
-    const result = await callMCPServer('tools/call', {
-      name: 'check_accessibility',
-      arguments: {
-        filePath,
-        content
-      }
+export async function getClient() {
+  if (!sharedClient) {
+    sharedClient = new MCPClient();
+    sharedClient.on('exit', () => {
+      sharedClient = null;
     });
+  }
+  const client = sharedClient;
+  await client.start();
+  return client;
+}
 
-    // Parse the result (MCP returns content as text with JSON)
-    if (result && result.content && result.content[0]) {
-      const jsonText = result.content[0].text;
-      return JSON.parse(jsonText);
-    }
+/**
+ * Shut down the shared session, if one was started
+ */
+export async function closeClient() {
+  if (sharedClient) {
+    const client = sharedClient;
+    sharedClient = null;
+    await client.close();
+  }
+}
 
-    throw new Error('Unexpected MCP response format');
+/**
+ * Check accessibility for a single file
+ */
+export async function checkAccessibility(filePath, content) {
+  try {
+    const client = await getClient();
+    return await client.callTool('check_accessibility', { filePath, content });
   } catch (error) {
     console.error(`Error checking ${filePath}:`, error.message);
     throw error;
@@ -177,26 +322,19 @@ export async function checkAccessibility(filePath, content) {
 
 /**
  * Check accessibility for multiple files (batch)
+ * @param {Array<{ path: string, content: string }>} files
+ * @param {Object} [options] - onProgress, signal and timeout (see MCPClient.request); a cancelled
+ *   batch resolves with the results so far and `partial: true`
  */
-export async function checkAccessibilityBatch(files) {
+export async function checkAccessibilityBatch(files, options = {}) {
   try {
-    const result = await callMCPServer('tools/call', {
-      name: 'check_accessibility_batch',
-      arguments: {
-        files: files.map(f => ({
-          path: f.path,
-          content: f.content
-        }))
-      }
-    });
-
-    // Parse the result
-    if (result && result.content && result.content[0]) {
-      const jsonText = result.content[0].text;
-      return JSON.parse(jsonText);
-    }
-
-    throw new Error('Unexpected MCP response format');
+    const client = await getClient();
+    return await client.callTool('check_accessibility_batch', {
+      files: files.map(f => ({
+        path: f.path,
+        content: f.content
+      }))
+    }, options);
   } catch (error) {
     console.error('Error in batch check:', error.message);
     throw error;
@@ -208,20 +346,8 @@ export async function checkAccessibilityBatch(files) {
  */
 export async function suggestFix(violationId, code) {
   try {
-    const result = await callMCPServer('tools/call', {
-      name: 'suggest_fix',
-      arguments: {
-        violationId,
-        code
-      }
-    });
-
-    if (result && result.content && result.content[0]) {
-      const jsonText = result.content[0].text;
-      return JSON.parse(jsonText);
-    }
-
-    throw new Error('Unexpected MCP response format');
+    const client = await getClient();
+    return await client.callTool('suggest_fix', { violationId, code });
   } catch (error) {
     console.error(`Error getting fix suggestions for ${violationId}:`, error.message);
     throw error;
@@ -231,16 +357,20 @@ export async function suggestFix(violationId, code) {
 // CLI usage
 if (import.meta.url === `file://${process.argv[1]}`) {
   const command = process.argv[2];
-  
+
   if (command === 'test') {
     // Test the MCP server connection
-    callMCPServer('tools/list')
-      .then(result => {
-        console.log('✅ MCP Server is working!');
-        console.log('Available tools:', JSON.stringify(result, null, 2));
+    const client = new MCPClient();
+    client.start()
+      .then(async ({ serverInfo }) => {
+        const tools = await client.listTools();
+        console.log(`✅ MCP Server is working! (${serverInfo.name} ${serverInfo.version})`);
+        console.log('Available tools:', JSON.stringify(tools.map(tool => tool.name), null, 2));
+        await client.close();
       })
-      .catch(error => {
+      .catch(async error => {
         console.error('❌ MCP Server test failed:', error.message);
+        await client.close();
         process.exit(1);
       });
   } else {
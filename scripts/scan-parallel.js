@@ -1,9 +1,20 @@
 #!/usr/bin/env node
-// Small helper to run cli-scanner.js in parallel for a list of files.
-// Usage: node scripts/scan-parallel.js <parallel> <artifactDir> <file1> <file2> ...
-const { spawn } = require('child_process');
-const path = require('path');
-const fs = require('fs');
+/**
+ * Parallel scan for run.sh
+ * Analyzes each file once on a worker pool and writes both per-file reports from that result:
+ *   <artifactDir>/<basename>.json     JSON report (same as cli-scanner.js <file> --json)
+ *   <artifactDir>/hr/<basename>.txt   Human-readable report (same as cli-scanner.js <file>)
+ *
+ * Usage: node scripts/scan-parallel.js <parallel> <artifactDir> <file1> <file2> ...
+ * Exits 3 when any file could not be scanned or exceeds the failure thresholds.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadConfig, isIgnored, evaluateThresholds } from '../src/core/config.js';
+import { loadBaseline } from '../src/core/baseline.js';
+import { createWorkerPool } from '../src/core/worker-pool.js';
+import { createFileResult, formatFileText, formatFileJson } from '../src/core/report-formatter.js';
 
 if (process.argv.length < 4) {
   console.error('Usage: node scan-parallel.js <parallel> <artifactDir> <file1> <file2> ...');
@@ -14,47 +25,56 @@ const parallel = Math.max(1, parseInt(process.argv[2], 10) || 1);
 const artifactDir = process.argv[3];
 const files = process.argv.slice(4);
 
-if (!fs.existsSync(artifactDir)) fs.mkdirSync(artifactDir, { recursive: true });
 const hrDir = path.join(artifactDir, 'hr');
-if (!fs.existsSync(hrDir)) fs.mkdirSync(hrDir, { recursive: true });
-
-let idx = 0;
-let running = 0;
-let failures = 0;
+fs.mkdirSync(hrDir, { recursive: true });
 
-function runNext() {
-  if (idx >= files.length) return;
-  const file = files[idx++];
-  running++;
-  const base = path.basename(file);
+/**
+ * Scan one file and write its JSON and human-readable reports
+ * @returns {Promise<boolean>} Whether the file passed
+ */
+async function scanToArtifacts(pool, filePath, config, baseline) {
+  const base = path.basename(filePath);
   const jsonOut = path.join(artifactDir, base + '.json');
   const hrOut = path.join(hrDir, base + '.txt');
 
-  // Run JSON output
-  const p1 = spawn(process.execPath, [path.join(__dirname, '..', 'cli-scanner.js'), file, '--json'], { stdio: ['ignore', 'pipe', 'pipe'] });
-  const ws = fs.createWriteStream(jsonOut);
-  p1.stdout.pipe(ws);
-  let stderr = '';
-  p1.stderr.on('data', d => { stderr += d.toString(); });
-  p1.on('close', (code) => {
-    // Run human-readable output
-    const p2 = spawn(process.execPath, [path.join(__dirname, '..', 'cli-scanner.js'), file], { stdio: ['ignore', 'pipe', 'pipe'] });
-    const hrWs = fs.createWriteStream(hrOut);
-    p2.stdout.pipe(hrWs);
-    let stderr2 = '';
-    p2.stderr.on('data', d => { stderr2 += d.toString(); });
-    p2.on('close', (code2) => {
-      if (code !== 0 || code2 !== 0) failures++;
-      running--;
-      if (idx < files.length) runNext();
-      else if (running === 0) {
-        // done
-        process.exit(failures ? 3 : 0);
-      }
-    });
-  });
+  if (isIgnored(path.resolve(filePath), config)) {
+    fs.writeFileSync(jsonOut, JSON.stringify({ file: filePath, ignored: true, violations: [] }, null, 2) + '\n');
+    fs.writeFileSync(hrOut, `⏭️  Skipped ${filePath} (matches an ignore pattern in ${config.configPath})\n`);
+    return true;
+  }
+
+  try {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    // Absolute, so baseline entries (stored relative to the project root) match
+    const analysis = await pool.analyze({ filePath: path.resolve(filePath), config, baseline: baseline || false });
+    const result = createFileResult(filePath, analysis);
+    result.thresholds = evaluateThresholds(result.violations, config);
+    fs.writeFileSync(jsonOut, formatFileJson(result) + '\n');
+    fs.writeFileSync(hrOut, formatFileText(result) + '\n');
+    return result.thresholds.passed;
+  } catch (error) {
+    fs.rmSync(jsonOut, { force: true });
+    fs.writeFileSync(hrOut, `Error: ${error.message}\n`);
+    return false;
+  }
+}
+
+async function main() {
+  const config = loadConfig();
+  const baseline = loadBaseline(config);
+  const pool = createWorkerPool({ size: parallel });
+  let results;
+  try {
+    ({ results } = await pool.map(files, filePath => scanToArtifacts(pool, filePath, config, baseline)));
+  } finally {
+    await pool.close();
+  }
+  process.exit(results.every(Boolean) ? 0 : 3);
 }
 
-// Start initial workers
-const start = Math.min(parallel, files.length);
-for (let i = 0; i < start; i++) runNext();
+main().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(3);
+});
@@ -35,8 +35,34 @@ const scriptsDir = path.join(process.cwd(), 'scripts');
 console.log('\n📦 Copying MCP server files...');
 const filesToCopy = [
   { src: 'src/mcp-server.js', dst: path.join(a11yDir, 'mcp-server.js') },
+  { src: 'src/http-server.js', dst: path.join(a11yDir, 'http-server.js') },
   { src: 'src/core/hybrid-analyzer.js', dst: path.join(a11yDir, 'core', 'hybrid-analyzer.js') },
   { src: 'src/core/regex-analyzer.js', dst: path.join(a11yDir, 'core', 'regex-analyzer.js') },
+  { src: 'src/core/ast-analyzer.js', dst: path.join(a11yDir, 'core', 'ast-analyzer.js') },
+  { src: 'src/core/css-parser.js', dst: path.join(a11yDir, 'core', 'css-parser.js') },
+  { src: 'src/core/css-analyzer.js', dst: path.join(a11yDir, 'core', 'css-analyzer.js') },
+  { src: 'src/core/config.js', dst: path.join(a11yDir, 'core', 'config.js') },
+  { src: 'src/core/file-types.js', dst: path.join(a11yDir, 'core', 'file-types.js') },
+  { src: 'src/core/file-walker.js', dst: path.join(a11yDir, 'core', 'file-walker.js') },
+  { src: 'src/core/markup-parser.js', dst: path.join(a11yDir, 'core', 'markup-parser.js') },
+  { src: 'src/core/rule-registry.js', dst: path.join(a11yDir, 'core', 'rule-registry.js') },
+  { src: 'src/core/markup-rules.js', dst: path.join(a11yDir, 'core', 'markup-rules.js') },
+  { src: 'src/core/stylesheet-rules.js', dst: path.join(a11yDir, 'core', 'stylesheet-rules.js') },
+  { src: 'src/core/sarif-reporter.js', dst: path.join(a11yDir, 'core', 'sarif-reporter.js') },
+  { src: 'src/core/pr-review.js', dst: path.join(a11yDir, 'core', 'pr-review.js') },
+  { src: 'src/core/fingerprint.js', dst: path.join(a11yDir, 'core', 'fingerprint.js') },
+  { src: 'src/core/baseline.js', dst: path.join(a11yDir, 'core', 'baseline.js') },
+  { src: 'src/core/suppressions.js', dst: path.join(a11yDir, 'core', 'suppressions.js') },
+  { src: 'src/core/autofix.js', dst: path.join(a11yDir, 'core', 'autofix.js') },
+  { src: 'src/core/fix-suggester.js', dst: path.join(a11yDir, 'core', 'fix-suggester.js') },
+  { src: 'src/core/resources.js', dst: path.join(a11yDir, 'core', 'resources.js') },
+  { src: 'src/core/wcag.js', dst: path.join(a11yDir, 'core', 'wcag.js') },
+  { src: 'src/core/prompts.js', dst: path.join(a11yDir, 'core', 'prompts.js') },
+  { src: 'src/core/worker-pool.js', dst: path.join(a11yDir, 'core', 'worker-pool.js') },
+  { src: 'src/core/analysis-worker.js', dst: path.join(a11yDir, 'core', 'analysis-worker.js') },
+  { src: 'src/core/result-cache.js', dst: path.join(a11yDir, 'core', 'result-cache.js') },
+  { src: 'src/core/positions.js', dst: path.join(a11yDir, 'core', 'positions.js') },
+  { src: 'src/core/component-analyzer.js', dst: path.join(a11yDir, 'core', 'component-analyzer.js') },
   { src: 'scripts/color-contrast.js', dst: path.join(a11yDir, 'color-contrast.js') },
   { src: 'scripts/analyze-pr-mcp.js', dst: path.join(scriptsDir, 'analyze-pr-mcp.js') },
   { src: 'scripts/mcp-client.js', dst: path.join(scriptsDir, 'mcp-client.js') }
@@ -54,16 +80,23 @@ filesToCopy.forEach(({ src, dst }) => {
     fs.copyFileSync(srcPath, dst);
     console.log(`   ✅ Copied ${src} → ${path.relative(process.cwd(), dst)}`);
     
-    // Fix import paths in copied hybrid-analyzer.js
-    if (src === 'src/core/hybrid-analyzer.js') {
-      let content = fs.readFileSync(dst, 'utf8');
+    // Fix import paths in copied core modules (stylesheet-rules.js uses color-contrast.js)
+    let content = fs.readFileSync(dst, 'utf8');
+    if (src.startsWith('src/core/') && /scripts\/color-contrast\.js/.test(content)) {
       // Update color-contrast import path (from ../../scripts to ../)
       content = content.replace(
         /from ['"]\.\.\/\.\.\/scripts\/color-contrast\.js['"]/g,
         "from '../color-contrast.js'"
       );
       fs.writeFileSync(dst, content);
-      console.log(`   ✅ Fixed import paths in hybrid-analyzer.js`);
+      console.log(`   ✅ Fixed import paths in ${path.basename(src)}`);
+    }
+
+    // Point the PR analyzer at the copied core modules
+    if (src === 'scripts/analyze-pr-mcp.js') {
+      content = content.replace(/(['"])\.\.\/src\/core\//g, '$1../.github/a11y-mcp/core/');
+      fs.writeFileSync(dst, content);
+      console.log(`   ✅ Fixed import paths in analyze-pr-mcp.js`);
     }
   } else {
     console.log(`   ⚠️  ${src} not found, skipping`);
@@ -81,7 +114,8 @@ if (fs.existsSync(packageJsonPath)) {
     type: 'module',
     dependencies: {
       '@modelcontextprotocol/sdk': packageJson.dependencies['@modelcontextprotocol/sdk'],
-      '@octokit/rest': packageJson.dependencies['@octokit/rest']
+      '@octokit/rest': packageJson.dependencies['@octokit/rest'],
+      'typescript': packageJson.dependencies['typescript']
     }
   };
   
@@ -2,9 +2,10 @@
 /**
  * Test script to verify MCP server integration
  * Run this locally to test the MCP client before deploying to GitHub Actions
+ * All tests share one server session.
  */
 
-import { checkAccessibility, checkAccessibilityBatch } from './mcp-client.js';
+import { getClient, closeClient, checkAccessibility, checkAccessibilityBatch } from './mcp-client.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -12,6 +13,9 @@ async function testMCPIntegration() {
   console.log('🧪 Testing MCP Server Integration\n');
   
   try {
+    const client = await getClient();
+    console.log(`🔌 Connected to ${client.serverInfo.name} ${client.serverInfo.version}\n`);
+    
     // Test 1: Single file check
     console.log('Test 1: Single file accessibility check');
     const testContent = `
@@ -69,13 +73,27 @@ async function testMCPIntegration() {
       }
     }
     
+    // Test 4: Concurrent requests on the same session
+    console.log('Test 4: Concurrent requests');
+    const snippets = ['<img src="a.png" />', '<button></button>', '<div onClick={go}>Go</div>'];
+    const concurrent = await Promise.all(snippets.map((snippet, index) =>
+      checkAccessibility(`concurrent-${index}.jsx`, snippet)));
+    concurrent.forEach((concurrentResult, index) => {
+      if (concurrentResult.filePath !== `concurrent-${index}.jsx`) {
+        throw new Error(`Response for concurrent-${index}.jsx was matched to ${concurrentResult.filePath}`);
+      }
+    });
+    console.log(`✅ ${concurrent.length} concurrent checks matched to their requests\n`);
+    
     console.log('✅ All MCP integration tests passed!');
     console.log('🚀 Ready for GitHub Actions deployment');
     
   } catch (error) {
     console.error('❌ MCP integration test failed:', error.message);
     console.error(error.stack);
-    process.exit(1);
+    process.exitCode = 1;
+  } finally {
+    await closeClient();
   }
 }
 
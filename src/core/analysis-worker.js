@@ -0,0 +1,17 @@
+/**
+ * Analysis Worker
+ * Thread entry point for worker-pool.js: analyzes one file per message and posts the result back
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { analyzeFileTask } from './worker-pool.js';
+
+if (parentPort && workerData?.analysisWorker) {
+  parentPort.on('message', async ({ id, ...task }) => {
+    try {
+      parentPort.postMessage({ id, result: await analyzeFileTask(task) });
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message });
+    }
+  });
+}
@@ -0,0 +1,380 @@
+/**
+ * AST-based Accessibility Analyzer
+ * Parses JS/JSX/TS/TSX with the TypeScript compiler and runs the markup rules on JSX elements
+ * Used as the accurate path in the hybrid analyzer
+ */
+
+import ts from 'typescript';
+import path from 'path';
+import { parseMarkup } from './markup-parser.js';
+import { runRules } from './rule-registry.js';
+
+const SCRIPT_KINDS = {
+  '.js': ts.ScriptKind.JSX,
+  '.jsx': ts.ScriptKind.JSX,
+  '.mjs': ts.ScriptKind.JSX,
+  '.cjs': ts.ScriptKind.JSX,
+  '.ts': ts.ScriptKind.TS,
+  '.tsx': ts.ScriptKind.TSX
+};
+
+// Tags whose template literals contain markup (htm, lit-html, etc.)
+const MARKUP_TEMPLATE_TAGS = ['html', 'svg', 'htm'];
+
+// DOM properties that receive markup strings
+const MARKUP_PROPERTIES = ['innerHTML', 'outerHTML'];
+
+/**
+ * Check whether a file can be parsed by the AST analyzer
+ * @param {string} filePath - Path to the file
+ * @returns {boolean}
+ */
+export function supportsAST(filePath) {
+  return path.extname(filePath).toLowerCase() in SCRIPT_KINDS;
+}
+
+/**
+ * Parse a script file into a TypeScript source file
+ * @param {string} content - File content
+ * @param {string} filePath - Path to the file (used for script kind detection)
+ * @returns {ts.SourceFile}
+ */
+export function parseScript(content, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const scriptKind = SCRIPT_KINDS[ext] ?? ts.ScriptKind.JSX;
+  return ts.createSourceFile(filePath, content, ts.ScriptTarget.Latest, true, scriptKind);
+}
+
+/**
+ * Analyze a script file using its syntax tree
+ * @param {string} content - File content to analyze
+ * @param {string} filePath - Path to the file
+ * @returns {Array} Array of violation objects
+ */
+export function analyzeWithTypeScript(content, filePath) {
+  const sourceFile = parseScript(content, filePath);
+  const { elements, fragments, stateCalls } = collectNodes(sourceFile);
+
+  // Markup embedded in html`` templates, innerHTML assignments and Angular inline templates
+  const markup = blankSubstitutions(content, fragments);
+  const fragmentElements = fragments.flatMap(({ start, end, framework }) => parseMarkup(markup, { start, end, framework }));
+
+  return runRules({
+    kind: 'markup',
+    filePath,
+    content,
+    document: false,
+    elements: [...elements, ...fragmentElements].sort((a, b) => a.start - b.start),
+    fragments,
+    stateCalls: stateCalls.map(node => ({ start: node.getStart(sourceFile), end: node.getEnd() }))
+  });
+}
+
+/**
+ * Find the comments in a script file: `//` and `/* *\/` comments in the code, including
+ * `{/* *\/}` in JSX, and `<!-- -->` comments in embedded markup. Strings, template literals
+ * and JSX text are not comments, whatever they contain.
+ * @param {string} content - File content
+ * @param {string} filePath - Path to the file (used for script kind detection)
+ * @returns {Array<{ start: number, end: number }>} Comment ranges in document order
+ */
+export function scriptComments(content, filePath) {
+  const sourceFile = parseScript(content, filePath);
+  const comments = new Map();
+
+  // Every comment is trivia in front of some token: leading if it starts a line, trailing otherwise
+  const visit = node => {
+    if (node.kind === ts.SyntaxKind.JsxText) return;
+    for (const range of [...ts.getLeadingCommentRanges(content, node.pos) ?? [], ...ts.getTrailingCommentRanges(content, node.pos) ?? []]) {
+      comments.set(range.pos, { start: range.pos, end: range.end });
+    }
+    node.getChildren(sourceFile).forEach(visit);
+  };
+  visit(sourceFile);
+
+  const markupComments = [];
+  const { fragments } = collectNodes(sourceFile);
+  const markup = blankSubstitutions(content, fragments);
+  fragments.forEach(({ start, end, framework }) => parseMarkup(markup, { start, end, framework, comments: markupComments }));
+
+  return [...comments.values(), ...markupComments].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Walk the tree collecting JSX elements, embedded markup and state updates
+ */
+function collectNodes(sourceFile) {
+  const elements = [];
+  const fragments = [];
+  const stateCalls = [];
+  const objectBindings = collectObjectBindings(sourceFile);
+
+  function visit(node, parentElement) {
+    if (ts.isJsxElement(node) || ts.isJsxSelfClosingElement(node)) {
+      const element = createElement(node, parentElement, objectBindings, sourceFile);
+      elements.push(element);
+      if (parentElement) parentElement.children.push(element);
+      ts.forEachChild(node, child => visit(child, element));
+      return;
+    }
+
+    // Templates nested in another one's ${...} are fragments of their own (see blankSubstitutions)
+    if (ts.isTaggedTemplateExpression(node) && isMarkupTag(node.tag)) {
+      fragments.push(templateFragment(node.template, sourceFile));
+    } else if (ts.isBinaryExpression(node) &&
+               node.operatorToken.kind === ts.SyntaxKind.EqualsToken &&
+               ts.isPropertyAccessExpression(node.left) &&
+               MARKUP_PROPERTIES.includes(node.left.name.text) &&
+               isStringLike(node.right)) {
+      fragments.push(templateFragment(node.right, sourceFile));
+    } else if (ts.isCallExpression(node)) {
+      const callee = calleeName(node.expression);
+      if (callee === 'insertAdjacentHTML' && node.arguments[1] && isStringLike(node.arguments[1])) {
+        fragments.push(templateFragment(node.arguments[1], sourceFile));
+      }
+      if (['setState', 'useState', 'useReducer'].includes(callee)) {
+        stateCalls.push(node);
+      }
+      // @Component({ template: `...` }) holds an Angular template
+      const template = callee === 'Component' && ts.isDecorator(node.parent) && inlineTemplate(node);
+      if (template) {
+        fragments.push({ ...templateFragment(template, sourceFile), framework: 'angular' });
+      }
+    }
+
+    ts.forEachChild(node, child => visit(child, parentElement));
+  }
+
+  visit(sourceFile, null);
+  return { elements, fragments, stateCalls };
+}
+
+/**
+ * Map variable names to object literals so spreads like {...imgProps} can be resolved.
+ * Names declared more than once are left out, since we cannot tell which one applies.
+ */
+function collectObjectBindings(sourceFile) {
+  const bindings = new Map();
+  const ambiguous = new Set();
+
+  function visit(node) {
+    if (ts.isVariableDeclaration(node) && ts.isIdentifier(node.name)) {
+      const name = node.name.text;
+      if (bindings.has(name)) ambiguous.add(name);
+      if (node.initializer && ts.isObjectLiteralExpression(node.initializer)) {
+        bindings.set(name, node.initializer);
+      } else {
+        bindings.set(name, null);
+      }
+    }
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  ambiguous.forEach(name => bindings.delete(name));
+  return bindings;
+}
+
+/**
+ * Build a plain element record from a JSX node
+ * Same shape as the records from markup-parser.js, so the markup rules run on both
+ */
+function createElement(node, parent, objectBindings, sourceFile) {
+  const opening = ts.isJsxElement(node) ? node.openingElement : node;
+  const element = {
+    node,
+    tagName: opening.tagName.getText(sourceFile),
+    jsx: true,
+    attributes: new Map(),
+    hasUnresolvedSpread: false,
+    parent,
+    children: [],
+    start: node.getStart(sourceFile),
+    openEnd: opening.getEnd(),
+    end: node.getEnd()
+  };
+  element.textContent = () => textContent(element, sourceFile);
+
+  opening.attributes.properties.forEach(attr => {
+    if (ts.isJsxAttribute(attr)) {
+      const name = attr.name.getText(sourceFile);
+      element.attributes.set(name.toLowerCase(), {
+        name,
+        ...attributeValue(attr.initializer),
+        start: attr.getStart(sourceFile),
+        end: attr.getEnd()
+      });
+    } else if (ts.isJsxSpreadAttribute(attr)) {
+      const objectLiteral = resolveSpread(attr.expression, objectBindings);
+      if (!objectLiteral) {
+        element.hasUnresolvedSpread = true;
+        return;
+      }
+      objectLiteral.properties.forEach(prop => {
+        if (ts.isSpreadAssignment(prop)) {
+          element.hasUnresolvedSpread = true;
+          return;
+        }
+        const name = propertyName(prop);
+        if (name === null) {
+          element.hasUnresolvedSpread = true;
+          return;
+        }
+        element.attributes.set(name.toLowerCase(), {
+          name,
+          ...(ts.isPropertyAssignment(prop) ? expressionValue(prop.initializer) : { value: null, dynamic: true }),
+          start: prop.getStart(sourceFile),
+          end: prop.getEnd()
+        });
+      });
+    }
+  });
+
+  return element;
+}
+
+function resolveSpread(expression, objectBindings) {
+  let expr = expression;
+  while (ts.isParenthesizedExpression(expr)) expr = expr.expression;
+  if (ts.isObjectLiteralExpression(expr)) return expr;
+  if (ts.isIdentifier(expr)) return objectBindings.get(expr.text) || null;
+  return null;
+}
+
+function propertyName(prop) {
+  if (ts.isShorthandPropertyAssignment(prop)) return prop.name.text;
+  if (!prop.name) return null;
+  if (ts.isIdentifier(prop.name) || ts.isStringLiteral(prop.name)) return prop.name.text;
+  return null;
+}
+
+/**
+ * Resolve a JSX attribute initializer to a static value when possible.
+ * `value` is null for dynamic expressions.
+ */
+function attributeValue(initializer) {
+  if (!initializer) return { value: 'true', dynamic: false };
+  if (ts.isStringLiteral(initializer)) return { value: initializer.text, dynamic: false };
+  if (ts.isJsxExpression(initializer)) return expressionValue(initializer.expression);
+  return { value: null, dynamic: true };
+}
+
+function expressionValue(expression) {
+  if (!expression) return { value: 'true', dynamic: false };
+  if (ts.isStringLiteral(expression) || ts.isNoSubstitutionTemplateLiteral(expression) ||
+      ts.isNumericLiteral(expression)) {
+    return { value: expression.text, dynamic: false };
+  }
+  if (expression.kind === ts.SyntaxKind.TrueKeyword) return { value: 'true', dynamic: false };
+  if (expression.kind === ts.SyntaxKind.FalseKeyword) return { value: 'false', dynamic: false };
+  return { value: null, dynamic: true };
+}
+
+function isMarkupTag(tag) {
+  if (ts.isIdentifier(tag)) return MARKUP_TEMPLATE_TAGS.includes(tag.text);
+  if (ts.isPropertyAccessExpression(tag)) return MARKUP_TEMPLATE_TAGS.includes(tag.name.text);
+  return false;
+}
+
+/**
+ * The `template` string of an Angular @Component() decorator call
+ */
+function inlineTemplate(call) {
+  const [options] = call.arguments;
+  if (!options || !ts.isObjectLiteralExpression(options)) return null;
+  const property = options.properties.find(prop =>
+    ts.isPropertyAssignment(prop) && prop.name.getText() === 'template');
+  return property && isStringLike(property.initializer) ? property.initializer : null;
+}
+
+function isStringLike(node) {
+  return ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node) || ts.isTemplateExpression(node);
+}
+
+function calleeName(expression) {
+  if (ts.isIdentifier(expression)) return expression.text;
+  if (ts.isPropertyAccessExpression(expression)) return expression.name.text;
+  return null;
+}
+
+/**
+ * Text of a string or template literal without its quotes, plus its offsets and
+ * the spans between each `${` and `}`
+ */
+function templateFragment(node, sourceFile) {
+  const start = node.getStart(sourceFile) + 1;
+  const end = node.getEnd() - 1;
+  const substitutions = ts.isTemplateExpression(node)
+    ? node.templateSpans.map((span, index) => ({
+      start: (index === 0 ? node.head : node.templateSpans[index - 1].literal).getEnd(),
+      end: span.literal.getStart(sourceFile)
+    }))
+    : [];
+  return { start, end, text: sourceFile.text.substring(start, end), substitutions };
+}
+
+/**
+ * Copy of the content with the inside of every `${...}` in the fragments blanked (newlines kept),
+ * so strings in substitutions aren't read as markup. Fragments nested in a substitution
+ * (html`` inside html``) stay, since they are markup themselves.
+ */
+function blankSubstitutions(content, fragments) {
+  if (fragments.every(fragment => fragment.substitutions.length === 0)) return content;
+
+  const ranges = fragments
+    .flatMap(fragment => [{ ...fragment, blank: false }, ...fragment.substitutions.map(span => ({ ...span, blank: true }))])
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+  const stack = [];
+  let result = '';
+  let position = 0;
+  const emit = to => {
+    const text = content.substring(position, to);
+    result += stack[stack.length - 1]?.blank ? text.replace(/[^\n]/g, ' ') : text;
+    position = to;
+  };
+  const close = upTo => {
+    while (stack.length > 0 && stack[stack.length - 1].end <= upTo) {
+      emit(stack[stack.length - 1].end);
+      stack.pop();
+    }
+  };
+
+  ranges.forEach(range => {
+    close(range.start);
+    emit(range.start);
+    stack.push(range);
+  });
+  close(Infinity);
+  emit(content.length);
+  return result;
+}
+
+/**
+ * Text content of an element, including descendants.
+ * Expression children count as content since they render at runtime.
+ */
+function textContent(element, sourceFile) {
+  if (!ts.isJsxElement(element.node)) return '';
+  let text = '';
+
+  function visit(node) {
+    if (ts.isJsxText(node)) {
+      text += node.getText(sourceFile);
+    } else if (ts.isJsxExpression(node)) {
+      if (node.expression) {
+        text += ts.isStringLiteral(node.expression) ? node.expression.text : '{expression}';
+      }
+    } else if (ts.isJsxSelfClosingElement(node) || ts.isJsxOpeningElement(node)) {
+      const alt = node.attributes.properties.find(attr =>
+        ts.isJsxAttribute(attr) && ['alt', 'aria-label'].includes(attr.name.getText(sourceFile)));
+      const value = alt ? attributeValue(alt.initializer) : null;
+      if (value && (value.dynamic || value.value)) text += ' {label} ';
+      return;
+    } else {
+      ts.forEachChild(node, visit);
+    }
+  }
+
+  element.node.children.forEach(visit);
+  return text.replace(/\s+/g, ' ').trim();
+}
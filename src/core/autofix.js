@@ -0,0 +1,106 @@
+/**
+ * Autofix Engine
+ * Applies the text edits that rules attach to fixable violations (`violation.fix`),
+ * then re-analyzes the result to confirm each violation is gone
+ */
+
+import { analyzeFileReport } from './hybrid-analyzer.js';
+import { createPositionIndex, getPositionIndex } from './positions.js';
+
+/**
+ * Apply non-overlapping text edits
+ * @param {string} content - Original content
+ * @param {Array<{ start: number, end: number, text: string }>} edits - Offsets into the original content
+ * @returns {string}
+ */
+export function applyEdits(content, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .reduce((text, edit) => text.substring(0, edit.start) + edit.text + text.substring(edit.end), content);
+}
+
+/**
+ * Fix what can be fixed mechanically in a file
+ * A fix is applied whole or not at all; fixes whose edits overlap an earlier fix are skipped
+ * (re-running picks them up), identical edits from different rules are applied once.
+ * @param {string} content - File content
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options] - analyzeFileHybrid() options, plus:
+ * @param {string[]} [options.ruleIds] - Only fix these rules
+ * @param {number} [options.line] - Only fix violations on this line
+ * @returns {Promise<{ content: string, changed: boolean, fixes: Array, skipped: Array, violations: Array }>}
+ *   fixes: { id, line, description, confirmed }; violations: what remains after fixing
+ */
+export async function fixContent(content, filePath, options = {}) {
+  const before = await analyzeFileReport(content, filePath, options);
+  const candidates = before.violations.filter(v =>
+    (!options.ruleIds || options.ruleIds.includes(v.id)) &&
+    (options.line === undefined || v.line === options.line));
+
+  const accepted = [];
+  const acceptedKeys = new Set();
+  const applied = [];
+  const skipped = [];
+
+  candidates.forEach(violation => {
+    if (!violation.fix) {
+      skipped.push({ id: violation.id, line: violation.line, reason: 'No automatic fix for this rule' });
+      return;
+    }
+    const newEdits = violation.fix.edits.filter(edit => !acceptedKeys.has(editKey(edit)));
+    if (newEdits.some(edit => accepted.some(other => overlaps(edit, other)))) {
+      skipped.push({ id: violation.id, line: violation.line, reason: 'Overlaps another fix; run the fix again' });
+      return;
+    }
+    newEdits.forEach(edit => {
+      accepted.push(edit);
+      acceptedKeys.add(editKey(edit));
+    });
+    applied.push(violation);
+  });
+
+  if (applied.length === 0) {
+    return { content, changed: false, fixes: [], skipped, violations: before.violations };
+  }
+
+  const fixedContent = applyEdits(content, accepted);
+  const after = await analyzeFileReport(fixedContent, filePath, options);
+
+  // A fix is confirmed when the rule no longer reports the (shifted) line it was on
+  // The fixed content was just analyzed, so its index is usually already built
+  const newPositions = getPositionIndex(fixedContent);
+  const oldPositions = createPositionIndex(content);
+  const fixes = applied.map(violation => {
+    const offset = oldPositions.offsetAt(violation.line, violation.column);
+    const newLine = newPositions.positionAt(shiftOffset(offset, accepted)).line;
+    return {
+      id: violation.id,
+      line: violation.line,
+      description: violation.fix.description,
+      confirmed: !after.violations.some(v => v.id === violation.id && v.line === newLine)
+    };
+  });
+
+  return { content: fixedContent, changed: true, fixes, skipped, violations: after.violations };
+}
+
+function editKey(edit) {
+  return `${edit.start}:${edit.end}:${edit.text}`;
+}
+
+function overlaps(a, b) {
+  // Two insertions at the same point conflict too: their order would be arbitrary
+  if (a.start === a.end && b.start === b.end) return a.start === b.start;
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Where an offset in the original content ends up after the edits
+ */
+function shiftOffset(offset, edits) {
+  return edits.reduce((shifted, edit) => {
+    if (edit.end <= offset && edit.start !== offset) return shifted + edit.text.length - (edit.end - edit.start);
+    if (edit.start < offset && offset < edit.end) return shifted - (offset - edit.start);
+    return shifted;
+  }, offset);
+}
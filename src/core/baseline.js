@@ -0,0 +1,149 @@
+/**
+ * Baseline
+ * Records known violations in .a11y/baseline.json so they can be left out of later results
+ * Entries are matched by fingerprint (rule id + code), so they survive line shifts
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG_DIR, relativeToRoot } from './config.js';
+import { fingerprintViolation } from './fingerprint.js';
+
+export const BASELINE_FILE = 'baseline.json';
+const BASELINE_VERSION = 1;
+
+const cache = new Map();
+
+/**
+ * Location of the baseline for a project
+ * @param {Object} config - Result of loadConfig()
+ * @returns {string}
+ */
+export function baselinePath(config) {
+  return path.join(config.rootDir, CONFIG_DIR, BASELINE_FILE);
+}
+
+/**
+ * Build a baseline from analysis results
+ * @param {Array<{ filePath: string, violations: Array }>} fileResults - One entry per analyzed file
+ * @param {Object} config - Result of loadConfig(); file paths are stored relative to its rootDir
+ * @returns {Object} Baseline document
+ */
+export function createBaseline(fileResults, config) {
+  const entries = fileResults.flatMap(({ filePath, violations }) => violations.map(violation => ({
+    file: relativeToRoot(filePath, config),
+    ruleId: violation.id,
+    fingerprint: fingerprintViolation(violation),
+    // Informational only; matching ignores it
+    line: violation.line
+  })));
+
+  return {
+    version: BASELINE_VERSION,
+    generatedAt: new Date().toISOString(),
+    entries: sortEntries(entries)
+  };
+}
+
+/**
+ * Write .a11y/baseline.json
+ * Entries for files outside this scan are kept, unless the file no longer exists.
+ * @param {Array<{ filePath: string, violations: Array }>} fileResults - Unfiltered analysis results
+ * @param {Object} config - Result of loadConfig()
+ * @returns {{ path: string, baseline: Object }}
+ */
+export function writeBaseline(fileResults, config) {
+  const baseline = createBaseline(fileResults, config);
+  const scanned = new Set(fileResults.map(({ filePath }) => relativeToRoot(filePath, config)));
+
+  const existing = loadBaseline(config);
+  if (existing) {
+    const kept = existing.entries.filter(entry =>
+      !scanned.has(entry.file) && fs.existsSync(path.join(config.rootDir, entry.file)));
+    baseline.entries = sortEntries([...baseline.entries, ...kept]);
+  }
+
+  const filePath = baselinePath(config);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(baseline, null, 2) + '\n');
+  return { path: filePath, baseline };
+}
+
+function sortEntries(entries) {
+  return entries.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.ruleId.localeCompare(b.ruleId));
+}
+
+/**
+ * Load the project's baseline, if there is one
+ * Cached per file and reloaded when the file changes.
+ * @param {Object} config - Result of loadConfig()
+ * @returns {Object|null} Baseline with entries grouped by file in `byFile`
+ */
+export function loadBaseline(config) {
+  const filePath = baselinePath(config);
+  if (!fs.existsSync(filePath)) return null;
+
+  const { mtimeMs } = fs.statSync(filePath);
+  const cached = cache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.baseline;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+  if (!raw || !Array.isArray(raw.entries) ||
+      !raw.entries.every(entry => entry && typeof entry.file === 'string' && typeof entry.fingerprint === 'string')) {
+    throw new Error(`Invalid baseline ${filePath}: expected { "entries": [{ "file", "ruleId", "fingerprint" }] }`);
+  }
+
+  const byFile = new Map();
+  raw.entries.forEach(entry => {
+    if (!byFile.has(entry.file)) byFile.set(entry.file, []);
+    byFile.get(entry.file).push(entry);
+  });
+  const baseline = { ...raw, path: filePath, byFile };
+  cache.set(filePath, { mtimeMs, baseline });
+  return baseline;
+}
+
+/**
+ * Split a file's violations into new and baselined ones
+ * Each entry matches at most one violation, so a second copy of a baselined violation is still reported.
+ * @param {Array} violations - Violations for one file
+ * @param {string} filePath - Absolute path, or relative to the project root
+ * @param {Object|null} baseline - Result of loadBaseline()
+ * @param {Object} config - Result of loadConfig()
+ * @returns {{ violations: Array, baselined: Array, staleEntries: Array }} staleEntries no longer match anything
+ */
+export function matchBaseline(violations, filePath, baseline, config) {
+  const entries = baseline?.byFile.get(relativeToRoot(filePath, config));
+  if (!entries) return { violations, baselined: [], staleEntries: [] };
+
+  const remaining = [...entries];
+  const baselined = [];
+  const reported = violations.filter(violation => {
+    const fingerprint = fingerprintViolation(violation);
+    const index = remaining.findIndex(entry => entry.fingerprint === fingerprint);
+    if (index === -1) return true;
+    remaining.splice(index, 1);
+    baselined.push(violation);
+    return false;
+  });
+
+  return { violations: reported, baselined, staleEntries: remaining };
+}
+
+/**
+ * Baseline entries for files that no longer exist
+ * @param {Object|null} baseline - Result of loadBaseline()
+ * @param {Object} config - Result of loadConfig()
+ * @returns {Array}
+ */
+export function findMissingFileEntries(baseline, config) {
+  if (!baseline) return [];
+  return [...baseline.byFile.entries()]
+    .filter(([file]) => !fs.existsSync(path.join(config.rootDir, file)))
+    .flatMap(([, entries]) => entries);
+}
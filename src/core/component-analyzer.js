@@ -0,0 +1,226 @@
+/**
+ * Single-File Component Analyzer
+ * Splits Vue, Svelte and Astro components into markup, script and style blocks and runs
+ * each through the analyzer for its language. Script and style blocks are analyzed on their
+ * own text and their findings moved back, so line numbers, columns and fix offsets point
+ * into the original component file.
+ */
+
+import path from 'path';
+import { parseMarkup } from './markup-parser.js';
+import { runRules } from './rule-registry.js';
+import { analyzeMarkup } from './regex-analyzer.js';
+import { analyzeStylesheet } from './css-analyzer.js';
+import { analyzeWithTypeScript } from './ast-analyzer.js';
+import { getPositionIndex } from './positions.js';
+
+// Extension each block is analyzed as, by its lang attribute; other languages (pug, less, ...) are skipped
+const SCRIPT_LANGS = { '': '.js', js: '.js', jsx: '.jsx', ts: '.ts', tsx: '.tsx' };
+const STYLE_LANGS = { '': '.css', css: '.css', postcss: '.css', scss: '.scss' };
+const TEMPLATE_LANGS = ['', 'html'];
+
+// Astro's frontmatter: a TypeScript block between --- fences at the top of the file
+const FRONTMATTER = /^(\s*---[^\S\n]*\r?\n)([\s\S]*?)^---[^\S\n]*$/m;
+
+const BLOCK_START = /<([A-Za-z][\w-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/y;
+
+/**
+ * Find the top-level blocks of a Vue single-file component
+ * @param {string} content - Component source
+ * @param {Object} [options]
+ * @param {Array} [options.comments] - Receives a `{ start, end }` range for every top-level `<!-- -->` comment
+ * @returns {Array<{ type: string, lang: string, src: string|null, start: number, end: number }>}
+ *   `type` is the tag name (template, script, style or a custom block); `start`/`end` delimit its content
+ */
+export function splitComponent(content, options = {}) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < content.length) {
+    const lt = content.indexOf('<', i);
+    if (lt === -1) break;
+
+    if (content.startsWith('<!--', lt)) {
+      const end = content.indexOf('-->', lt + 4);
+      i = end === -1 ? content.length : end + 3;
+      if (options.comments) options.comments.push({ start: lt, end: i });
+      continue;
+    }
+
+    BLOCK_START.lastIndex = lt;
+    const open = BLOCK_START.exec(content);
+    if (!open) {
+      i = lt + 1;
+      continue;
+    }
+
+    const type = open[1].toLowerCase();
+    const start = lt + open[0].length;
+    if (open[3]) {
+      i = start;
+      continue;
+    }
+
+    const close = type === 'template' ? findTemplateEnd(content, start) : findClosingTag(content, type, start);
+    blocks.push({
+      type,
+      lang: attributeValue(open[2], 'lang').toLowerCase(),
+      src: attributeValue(open[2], 'src') || null,
+      start,
+      end: close ? close.index : content.length
+    });
+    i = close ? close.index + close[0].length : content.length;
+  }
+
+  return blocks;
+}
+
+/**
+ * Analyze a Vue, Svelte or Astro component
+ * @param {string} content - Component source
+ * @param {string} filePath - Path to the .vue, .svelte or .astro file
+ * @returns {Array} Array of violation objects, positioned in the original file
+ */
+export function analyzeComponent(content, filePath) {
+  return componentBlocks(content, filePath).flatMap(block => {
+    if (block.type !== 'template') return analyzeBlock(content, filePath, block);
+    return block.elements ? analyzeTemplate(content, filePath, block.elements) : [];
+  });
+}
+
+/**
+ * Split a Vue, Svelte or Astro component into its markup, script and style blocks
+ * @param {string} content - Component source
+ * @param {string} filePath - Path to the .vue, .svelte or .astro file
+ * @param {Object} [options]
+ * @param {Array} [options.comments] - Receives a `{ start, end }` range for every `<!-- -->` comment in the markup
+ * @returns {Array} Blocks as returned by splitComponent; markup blocks have `type: 'template'` and carry
+ *   their parsed `elements` (null when the template is not HTML)
+ */
+export function componentBlocks(content, filePath, options = {}) {
+  const framework = path.extname(filePath).toLowerCase().substring(1);
+  const comments = options.comments;
+
+  if (framework === 'vue') {
+    return splitComponent(content, { comments }).map(block => {
+      if (block.type !== 'template') return block;
+      const html = !block.src && block.start !== block.end && TEMPLATE_LANGS.includes(block.lang);
+      return { ...block, elements: html ? parseMarkup(content, { start: block.start, end: block.end, framework, comments }) : null };
+    });
+  }
+
+  // Svelte and Astro files are markup, with <script> and <style> elements among it
+  const fence = framework === 'astro' ? FRONTMATTER.exec(content) : null;
+  const frontmatter = fence?.index === 0 ? fence : null;
+  const markupStart = frontmatter ? frontmatter.index + frontmatter[0].length : 0;
+  const elements = parseMarkup(content, { start: markupStart, framework, comments });
+  const blocks = elements
+    .filter(el => el.tagName === 'script' || el.tagName === 'style')
+    .map(el => ({
+      type: el.tagName,
+      lang: (getAttributeValue(el, 'lang') || (framework === 'astro' && el.tagName === 'script' ? 'ts' : '')).toLowerCase(),
+      src: getAttributeValue(el, 'src'),
+      start: el.innerStart,
+      end: el.innerEnd
+    }));
+  if (frontmatter) {
+    const start = frontmatter.index + frontmatter[1].length;
+    blocks.unshift({ type: 'script', lang: 'ts', src: null, start, end: start + frontmatter[2].length });
+  }
+
+  return [{ type: 'template', lang: '', src: null, start: markupStart, end: content.length, elements }, ...blocks];
+}
+
+/**
+ * Extension a <script> or <style> block is analyzed as, e.g. '.ts' for `<script lang="ts">`
+ * @returns {string|null} null for template blocks and languages that are not analyzed
+ */
+export function blockExtension(block) {
+  if (block.type === 'script') return SCRIPT_LANGS[block.lang] || null;
+  if (block.type === 'style') return STYLE_LANGS[block.lang] || null;
+  return null;
+}
+
+function analyzeTemplate(content, filePath, elements) {
+  return runRules({ kind: 'markup', filePath, content, document: false, elements });
+}
+
+/**
+ * Analyze a <script> or <style> block as a file of its own language
+ */
+function analyzeBlock(content, filePath, block) {
+  const extension = blockExtension(block);
+  if (block.src || block.start === block.end || !extension) return [];
+  const text = content.substring(block.start, block.end);
+  let violations = [];
+
+  if (block.type === 'script') {
+    const scriptPath = filePath + extension;
+    try {
+      violations = analyzeWithTypeScript(text, scriptPath);
+    } catch (error) {
+      console.warn(`AST parsing failed for ${filePath} <script>, using fast-path results only:`, error.message);
+      violations = analyzeMarkup(text, scriptPath);
+    }
+  } else {
+    violations = analyzeStylesheet(text, filePath + extension);
+  }
+
+  return violations.length > 0 ? violations.map(moveBy(getPositionIndex(content).positionAt(block.start), block.start)) : [];
+}
+
+/**
+ * Move a finding from a block's own text to where the block starts in the file
+ * @param {{ line: number, column: number }} origin - Position of the block's first character
+ * @param {number} offset - Offset of the block's first character
+ */
+function moveBy(origin, offset) {
+  const line = value => value + origin.line - 1;
+  const column = (lineInBlock, value) => lineInBlock === 1 ? value + origin.column - 1 : value;
+  const edits = fix => fix && { ...fix, edits: fix.edits.map(edit => ({ ...edit, start: edit.start + offset, end: edit.end + offset })) };
+
+  return violation => ({
+    ...violation,
+    line: line(violation.line),
+    column: column(violation.line, violation.column),
+    endLine: line(violation.endLine),
+    endColumn: column(violation.endLine, violation.endColumn),
+    ...(violation.fix && { fix: edits(violation.fix) }),
+    ...(violation.suggestion && { suggestion: edits(violation.suggestion) })
+  });
+}
+
+function findClosingTag(content, type, from) {
+  const pattern = new RegExp(`</${type}\\s*>`, 'gi');
+  pattern.lastIndex = from;
+  return pattern.exec(content);
+}
+
+/**
+ * End of a <template> block, skipping the nested <template v-if> / <template #slot> tags inside it
+ */
+function findTemplateEnd(content, from) {
+  const pattern = /<template\b(?:"[^"]*"|'[^']*'|[^>"'])*>|<\/template\s*>/gi;
+  pattern.lastIndex = from;
+  let depth = 0;
+  let match;
+  while ((match = pattern.exec(content)) !== null) {
+    if (match[0][1] === '/') {
+      if (depth === 0) return match;
+      depth--;
+    } else if (!match[0].endsWith('/>')) {
+      depth++;
+    }
+  }
+  return null;
+}
+
+function getAttributeValue(element, name) {
+  const attr = element.attributes.get(name);
+  return attr && !attr.dynamic ? attr.value : null;
+}
+
+function attributeValue(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(attributes);
+  return match ? match[1] ?? match[2] ?? match[3] : '';
+}
@@ -0,0 +1,418 @@
+/**
+ * Configuration Loader
+ * Reads and validates .a11y/config.json and applies it to analysis results
+ * Shared by the hybrid analyzer, MCP server, CLI scanner and PR analyzer
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getRules } from './rule-registry.js';
+
+export const CONFIG_DIR = '.a11y';
+export const CONFIG_FILE = 'config.json';
+
+const SEVERITIES = ['error', 'warning', 'info'];
+const WCAG_LEVELS = ['A', 'AA', 'AAA'];
+
+/**
+ * Rule groups used as keys in `rules` and `excludedRules`, built from each rule's category.
+ * Individual rule ids can be used as keys as well and take precedence over their group.
+ */
+export const RULE_CATEGORIES = getRules().reduce((categories, rule) => {
+  (categories[rule.category] ||= []).push(rule.id);
+  return categories;
+}, {
+  // Design-system checks are configured here but not implemented by the analyzers yet
+  'lds-components': []
+});
+
+const KNOWN_RULE_IDS = new Set(getRules().map(rule => rule.id));
+
+export const DEFAULT_CONFIG = {
+  wcagLevel: 'AA',
+  wcagVersion: '2.2',
+  strictMode: true,
+  rules: {},
+  excludedRules: [],
+  failureThresholds: {
+    error: 0,
+    warning: 0
+  },
+  ignore: [],
+  // Reuse findings for unchanged files from .a11y/cache
+  cache: true,
+  pullRequests: {
+    // Report only violations the PR introduced (matched against the base branch)
+    newViolationsOnly: true,
+    // Also list violations the PR fixed
+    reportFixed: false
+  }
+};
+
+const cache = new Map();
+
+/**
+ * Find the nearest .a11y/config.json, starting at a directory and walking up
+ * @param {string} [startDir=process.cwd()] - Directory to start from
+ * @returns {string|null} Absolute path to the config file
+ */
+export function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    const candidate = path.join(dir, CONFIG_DIR, CONFIG_FILE);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Load, validate and normalize the configuration
+ * Falls back to DEFAULT_CONFIG when no config file exists.
+ * Results are cached per file and reloaded when the file changes.
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory to search from
+ * @param {string} [options.configPath] - Explicit path to a config file
+ * @returns {Object} Normalized config with `rootDir` and `configPath`
+ */
+export function loadConfig(options = {}) {
+  const configPath = options.configPath
+    ? path.resolve(options.configPath)
+    : findConfigFile(options.cwd);
+
+  if (!configPath) {
+    return normalizeConfig({}, path.resolve(options.cwd || process.cwd()), null);
+  }
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  const { mtimeMs } = fs.statSync(configPath);
+  const cached = cache.get(configPath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.config;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${configPath}: ${error.message}`);
+  }
+
+  const errors = validateConfig(raw);
+  if (errors.length > 0) {
+    throw new Error(`Invalid accessibility config ${configPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  // .a11y/config.json lives one level below the project root
+  const rootDir = path.basename(path.dirname(configPath)) === CONFIG_DIR
+    ? path.dirname(path.dirname(configPath))
+    : path.dirname(configPath);
+  const config = normalizeConfig(raw, rootDir, configPath);
+  cache.set(configPath, { mtimeMs, config });
+  return config;
+}
+
+/**
+ * Validate a raw config object against the schema
+ * @param {Object} raw - Parsed config.json
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateConfig(raw) {
+  const errors = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (!isObject(raw)) return ['config must be a JSON object'];
+
+  if (raw.wcagLevel !== undefined && !WCAG_LEVELS.includes(raw.wcagLevel)) {
+    errors.push(`wcagLevel must be one of ${WCAG_LEVELS.join(', ')}`);
+  }
+  if (raw.wcagVersion !== undefined && typeof raw.wcagVersion !== 'string') {
+    errors.push('wcagVersion must be a string');
+  }
+  if (raw.strictMode !== undefined && typeof raw.strictMode !== 'boolean') {
+    errors.push('strictMode must be a boolean');
+  }
+  if (raw.ldsEnforcement !== undefined && !isObject(raw.ldsEnforcement)) {
+    errors.push('ldsEnforcement must be an object');
+  }
+
+  if (raw.rules !== undefined) {
+    if (!isObject(raw.rules)) {
+      errors.push('rules must be an object');
+    } else {
+      Object.entries(raw.rules).forEach(([name, setting]) => {
+        if (!(name in RULE_CATEGORIES) && !KNOWN_RULE_IDS.has(name)) {
+          errors.push(`rules.${name} is not a known rule or rule group`);
+        }
+        if (typeof setting === 'string' || typeof setting === 'boolean') return;
+        if (!isObject(setting)) {
+          errors.push(`rules.${name} must be an object, a severity or a boolean`);
+          return;
+        }
+        if (setting.enabled !== undefined && typeof setting.enabled !== 'boolean') {
+          errors.push(`rules.${name}.enabled must be a boolean`);
+        }
+        if (setting.severity !== undefined && ![...SEVERITIES, 'off'].includes(setting.severity)) {
+          errors.push(`rules.${name}.severity must be one of ${[...SEVERITIES, 'off'].join(', ')}`);
+        }
+      });
+    }
+  }
+
+  if (raw.excludedRules !== undefined) {
+    if (!isStringArray(raw.excludedRules)) {
+      errors.push('excludedRules must be an array of strings');
+    } else {
+      raw.excludedRules
+        .filter(name => !(name in RULE_CATEGORIES) && !KNOWN_RULE_IDS.has(name))
+        .forEach(name => errors.push(`excludedRules: "${name}" is not a known rule or rule group`));
+    }
+  }
+
+  if (raw.failureThresholds !== undefined) {
+    if (!isObject(raw.failureThresholds)) {
+      errors.push('failureThresholds must be an object');
+    } else {
+      Object.entries(raw.failureThresholds).forEach(([severity, limit]) => {
+        if (!SEVERITIES.includes(severity)) {
+          errors.push(`failureThresholds.${severity} is not a severity (${SEVERITIES.join(', ')})`);
+        }
+        if (!Number.isInteger(limit) || limit < 0) {
+          errors.push(`failureThresholds.${severity} must be a non-negative integer`);
+        }
+      });
+    }
+  }
+
+  if (raw.ignore !== undefined && !isStringArray(raw.ignore)) {
+    errors.push('ignore must be an array of glob strings');
+  }
+  if (raw.cache !== undefined && typeof raw.cache !== 'boolean') {
+    errors.push('cache must be a boolean');
+  }
+
+  if (raw.pullRequests !== undefined) {
+    if (!isObject(raw.pullRequests)) {
+      errors.push('pullRequests must be an object');
+    } else {
+      Object.entries(raw.pullRequests).forEach(([name, value]) => {
+        if (!(name in DEFAULT_CONFIG.pullRequests)) {
+          errors.push(`pullRequests.${name} is not a known option (${Object.keys(DEFAULT_CONFIG.pullRequests).join(', ')})`);
+        } else if (typeof value !== 'boolean') {
+          errors.push(`pullRequests.${name} must be a boolean`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+function normalizeConfig(raw, rootDir, configPath) {
+  return {
+    ...DEFAULT_CONFIG,
+    ...raw,
+    rules: { ...DEFAULT_CONFIG.rules, ...raw.rules },
+    excludedRules: raw.excludedRules || DEFAULT_CONFIG.excludedRules,
+    failureThresholds: { ...DEFAULT_CONFIG.failureThresholds, ...raw.failureThresholds },
+    ignore: raw.ignore || DEFAULT_CONFIG.ignore,
+    pullRequests: { ...DEFAULT_CONFIG.pullRequests, ...raw.pullRequests },
+    rootDir,
+    configPath
+  };
+}
+
+/**
+ * Effective setting for a rule id: rule id entries win over their group
+ * @returns {{ enabled: boolean, severity: string|undefined }}
+ */
+export function getRuleSetting(ruleId, config) {
+  const groups = Object.keys(RULE_CATEGORIES).filter(group => RULE_CATEGORIES[group].includes(ruleId));
+  const excluded = config.excludedRules.some(name => name === ruleId || groups.includes(name));
+  const setting = { enabled: !excluded, severity: undefined };
+
+  [...groups, ruleId].forEach(name => {
+    const entry = config.rules[name];
+    if (entry === undefined) return;
+    if (typeof entry === 'boolean') {
+      setting.enabled = entry;
+    } else if (typeof entry === 'string') {
+      setting.enabled = entry !== 'off';
+      if (entry !== 'off') setting.severity = entry;
+    } else {
+      if (entry.enabled !== undefined) setting.enabled = entry.enabled;
+      if (entry.severity === 'off') setting.enabled = false;
+      else if (entry.severity) setting.severity = entry.severity;
+    }
+  });
+
+  if (excluded) setting.enabled = false;
+  return setting;
+}
+
+/**
+ * Drop disabled rules, apply severity overrides and the WCAG level filter
+ * @param {Array} violations - Violations from the analyzers
+ * @param {Object} config - Result of loadConfig()
+ * @returns {Array} Violations that apply under this config
+ */
+export function applyConfig(violations, config) {
+  return violations
+    .filter(v => meetsWcagLevel(v, config.wcagLevel))
+    .map(v => {
+      const setting = getRuleSetting(v.id, config);
+      if (!setting.enabled) return null;
+      return setting.severity && setting.severity !== v.severity
+        ? { ...v, severity: setting.severity }
+        : v;
+    })
+    .filter(Boolean);
+}
+
+function meetsWcagLevel(violation, level) {
+  const tags = violation.tags || [];
+  if (level === 'A') return !tags.includes('wcag-aa') && !tags.includes('wcag-aaa');
+  if (level === 'AA') return !tags.includes('wcag-aaa');
+  return true;
+}
+
+/**
+ * Whether a file matches one of the config's ignore globs
+ * @param {string} filePath - Absolute path, or relative to the project root
+ * @param {Object} config - Result of loadConfig()
+ * @returns {boolean}
+ */
+export function isIgnored(filePath, config) {
+  if (config.ignore.length === 0) return false;
+  const normalized = relativeToRoot(filePath, config);
+  return config.ignore.some(glob => matchesGlob(normalized, glob));
+}
+
+/**
+ * Whether a whole directory is ignored, so it does not need to be walked
+ * Only globs ending in `/**` exclude directories, e.g. `dist/**`
+ * @param {string} dirPath - Absolute path, or relative to the project root
+ * @param {Object} config - Result of loadConfig()
+ * @returns {boolean}
+ */
+export function isIgnoredDirectory(dirPath, config) {
+  const normalized = relativeToRoot(dirPath, config);
+  return config.ignore.some(glob => glob.endsWith('/**') && matchesGlob(normalized, glob.slice(0, -3)));
+}
+
+/**
+ * Forward-slash path relative to the project root (the directory containing .a11y/)
+ * @param {string} filePath - Absolute path, or already relative to the project root
+ * @param {Object} config - Result of loadConfig()
+ * @returns {string}
+ */
+export function relativeToRoot(filePath, config) {
+  const relative = path.isAbsolute(filePath)
+    ? path.relative(config.rootDir, filePath)
+    : path.normalize(filePath);
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Whether a path is inside the project root, after resolving symlinks
+ * Paths that do not exist yet are checked through their nearest existing parent.
+ * @param {string} filePath - Absolute path, or relative to the working directory
+ * @param {Object} config - Result of loadConfig()
+ * @returns {boolean}
+ */
+export function isInsideRoot(filePath, config) {
+  let existing = path.resolve(filePath);
+  const missing = [];
+  while (!fs.existsSync(existing) && path.dirname(existing) !== existing) {
+    missing.unshift(path.basename(existing));
+    existing = path.dirname(existing);
+  }
+  const relative = path.relative(fs.realpathSync(config.rootDir), path.join(fs.realpathSync(existing), ...missing));
+  return relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+}
+
+/**
+ * Match a slash-separated path against a glob (`**`, `*`, `?`, `[abc]`, `{a,b}`)
+ * Globs without a slash match the file name at any depth, like .gitignore
+ */
+export function matchesGlob(filePath, glob) {
+  const target = glob.includes('/') ? filePath : filePath.split('/').pop();
+  return globToRegExp(glob.replace(/^\.\//, '')).test(target);
+}
+
+/**
+ * Convert a glob to an anchored regular expression
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  let braceDepth = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        // `**/` matches zero or more directories, a trailing `**` matches everything
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[') {
+      const end = glob.indexOf(']', i);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${glob.substring(i + 1, end).replace(/^!/, '^')}]`;
+        i = end;
+      }
+    } else if (ch === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (ch === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (ch === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += ch.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Decide pass or fail from the failure thresholds
+ * Errors always count; warnings and info only count in strict mode.
+ * @param {Array|Object} violationsOrCounts - Violations, or counts like { errors, warnings, info }
+ * @param {Object} config - Result of loadConfig()
+ * @returns {{ passed: boolean, counts: Object, thresholds: Object, exceeded: string[] }}
+ */
+export function evaluateThresholds(violationsOrCounts, config) {
+  const counts = Array.isArray(violationsOrCounts)
+    ? {
+        error: violationsOrCounts.filter(v => v.severity === 'error').length,
+        warning: violationsOrCounts.filter(v => v.severity === 'warning').length,
+        info: violationsOrCounts.filter(v => v.severity === 'info').length
+      }
+    : {
+        error: violationsOrCounts.errors || 0,
+        warning: violationsOrCounts.warnings || 0,
+        info: violationsOrCounts.info || 0
+      };
+
+  const thresholds = config.failureThresholds;
+  const exceeded = SEVERITIES
+    .filter(severity => severity === 'error' || config.strictMode)
+    .filter(severity => thresholds[severity] !== undefined && counts[severity] > thresholds[severity])
+    .map(severity => `${counts[severity]} ${severity}(s) exceed the limit of ${thresholds[severity]}`);
+
+  return { passed: exceeded.length === 0, counts, thresholds, exceeded };
+}
@@ -0,0 +1,40 @@
+/**
+ * Stylesheet Accessibility Analyzer
+ * Runs the stylesheet rules from the registry against a parsed stylesheet, so every
+ * check sees real selectors and declaration blocks instead of raw text
+ */
+
+import path from 'path';
+import { parseStylesheet, walkRules, collectVariables, resolveValue } from './css-parser.js';
+import { runRules } from './rule-registry.js';
+
+/**
+ * Parse a stylesheet using the syntax implied by the file extension
+ * @param {string} content - Stylesheet source
+ * @param {string} filePath - Path to the file
+ * @returns {Object} Root node
+ */
+export function parseFile(content, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return parseStylesheet(content, { syntax: ext === '.scss' ? 'scss' : 'css' });
+}
+
+/**
+ * Analyze a stylesheet for accessibility violations
+ * @param {string} content - File content to analyze
+ * @param {string} filePath - Path to the file (used for syntax detection)
+ * @returns {Array} Array of violation objects
+ */
+export function analyzeStylesheet(content, filePath) {
+  const root = parseFile(content, filePath);
+  const variables = collectVariables(root);
+
+  return runRules({
+    kind: 'stylesheet',
+    filePath,
+    content,
+    root,
+    rules: walkRules(root),
+    valueOf: decl => resolveValue(decl.value, variables)
+  });
+}
@@ -0,0 +1,341 @@
+/**
+ * Stylesheet Parser
+ * Builds a PostCSS-style tree (root, rules, at-rules, declarations) for CSS and SCSS
+ * Handles comments, strings, nesting, `&` parent selectors, @media and mixins
+ */
+
+/**
+ * Parse a stylesheet into a tree of nodes
+ * @param {string} content - Stylesheet source
+ * @param {Object} [options]
+ * @param {string} [options.syntax='css'] - 'css' or 'scss' (enables // comments and #{} interpolation)
+ * @param {Array} [options.comments] - Receives a `{ start, end }` range for every comment
+ * @returns {Object} Root node: { type: 'root', nodes: [] }
+ */
+export function parseStylesheet(content, options = {}) {
+  const scss = options.syntax === 'scss';
+  const root = { type: 'root', nodes: [], parent: null };
+  let i = 0;
+  let line = 1;
+  let column = 1;
+
+  const position = () => ({ offset: i, line, column });
+
+  function advance(count = 1) {
+    for (let n = 0; n < count && i < content.length; n++) {
+      if (content[i] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      i++;
+    }
+  }
+
+  function skipComment() {
+    const start = i;
+    if (content.startsWith('/*', i)) {
+      const end = content.indexOf('*/', i + 2);
+      advance(end === -1 ? content.length - i : end + 2 - i);
+    } else if (scss && content.startsWith('//', i) && content[i - 1] !== ':') {
+      const end = content.indexOf('\n', i);
+      advance(end === -1 ? content.length - i : end - i);
+    } else {
+      return false;
+    }
+    if (options.comments) options.comments.push({ start, end: i });
+    return true;
+  }
+
+  function skipWhitespaceAndComments() {
+    while (i < content.length) {
+      if (/\s/.test(content[i])) {
+        advance();
+      } else if (!skipComment()) {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Read up to the next `{`, `;` or `}` outside strings, parentheses, brackets and interpolation.
+   * Comments inside the statement are dropped from the returned text. Inside parentheses and
+   * brackets `//` is not a comment, as in Sass, so `url(//cdn.example.com/a.png)` stays intact.
+   */
+  function readStatement() {
+    let text = '';
+    let depth = 0;
+    while (i < content.length) {
+      const ch = content[i];
+      if (ch === '"' || ch === "'") {
+        const start = i;
+        advance();
+        while (i < content.length && content[i] !== ch) {
+          advance(content[i] === '\\' ? 2 : 1);
+        }
+        advance();
+        text += content.substring(start, i);
+        continue;
+      }
+      if (content.startsWith('/*', i) || (scss && depth === 0 && content.startsWith('//', i) && content[i - 1] !== ':')) {
+        skipComment();
+        text += ' ';
+        continue;
+      }
+      if (scss && content.startsWith('#{', i)) {
+        const start = i;
+        let braces = 0;
+        do {
+          if (content[i] === '{') braces++;
+          if (content[i] === '}') braces--;
+          advance();
+        } while (i < content.length && braces > 0);
+        text += content.substring(start, i);
+        continue;
+      }
+      if (ch === '(' || ch === '[') depth++;
+      if ((ch === ')' || ch === ']') && depth > 0) depth--;
+      if (depth === 0 && (ch === '{' || ch === ';' || ch === '}')) {
+        return { text, terminator: ch };
+      }
+      text += ch;
+      advance();
+    }
+    return { text, terminator: null };
+  }
+
+  function parseBlock(parent) {
+    while (i < content.length) {
+      skipWhitespaceAndComments();
+      if (i >= content.length) return;
+      if (content[i] === '}') {
+        if (parent.type === 'root') {
+          // Stray closing brace: skip it and keep going
+          advance();
+          continue;
+        }
+        advance();
+        parent.source.end = position();
+        return;
+      }
+      if (content[i] === ';') {
+        advance();
+        continue;
+      }
+
+      const start = position();
+      const { text, terminator } = readStatement();
+      const raw = text.trim();
+
+      if (terminator === '{') {
+        advance();
+        const node = raw.startsWith('@')
+          ? createAtRule(raw, start, parent, [])
+          : createRule(raw, start, parent);
+        parent.nodes.push(node);
+        parseBlock(node);
+        if (!node.source.end) node.source.end = position();
+        continue;
+      }
+
+      if (terminator === ';') advance();
+      if (!raw) continue;
+
+      if (raw.startsWith('@')) {
+        const node = createAtRule(raw, start, parent, undefined);
+        node.source.end = position();
+        parent.nodes.push(node);
+      } else {
+        const decl = createDeclaration(raw, start, parent);
+        if (decl) {
+          decl.source.end = position();
+          parent.nodes.push(decl);
+        }
+      }
+    }
+  }
+
+  parseBlock(root);
+  return root;
+}
+
+function createRule(selector, start, parent) {
+  const selectors = splitSelectors(selector);
+  return {
+    type: 'rule',
+    selector,
+    selectors,
+    resolvedSelectors: resolveSelectors(selectors, parent),
+    nodes: [],
+    parent,
+    source: { start }
+  };
+}
+
+function createAtRule(raw, start, parent, nodes) {
+  const match = /^@([\w-]+)\s*([\s\S]*)$/.exec(raw);
+  const node = {
+    type: 'atrule',
+    name: match ? match[1].toLowerCase() : '',
+    params: match ? match[2].trim() : '',
+    parent,
+    source: { start }
+  };
+  if (nodes) node.nodes = nodes;
+  return node;
+}
+
+function createDeclaration(raw, start, parent) {
+  const colon = raw.indexOf(':');
+  if (colon <= 0) return null;
+  let value = raw.substring(colon + 1).trim();
+  const important = /!\s*important\s*$/i.test(value);
+  if (important) value = value.replace(/!\s*important\s*$/i, '').trim();
+  return {
+    type: 'decl',
+    prop: raw.substring(0, colon).trim(),
+    value,
+    important,
+    raw,
+    parent,
+    source: { start }
+  };
+}
+
+/**
+ * Split a selector list on top-level commas
+ */
+export function splitSelectors(selector) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of selector) {
+    if (ch === '(' || ch === '[') depth++;
+    if (ch === ')' || ch === ']') depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts.map(part => part.replace(/\s+/g, ' '));
+}
+
+/**
+ * Resolve nested selectors against their parent rule, replacing `&`
+ * e.g. `.btn { &:focus, .icon {} }` → ['.btn:focus', '.btn .icon']
+ */
+function resolveSelectors(selectors, parent) {
+  let container = parent;
+  while (container && container.type !== 'rule' && container.type !== 'root') {
+    // At-rules like @media keep the enclosing rule's selectors
+    container = container.parent;
+  }
+  if (!container || container.type === 'root') {
+    return selectors.map(s => s.includes('&') ? s.replace(/&/g, '') : s);
+  }
+
+  const resolved = [];
+  container.resolvedSelectors.forEach(parentSelector => {
+    selectors.forEach(selector => {
+      resolved.push(selector.includes('&')
+        ? selector.replace(/&/g, parentSelector)
+        : `${parentSelector} ${selector}`);
+    });
+  });
+  return resolved;
+}
+
+/**
+ * Visit every node in the tree depth-first
+ * @param {Object} node - Root or container node
+ * @param {Function} callback - Called with each descendant node
+ */
+export function walk(node, callback) {
+  (node.nodes || []).forEach(child => {
+    callback(child);
+    walk(child, callback);
+  });
+}
+
+/**
+ * All rules in the tree
+ */
+export function walkRules(root) {
+  const rules = [];
+  walk(root, node => {
+    if (node.type === 'rule') rules.push(node);
+  });
+  return rules;
+}
+
+/**
+ * All declarations in the tree, optionally filtered by property name
+ * @param {Object} root - Root node
+ * @param {string|RegExp} [prop] - Property name or pattern
+ */
+export function walkDecls(root, prop) {
+  const decls = [];
+  walk(root, node => {
+    if (node.type !== 'decl') return;
+    if (prop === undefined ||
+        (prop instanceof RegExp ? prop.test(node.prop) : node.prop.toLowerCase() === prop)) {
+      decls.push(node);
+    }
+  });
+  return decls;
+}
+
+/**
+ * Declarations directly inside a rule or at-rule block
+ */
+export function declarationsOf(container) {
+  return (container.nodes || []).filter(node => node.type === 'decl');
+}
+
+/**
+ * @media conditions that apply to a node, outermost first
+ */
+export function mediaQueriesOf(node) {
+  const queries = [];
+  for (let p = node.parent; p; p = p.parent) {
+    if (p.type === 'atrule' && p.name === 'media') queries.unshift(p.params);
+  }
+  return queries;
+}
+
+/**
+ * Name of the mixin or placeholder selector a node is declared in, if any
+ */
+export function mixinOf(node) {
+  for (let p = node.parent; p; p = p.parent) {
+    if (p.type === 'atrule' && p.name === 'mixin') return p.params.split('(')[0].trim();
+    if (p.type === 'rule' && p.selector.startsWith('%')) return p.selector;
+  }
+  return null;
+}
+
+/**
+ * SCSS variables declared at the top level, e.g. `$font-size-small: 11px;`
+ * @param {Object} root - Root node
+ * @returns {Map<string, string>}
+ */
+export function collectVariables(root) {
+  return new Map(
+    declarationsOf(root)
+      .filter(decl => decl.prop.startsWith('$'))
+      .map(decl => [decl.prop, decl.value.replace(/\s*!(default|global)$/, '')])
+  );
+}
+
+/**
+ * Substitute known SCSS variables in a declaration value
+ * @param {string} value - Declaration value
+ * @param {Map<string, string>} variables - Result of collectVariables()
+ */
+export function resolveValue(value, variables) {
+  return value.replace(/\$[\w-]+/g, name => variables.get(name) ?? name);
+}
@@ -0,0 +1,47 @@
+/**
+ * Supported File Types
+ * Extension groups used by the rule registry and the entry points
+ */
+
+import path from 'path';
+
+export const DOCUMENT_FILES = ['.html', '.htm'];
+export const SCRIPT_FILES = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+export const MARKUP_FILES = [...DOCUMENT_FILES, ...SCRIPT_FILES];
+export const STYLESHEET_FILES = ['.css', '.scss'];
+// Single-file components: template, script and style blocks in one file
+export const COMPONENT_FILES = ['.vue', '.svelte', '.astro'];
+// Files with elements for the markup rules: documents, scripts and component templates
+export const TEMPLATE_FILES = [...MARKUP_FILES, ...COMPONENT_FILES];
+export const SUPPORTED_FILES = [...MARKUP_FILES, ...COMPONENT_FILES, ...STYLESHEET_FILES];
+
+/**
+ * Whether any analyzer handles this file
+ * @param {string} filePath - Path to the file
+ * @returns {boolean}
+ */
+export function isSupportedFile(filePath) {
+  return SUPPORTED_FILES.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Whether a file is an Angular component template (*.component.html): a fragment with
+ * Angular binding syntax rather than a page
+ * @param {string} filePath - Path to the file
+ * @returns {boolean}
+ */
+export function isAngularTemplate(filePath) {
+  return /\.component\.html?$/i.test(filePath);
+}
+
+/**
+ * Short file type label used in results, e.g. 'jsx' or 'html'
+ * @param {string} filePath - Path to the file
+ * @returns {string}
+ */
+export function fileTypeOf(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (!SUPPORTED_FILES.includes(ext)) return 'unknown';
+  if (DOCUMENT_FILES.includes(ext)) return 'html';
+  return ext.substring(1);
+}
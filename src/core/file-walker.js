@@ -0,0 +1,115 @@
+/**
+ * File Walker
+ * Expands files, directories and glob patterns into the list of files to analyze
+ * Honors the ignore globs from .a11y/config.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { isIgnored, isIgnoredDirectory, globToRegExp } from './config.js';
+import { isSupportedFile } from './file-types.js';
+
+// Never walked into, whatever the config says
+const SKIPPED_DIRECTORIES = ['node_modules', '.git'];
+
+/**
+ * Whether a path argument is a glob pattern rather than a literal path
+ * @param {string} pattern - Path or pattern
+ * @returns {boolean}
+ */
+export function isGlob(pattern) {
+  return /[*?[\]{}]/.test(pattern);
+}
+
+/**
+ * Directory a path argument is read from: the path itself, or for a glob the part before its first glob segment
+ * @param {string} pattern - Path or pattern
+ * @returns {string}
+ */
+export function globBase(pattern) {
+  if (!isGlob(pattern)) return pattern;
+  const segments = pattern.split(/[\\/]/);
+  const firstGlob = segments.findIndex(segment => isGlob(segment));
+  return segments.slice(0, firstGlob).join('/') || '.';
+}
+
+/**
+ * Expand paths, directories and globs into files
+ * Explicit files are kept even with an unsupported extension; directories and
+ * globs only yield supported files.
+ * @param {string[]} targets - Files, directories or glob patterns
+ * @param {Object} options
+ * @param {Object} options.config - Result of loadConfig()
+ * @param {string} [options.cwd=process.cwd()] - Directory that relative targets are resolved against
+ * @returns {{ files: string[], missing: string[], ignored: string[] }} Paths relative to cwd
+ */
+export function collectFiles(targets, options) {
+  const { config } = options;
+  const cwd = options.cwd || process.cwd();
+  const files = new Set();
+  const ignored = new Set();
+  const missing = [];
+
+  const display = absolute => path.relative(cwd, absolute) || absolute;
+  const addFile = absolute => {
+    if (isIgnored(absolute, config)) ignored.add(display(absolute));
+    else files.add(display(absolute));
+  };
+
+  targets.forEach(target => {
+    const absolute = path.resolve(cwd, target);
+
+    if (fs.existsSync(absolute)) {
+      if (fs.statSync(absolute).isDirectory()) {
+        walkDirectory(absolute, config, ignored, display).forEach(file => addFile(file));
+      } else {
+        addFile(absolute);
+      }
+      return;
+    }
+
+    if (!isGlob(target)) {
+      missing.push(target);
+      return;
+    }
+
+    const base = path.resolve(cwd, globBase(target));
+    const matcher = globToRegExp(path.relative(cwd, path.resolve(cwd, target)).split(path.sep).join('/'));
+
+    if (!fs.existsSync(base) || !fs.statSync(base).isDirectory()) {
+      missing.push(target);
+      return;
+    }
+    const matches = walkDirectory(base, config, ignored, display)
+      .filter(file => matcher.test(path.relative(cwd, file).split(path.sep).join('/')));
+    if (matches.length === 0) missing.push(target);
+    matches.forEach(file => addFile(file));
+  });
+
+  return { files: [...files], missing, ignored: [...ignored] };
+}
+
+/**
+ * Supported files below a directory, in a stable order
+ */
+function walkDirectory(dir, config, ignored, display) {
+  const files = [];
+  const entries = fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  entries.forEach(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (SKIPPED_DIRECTORIES.includes(entry.name)) return;
+      if (isIgnoredDirectory(fullPath, config)) {
+        ignored.add(display(fullPath) + '/');
+        return;
+      }
+      files.push(...walkDirectory(fullPath, config, ignored, display));
+    } else if (entry.isFile() && isSupportedFile(entry.name)) {
+      files.push(fullPath);
+    }
+  });
+
+  return files;
+}
@@ -0,0 +1,53 @@
+/**
+ * Violation Fingerprints
+ * Identify a violation by its rule id and the code it was found in, not by its line,
+ * so the same violation can be matched across two versions of a file
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Stable fingerprint for a violation
+ * Whitespace in the code is collapsed so re-indenting does not create a "new" violation.
+ * @param {Object} violation - Violation with `id` and `code`
+ * @returns {string} 16 hex characters
+ */
+export function fingerprintViolation(violation) {
+  // Document-level findings (e.g. missing-h1) have no code; fall back to the description
+  const code = (violation.code || violation.description || '').replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256')
+    .update(`${violation.id}\0${code}`)
+    .digest('hex')
+    .substring(0, 16);
+}
+
+/**
+ * Match violations between two versions of a file
+ * Identical fingerprints are matched by count, so one copy of a repeated violation can be fixed
+ * or introduced on its own.
+ * @param {Array} baseViolations - Violations in the old version
+ * @param {Array} headViolations - Violations in the new version
+ * @returns {{ introduced: Array, fixed: Array, unchanged: Array }}
+ */
+export function diffViolations(baseViolations, headViolations) {
+  const remaining = new Map();
+  baseViolations.forEach(violation => {
+    const fingerprint = fingerprintViolation(violation);
+    if (!remaining.has(fingerprint)) remaining.set(fingerprint, []);
+    remaining.get(fingerprint).push(violation);
+  });
+
+  const introduced = [];
+  const unchanged = [];
+  headViolations.forEach(violation => {
+    const matches = remaining.get(fingerprintViolation(violation));
+    if (matches && matches.length > 0) {
+      matches.shift();
+      unchanged.push(violation);
+    } else {
+      introduced.push(violation);
+    }
+  });
+
+  return { introduced, fixed: [...remaining.values()].flat(), unchanged };
+}
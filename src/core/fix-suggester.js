@@ -0,0 +1,175 @@
+/**
+ * Fix Suggester
+ * Rewrites for a violation built from the code it was found in: the element with the
+ * fix applied, what changes where, and a before/after diff
+ */
+
+import { getRule } from './rule-registry.js';
+import { analyzeContent } from './hybrid-analyzer.js';
+import { applyEdits } from './autofix.js';
+import { getPositionIndex } from './positions.js';
+
+// Attribute syntax that only appears in JSX
+const JSX_SYNTAX = /\b(className|htmlFor)=|=\{|\bon[A-Z]\w*=|\{\//;
+const SCSS_SYNTAX = /\$[\w-]+\s*:|@mixin|@include|&[:.]/;
+
+/**
+ * Suggest fixes for one violation
+ * Analyzes the whole file when its content is given (rules like duplicate-id and
+ * heading-level-skip need the surrounding document), otherwise the snippet on its own.
+ * @param {string} violationId - Rule id, e.g. 'img-missing-alt'
+ * @param {string} code - Code with the violation
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - File the code comes from; its extension selects the analyzer
+ * @param {string} [options.content] - Content of that file
+ * @param {number} [options.line] - Line of the violation in the file
+ * @returns {Promise<Object>} { violationId, title, help, wcagCriteria, analyzed, matched, line,
+ *   description, rewrites: [{ description, automatic, before, after, diff, changes }], suggestions, note? }
+ */
+export async function suggestFix(violationId, code, options = {}) {
+  const rule = getRule(violationId);
+  if (!rule) {
+    throw new Error(`Unknown violation id: ${violationId}`);
+  }
+
+  let analyzed = null;
+  if (options.content !== undefined && options.filePath) {
+    analyzed = await findViolation(rule, options.content, options.filePath, code, options.line, 'file');
+  }
+  if (!analyzed && code) {
+    analyzed = await findViolation(rule, code, snippetPath(rule, code, options.filePath), code, undefined, 'snippet');
+  }
+
+  const result = {
+    violationId,
+    title: rule.title,
+    help: rule.help,
+    wcagCriteria: rule.wcagCriteria,
+    analyzed: analyzed ? analyzed.source : 'snippet',
+    matched: Boolean(analyzed)
+  };
+
+  if (!analyzed) {
+    return {
+      ...result,
+      rewrites: [],
+      suggestions: rule.fixSuggestions,
+      note: `The code does not trigger ${violationId} on its own; pass filePath (and line) so the surrounding document is analyzed`
+    };
+  }
+
+  const { violation, text, filePath } = analyzed;
+  return {
+    ...result,
+    line: analyzed.source === 'file' ? violation.line : undefined,
+    description: violation.description,
+    rewrites: [
+      violation.fix && createRewrite(text, violation.fix, true, filePath),
+      violation.suggestion && createRewrite(text, violation.suggestion, false, filePath)
+    ].filter(Boolean),
+    suggestions: violation.fixSuggestions
+  };
+}
+
+/**
+ * The violation the caller means: the one on the given line, else the one whose code matches
+ */
+async function findViolation(rule, text, filePath, code, line, source) {
+  const candidates = (await analyzeContent(text, filePath)).filter(v => v.id === rule.id);
+  const wanted = normalize(code);
+  const violation =
+    (line !== undefined && candidates.find(v => v.line === line)) ||
+    (wanted && candidates.find(v => v.code && (normalize(v.code).includes(wanted) || wanted.includes(normalize(v.code))))) ||
+    (source === 'snippet' && candidates[0]);
+  return violation ? { violation, text, filePath, source } : null;
+}
+
+/**
+ * File name for analyzing a snippet: the caller's, or one guessed from the rule and the syntax
+ */
+function snippetPath(rule, code, filePath) {
+  if (filePath) return filePath;
+  if (rule.kind === 'stylesheet') return SCSS_SYNTAX.test(code) ? 'snippet.scss' : 'snippet.css';
+  if (!rule.fileTypes.includes('.jsx')) return 'snippet.html';
+  if (!rule.fileTypes.includes('.html')) return 'snippet.jsx';
+  return JSX_SYNTAX.test(code) ? 'snippet.jsx' : 'snippet.html';
+}
+
+function createRewrite(text, { description, edits }, automatic, filePath) {
+  const fixed = applyEdits(text, edits);
+  const { before, after } = changedLines(text, fixed);
+  return {
+    description,
+    automatic,
+    before,
+    after,
+    diff: createDiff(text, fixed, filePath),
+    changes: edits.map(edit => describeEdit(text, edit))
+  };
+}
+
+/**
+ * The lines an edit changed, in both versions; an inserted line comes with the line after it
+ */
+function changedLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  let { prefix, suffix } = commonLines(a, b);
+  if (prefix === a.length - suffix) {
+    if (suffix > 0) suffix--;
+    else if (prefix > 0) prefix--;
+  }
+  return {
+    before: a.slice(prefix, a.length - suffix).join('\n'),
+    after: b.slice(prefix, b.length - suffix).join('\n')
+  };
+}
+
+/**
+ * Unified diff with one hunk and two lines of context
+ */
+function createDiff(before, after, filePath, context = 2) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const { prefix, suffix } = commonLines(a, b);
+  const start = Math.max(0, prefix - context);
+  const aEnd = Math.min(a.length, a.length - suffix + context);
+  const bEnd = Math.min(b.length, b.length - suffix + context);
+
+  const lines = [
+    `--- ${filePath}`,
+    `+++ ${filePath}`,
+    `@@ -${start + 1},${aEnd - start} +${start + 1},${bEnd - start} @@`,
+    ...a.slice(start, prefix).map(line => ` ${line}`),
+    ...a.slice(prefix, a.length - suffix).map(line => `-${line}`),
+    ...b.slice(prefix, b.length - suffix).map(line => `+${line}`),
+    ...a.slice(a.length - suffix, aEnd).map(line => ` ${line}`)
+  ];
+  return lines.join('\n');
+}
+
+function commonLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+  return { prefix, suffix };
+}
+
+/**
+ * Where an edit goes and what it does, e.g. { line: 3, column: 9, action: 'insert', text: ' alt=""' }
+ */
+function describeEdit(text, edit) {
+  const action = edit.start === edit.end ? 'insert' : edit.text ? 'replace' : 'delete';
+  return {
+    ...getPositionIndex(text).positionAt(edit.start),
+    action,
+    ...(action !== 'insert' && { replaced: text.substring(edit.start, edit.end) }),
+    ...(action !== 'delete' && { text: edit.text })
+  };
+}
+
+function normalize(code) {
+  return (code || '').replace(/\s+/g, ' ').trim();
+}
@@ -1,295 +1,116 @@
 /**
  * Hybrid Accessibility Analyzer
- * Combines fast regex checks with accurate AST parsing
+ * Combines fast markup/stylesheet parsing with accurate AST parsing
+ * Every path runs the rules from rule-registry.js
  * Production-ready implementation
  */
 
+import path from 'path';
 // Import regex analyzer function
 import { analyzeFile as regexAnalyze } from './regex-analyzer.js';
-import { calculateContrast, meetsWCAGAA, extractColorValues } from '../../scripts/color-contrast.js';
+import { analyzeWithTypeScript, supportsAST } from './ast-analyzer.js';
+import { analyzeComponent } from './component-analyzer.js';
+import { COMPONENT_FILES } from './file-types.js';
+import { loadConfig, applyConfig, isIgnored } from './config.js';
+import { loadBaseline, matchBaseline } from './baseline.js';
+import { applySuppressions } from './suppressions.js';
+import { cacheKey, readCache, writeCache } from './result-cache.js';
 
 /**
- * Determines if file needs AST parsing or can use fast regex
+ * Hybrid analyzer - uses best approach for each file
+ * Leaves out findings silenced by a11y-disable comments or recorded in the baseline.
+ * @param {string} content - File content to analyze
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Result of loadConfig(); defaults to the nearest .a11y/config.json
+ * @param {Object|false} [options.baseline] - Result of loadBaseline(); defaults to .a11y/baseline.json,
+ *   `false` keeps baselined violations
+ * @param {boolean} [options.cache] - Reuse findings from .a11y/cache for unchanged content (default: config.cache,
+ *   and only when a .a11y/config.json was found, so scans outside a project leave no cache behind)
+ * @returns {Promise<Array>} Array of violation objects
  */
-function needsASTParsing(content, filePath) {
-  const ext = filePath.toLowerCase().split('.').pop();
-  
-  // Always use AST for complex patterns
-  const complexPatterns = [
-    /useState|useEffect|useRef|useCallback/i,  // React hooks
-    /aria-\w+/i,                                 // ARIA attributes
-    /styled\.|css`|emotion/i,                    // CSS-in-JS
-    /role=["']/i,                                 // ARIA roles
-    /tabIndex/i,                                  // Keyboard navigation
-    /onKeyDown|onKeyPress|onKeyUp/i,             // Keyboard handlers
-    /focus\(|blur\(/i,                           // Focus management
-    /createElement|React\.createElement/i        // Dynamic elements
-  ];
-  
-  return complexPatterns.some(pattern => pattern.test(content));
+export async function analyzeFileHybrid(content, filePath, options = {}) {
+  return (await analyzeFileReport(content, filePath, options)).violations;
 }
 
 /**
- * Hybrid analyzer - uses best approach for each file
+ * Analyze a file and report what was left out, for the CLI, MCP tools and PR analyzer
+ * @param {string} content - File content to analyze
+ * @param {string} filePath - Path to the file
+ * @param {Object} [options] - Same as analyzeFileHybrid()
+ * @returns {Promise<{ violations: Array, suppressed: Array, unusedSuppressions: Array, baselined: Array, staleBaselineEntries: Array, cached: boolean, ignored?: boolean }>}
+ *   `cached` is true when the findings came from .a11y/cache; files matching the config's
+ *   `ignore` globs (relative paths resolve against the working directory) are not analyzed
+ *   and come back empty with `ignored: true`
  */
-export async function analyzeFileHybrid(content, filePath) {
-  const ext = filePath.toLowerCase().split('.').pop();
-  const allViolations = [];
-  
-  // Step 1: Always run fast regex checks first (covers 80% of violations)
-  const regexViolations = regexAnalyze(content, filePath);
-  allViolations.push(...regexViolations);
-  
-  // Step 2: If complex patterns detected, run AST checks
-  if (needsASTParsing(content, filePath)) {
-    try {
-      const astViolations = await analyzeWithAST(content, filePath);
-      // Merge AST violations, avoiding duplicates
-      astViolations.forEach(astV => {
-        const isDuplicate = regexViolations.some(regexV => 
-          regexV.id === astV.id && 
-          regexV.line === astV.line &&
-          Math.abs(regexV.line - astV.line) < 5
-        );
-        if (!isDuplicate) {
-          allViolations.push(astV);
-        }
-      });
-    } catch (error) {
-      // If AST parsing fails, fall back to regex results
-      console.warn(`AST parsing failed for ${filePath}, using regex results only:`, error.message);
-    }
+export async function analyzeFileReport(content, filePath, options = {}) {
+  const config = options.config || loadConfig();
+  if (isIgnored(path.resolve(filePath), config)) {
+    return { violations: [], suppressed: [], unusedSuppressions: [], baselined: [], staleBaselineEntries: [], cached: false, ignored: true };
   }
-  
-  // Step 3: Additional checks that require full file context
-  if (['css', 'scss'].includes(ext)) {
-    const colorViolations = checkColorContrast(content, filePath);
-    allViolations.push(...colorViolations);
+  const useCache = options.cache ?? (config.cache && Boolean(config.configPath));
+  const key = useCache && cacheKey(content, filePath);
+  let allViolations = key && readCache(key, config);
+  const cached = Boolean(allViolations);
+  if (!cached) {
+    allViolations = await analyzeContent(content, filePath);
+    if (key) writeCache(key, allViolations, config);
   }
   
-  // Step 4: Deduplicate violations
-  return deduplicateViolations(allViolations);
-}
+  // Apply rule settings from the config
+  const configured = applyConfig(allViolations, config);
+  const { violations, suppressed, unusedSuppressions } = applySuppressions(configured, content, filePath);
 
-/**
- * AST-based analysis (when needed)
- */
-async function analyzeWithAST(content, filePath) {
-  const violations = [];
-  const ext = filePath.toLowerCase().split('.').pop();
-  
-  // For now, use enhanced regex patterns that simulate AST understanding
-  // In production, this would use Babel/PostCSS AST
-  
-  if (['jsx', 'tsx', 'js'].includes(ext)) {
-    // Enhanced ARIA validation
-    violations.push(...checkARIAValidation(content, filePath));
-    
-    // Enhanced keyboard navigation
-    violations.push(...checkKeyboardNavigation(content, filePath));
-    
-    // Enhanced dynamic content
-    violations.push(...checkDynamicContent(content, filePath));
-  }
-  
-  return violations;
-}
+  // Leave out known violations recorded in the baseline
+  const baseline = options.baseline === false ? null : options.baseline || loadBaseline(config);
+  const matched = matchBaseline(violations, filePath, baseline, config);
 
-/**
- * Enhanced ARIA validation
- */
-function checkARIAValidation(content, filePath) {
-  const violations = [];
-  let line = 1;
-  
-  // Check for invalid ARIA role values
-  const roleRegex = /role=["']([^"']+)["']/gi;
-  let match;
-  const validRoles = [
-    'button', 'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
-    'option', 'tab', 'treeitem', 'checkbox', 'radio', 'switch',
-    'textbox', 'searchbox', 'combobox', 'slider', 'spinbutton',
-    'progressbar', 'meter', 'scrollbar', 'tablist', 'tabpanel',
-    'toolbar', 'menu', 'menubar', 'listbox', 'tree', 'treegrid',
-    'grid', 'row', 'gridcell', 'columnheader', 'rowheader',
-    'alert', 'alertdialog', 'dialog', 'status', 'log', 'marquee',
-    'timer', 'article', 'banner', 'complementary', 'contentinfo',
-    'form', 'main', 'navigation', 'region', 'search', 'application',
-    'document', 'presentation', 'img', 'none'
-  ];
-  
-  while ((match = roleRegex.exec(content)) !== null) {
-    const role = match[1].toLowerCase();
-    if (!validRoles.includes(role)) {
-      line = content.substring(0, match.index).split('\n').length;
-      violations.push({
-        id: 'aria-invalid-role',
-        severity: 'error',
-        wcagCriteria: ['4.1.2'],
-        title: 'Invalid ARIA role value',
-        description: `"${match[1]}" is not a valid ARIA role`,
-        help: 'Use a valid ARIA role from the ARIA specification',
-        line,
-        code: match[0],
-        fixSuggestions: [`Replace with a valid role (e.g., ${validRoles.slice(0, 5).join(', ')})`],
-        tags: ['wcag-a', 'aria']
-      });
-    }
-  }
-  
-  // Check for conflicting ARIA attributes
-  const conflictingPatterns = [
-    { pattern: /aria-hidden=["']true["'][^>]*aria-label=/i, message: 'aria-hidden="true" conflicts with aria-label' },
-    { pattern: /aria-disabled=["']true["'][^>]*tabindex=["']0["']/i, message: 'aria-disabled="true" conflicts with tabindex="0"' }
-  ];
-  
-  conflictingPatterns.forEach(({ pattern, message }) => {
-    if (pattern.test(content)) {
-      const matchIndex = content.search(pattern);
-      line = content.substring(0, matchIndex).split('\n').length;
-      violations.push({
-        id: 'aria-conflicting-attributes',
-        severity: 'error',
-        wcagCriteria: ['4.1.2'],
-        title: 'Conflicting ARIA attributes',
-        description: message,
-        help: 'Remove conflicting attributes',
-        line,
-        code: content.substring(matchIndex, matchIndex + 100),
-        fixSuggestions: ['Remove one of the conflicting attributes'],
-        tags: ['wcag-a', 'aria']
-      });
-    }
-  });
-  
-  return violations;
+  return {
+    violations: matched.violations,
+    suppressed,
+    unusedSuppressions,
+    baselined: matched.baselined,
+    staleBaselineEntries: matched.staleEntries,
+    cached
+  };
 }
 
 /**
- * Enhanced keyboard navigation checks
+ * Run every rule on a file, before config, suppressions and baseline are applied
+ * @param {string} content - File content to analyze
+ * @param {string} filePath - Path to the file (selects the analyzer)
+ * @returns {Promise<Array>} Deduplicated violations
  */
-function checkKeyboardNavigation(content, filePath) {
-  const violations = [];
-  
-  // Check for missing keyboard handlers on interactive elements
-  const interactivePattern = /<(div|span)[^>]*(role=["'](button|link|menuitem)["'])[^>]*>/gi;
-  let match;
+export async function analyzeContent(content, filePath) {
+  const allViolations = [];
   
-  while ((match = interactivePattern.exec(content)) !== null) {
-    const hasOnKeyDown = match[0].includes('onKeyDown') || match[0].includes('onkeydown');
-    const hasOnClick = match[0].includes('onClick') || match[0].includes('onclick');
-    
-    if (hasOnClick && !hasOnKeyDown) {
-      const line = content.substring(0, match.index).split('\n').length;
-      violations.push({
-        id: 'missing-keyboard-handler',
-        severity: 'error',
-        wcagCriteria: ['2.1.1', '2.1.2'],
-        title: 'Interactive element missing keyboard handler',
-        description: 'Element with click handler must also handle keyboard events',
-        help: 'Add onKeyDown handler for Enter and Space keys',
-        line,
-        code: match[0],
-        fixSuggestions: [
-          'Add onKeyDown={(e) => { if (e.key === "Enter" || e.key === " ") { handleClick(); } }}',
-          'Or use semantic <button> element instead'
-        ],
-        tags: ['wcag-a', 'keyboard']
-      });
+  // Script files are parsed into a syntax tree; everything else uses the fast path.
+  // Both run the same rules from the rule registry. Components are split into blocks,
+  // each analyzed by the path for its language.
+  if (COMPONENT_FILES.includes(path.extname(filePath).toLowerCase())) {
+    allViolations.push(...analyzeComponent(content, filePath));
+  } else if (supportsAST(filePath)) {
+    try {
+      allViolations.push(...await analyzeWithAST(content, filePath));
+    } catch (error) {
+      // If AST parsing fails, fall back to fast-path results
+      console.warn(`AST parsing failed for ${filePath}, using fast-path results only:`, error.message);
+      allViolations.push(...regexAnalyze(content, filePath));
     }
+  } else {
+    allViolations.push(...regexAnalyze(content, filePath));
   }
-  
-  return violations;
-}
 
-/**
- * Enhanced dynamic content checks
- */
-function checkDynamicContent(content, filePath) {
-  const violations = [];
-  
-  // Check for dynamic content updates without aria-live
-  const stateUpdates = content.match(/setState|useState|useReducer/gi);
-  const hasAriaLive = /aria-live|aria-atomic|aria-busy/i.test(content);
-  
-  if (stateUpdates && stateUpdates.length > 3 && !hasAriaLive) {
-    // Likely has dynamic content that should be announced
-    violations.push({
-      id: 'dynamic-content-no-announcement',
-      severity: 'warning',
-      wcagCriteria: ['4.1.3'],
-      title: 'Dynamic content may need aria-live region',
-      description: 'Content updates detected but no aria-live region found',
-      help: 'Add aria-live region for important dynamic content updates',
-      line: 1,
-      code: '',
-      fixSuggestions: [
-        'Add <div aria-live="polite" aria-atomic="true"> for status updates',
-        'Use aria-live="assertive" for critical updates'
-      ],
-      tags: ['wcag-aa', 'aria-live']
-    });
-  }
-  
-  return violations;
+  return deduplicateViolations(allViolations);
 }
 
 /**
- * Color contrast checking
+ * AST-based analysis for JS/JSX/TS/TSX
+ * Rules run on real JSX elements and attributes, so markup inside strings and
+ * comments is ignored and spread props or multi-line attributes are understood
  */
-function checkColorContrast(content, filePath) {
-  const violations = [];
-  
-  try {
-    const colors = extractColorValues(content);
-    
-    // Group by CSS rule
-    const rules = content.split('}');
-    rules.forEach((rule, ruleIndex) => {
-      const colorDecls = rule.match(/(color|background-color|background)\s*:\s*([^;]+)/gi);
-      if (colorDecls && colorDecls.length >= 2) {
-        let fgColor = null;
-        let bgColor = null;
-        
-        colorDecls.forEach(decl => {
-          if (decl.includes('color:') && !decl.includes('background')) {
-            const match = decl.match(/#[0-9a-fA-F]{3,6}|rgba?\([^)]+\)/i);
-            if (match) fgColor = match[0];
-          }
-          if (decl.includes('background')) {
-            const match = decl.match(/#[0-9a-fA-F]{3,6}|rgba?\([^)]+\)/i);
-            if (match) bgColor = match[0];
-          }
-        });
-        
-        if (fgColor && bgColor) {
-          const contrast = calculateContrast(fgColor, bgColor);
-          if (contrast && !meetsWCAGAA(contrast)) {
-            const lineNum = content.substring(0, content.indexOf(rule)).split('\n').length;
-            violations.push({
-              id: 'color-contrast-insufficient',
-              severity: 'error',
-              wcagCriteria: ['1.4.3'],
-              title: 'Insufficient color contrast',
-              description: `Contrast ratio ${contrast.toFixed(2)}:1 is below WCAG AA minimum of 4.5:1`,
-              help: 'Increase contrast between text and background',
-              line: lineNum,
-              code: rule.substring(0, 100),
-              fixSuggestions: [
-                'Use darker text or lighter background',
-                'For large text (18pt+), minimum is 3:1'
-              ],
-              tags: ['wcag-aa', 'color']
-            });
-          }
-        }
-      }
-    });
-  } catch (error) {
-    // Silently fail if color contrast check has issues
-  }
-  
-  return violations;
+async function analyzeWithAST(content, filePath) {
+  return analyzeWithTypeScript(content, filePath);
 }
 
 /**
@@ -0,0 +1,340 @@
+/**
+ * Markup Parser
+ * Tolerant HTML tokenizer that builds element records for the rule registry
+ * Produces the same element shape as the JSX walker in ast-analyzer.js
+ */
+
+const VOID_ELEMENTS = [
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+];
+
+// Elements whose content is not markup
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+
+// Component template syntax. `binding`: directives that set an attribute (:alt, bind:value, [alt]),
+// `listener`: directives that attach a handler (@click, on:click, (click)), `spread`: directives that
+// set unknown attributes, `content`: attributes that replace the element's children.
+// `braces`: attribute values and spreads are written as {expression}, like JSX.
+// `interpolation`: {{ expression }} in an attribute value makes it dynamic.
+const FRAMEWORKS = {
+  vue: {
+    binding: /^(?::|v-bind:)([^.[\]]+)/,
+    listener: /^(?:@|v-on:)([^.[\]]+)/,
+    spread: /^(?:v-bind|v-on)(?:\.|$)|^(?::|@|v-bind:|v-on:)\[/,
+    content: ['v-html', 'v-text'],
+    braces: false,
+    interpolation: false
+  },
+  svelte: {
+    binding: /^bind:([\w-]+)/,
+    listener: /^on:([\w-]+)/,
+    spread: null,
+    content: [],
+    braces: true,
+    interpolation: false
+  },
+  astro: {
+    binding: null,
+    listener: null,
+    spread: null,
+    content: ['set:html', 'set:text'],
+    braces: true,
+    interpolation: false
+  },
+  angular: {
+    binding: /^(?:\[|bind-)(?:attr\.)?([^\].]+)/,
+    listener: /^(?:\(|on-)([^).]+)/,
+    spread: null,
+    content: ['[innerhtml]', '[textcontent]', '[innertext]'],
+    braces: false,
+    interpolation: true
+  }
+};
+
+/**
+ * Parse markup into element records
+ * @param {string} content - Full file content
+ * @param {Object} [options]
+ * @param {number} [options.start=0] - Offset where the markup starts (for embedded fragments)
+ * @param {number} [options.end=content.length] - Offset where the markup ends
+ * @param {boolean} [options.jsx=false] - JSX-like markup: case-sensitive tags, `{expression}` values
+ *   and spreads, and valueless attributes meaning true
+ * @param {string} [options.framework] - Component template syntax: 'vue', 'svelte', 'astro' or 'angular'.
+ *   Bindings (`:alt`, `bind:value`, `[attr.aria-label]`) are read as the attribute they set,
+ *   listeners (`@click`, `on:click`, `(click)`) as `onclick`, and `v-bind="object"` / `{...props}`
+ *   count as spreads
+ * @param {Array} [options.comments] - Receives a `{ start, end }` range for every `<!-- -->` comment
+ * @returns {Array} Element records in document order
+ */
+export function parseMarkup(content, options = {}) {
+  const jsx = Boolean(options.jsx);
+  const framework = !jsx && FRAMEWORKS[options.framework] ? options.framework : null;
+  const syntax = {
+    jsx,
+    braces: jsx || Boolean(FRAMEWORKS[framework]?.braces),
+    interpolation: Boolean(FRAMEWORKS[framework]?.interpolation)
+  };
+  const limit = options.end ?? content.length;
+  const elements = [];
+  const stack = [];
+  let i = options.start ?? 0;
+
+  const current = () => stack[stack.length - 1] || null;
+
+  while (i < limit) {
+    const lt = content.indexOf('<', i);
+    if (lt === -1 || lt >= limit) break;
+    i = lt;
+
+    if (content.startsWith('<!--', i)) {
+      const end = content.indexOf('-->', i + 4);
+      const commentEnd = end === -1 || end >= limit ? limit : end + 3;
+      if (options.comments) options.comments.push({ start: i, end: commentEnd });
+      i = commentEnd;
+      continue;
+    }
+    if (content[i + 1] === '!' || content[i + 1] === '?') {
+      const end = content.indexOf('>', i);
+      i = end === -1 || end >= limit ? limit : end + 1;
+      continue;
+    }
+
+    if (content[i + 1] === '/') {
+      const match = /^<\/\s*([\w.:-]*)\s*>/.exec(content.substring(i, Math.min(limit, i + 200)));
+      if (!match) {
+        i++;
+        continue;
+      }
+      const name = jsx ? match[1] : match[1].toLowerCase();
+      const index = findOpen(stack, name);
+      if (index !== -1) {
+        // Close the element along with anything left open inside it
+        while (stack.length > index) {
+          const element = stack.pop();
+          element.innerEnd = i;
+          element.end = stack.length === index ? i + match[0].length : i;
+        }
+      }
+      i += match[0].length;
+      continue;
+    }
+
+    const nameMatch = /^<([A-Za-z][\w.:-]*)/.exec(content.substring(i, Math.min(limit, i + 200)));
+    if (!nameMatch) {
+      i++;
+      continue;
+    }
+
+    const tagName = jsx ? nameMatch[1] : nameMatch[1].toLowerCase();
+    const element = {
+      tagName,
+      jsx,
+      framework,
+      attributes: new Map(),
+      hasUnresolvedSpread: false,
+      parent: current(),
+      children: [],
+      start: i,
+      openEnd: limit,
+      innerStart: limit,
+      innerEnd: limit,
+      end: limit
+    };
+    const selfClosing = readAttributes(content, i + nameMatch[0].length, limit, element, syntax);
+    if (framework) readDirectives(element, FRAMEWORKS[framework]);
+    element.innerStart = element.openEnd;
+
+    elements.push(element);
+    if (element.parent) element.parent.children.push(element);
+    i = element.openEnd;
+
+    if (selfClosing || VOID_ELEMENTS.includes(tagName)) {
+      element.innerEnd = element.innerStart;
+      element.end = element.openEnd;
+      continue;
+    }
+
+    if (RAW_TEXT_ELEMENTS.includes(tagName) && !jsx) {
+      const closeRegex = new RegExp(`</${tagName}\\s*>`, 'gi');
+      closeRegex.lastIndex = i;
+      const close = closeRegex.exec(content);
+      if (!close || close.index >= limit) {
+        element.innerEnd = limit;
+        element.end = limit;
+        i = limit;
+      } else {
+        element.innerEnd = close.index;
+        element.end = close.index + close[0].length;
+        i = element.end;
+      }
+      continue;
+    }
+
+    stack.push(element);
+  }
+
+  elements.forEach(element => {
+    element.textContent = () => textContent(content, element);
+  });
+  return elements;
+}
+
+/**
+ * Rekey framework bindings and listeners under the attribute they set, so the rules see
+ * `:alt="logoAlt"` as a dynamic alt and `@click="save"` / `on:click={save}` as an onclick handler
+ */
+function readDirectives(element, directives) {
+  for (const [key, attr] of [...element.attributes]) {
+    if (directives.spread?.test(attr.name)) {
+      element.attributes.delete(key);
+      element.hasUnresolvedSpread = true;
+      continue;
+    }
+    if (directives.content.includes(key)) element.hasDynamicContent = true;
+
+    const binding = directives.binding?.exec(attr.name);
+    const listener = directives.listener?.exec(attr.name);
+    if (!binding && !listener) continue;
+    element.attributes.delete(key);
+    const name = binding ? binding[1].toLowerCase() : `on${listener[1].toLowerCase()}`;
+    // A quoted binding (Vue, Angular) and a bare one (`:alt`, `bind:value`) are expressions; a handler
+    // is code, like an HTML on* attribute
+    const expression = binding && (!directives.braces || attr.value === '');
+    element.attributes.set(name, { ...attr, ...(expression && expressionValue(attr.value ?? '')) });
+  }
+}
+
+function findOpen(stack, name) {
+  for (let index = stack.length - 1; index >= 0; index--) {
+    if (stack[index].tagName === name) return index;
+  }
+  return -1;
+}
+
+/**
+ * Read the attributes of a start tag into the element record
+ * @returns {boolean} Whether the tag is self-closing
+ */
+function readAttributes(content, from, limit, element, { jsx, braces, interpolation }) {
+  let i = from;
+
+  while (i < limit) {
+    while (i < limit && /\s/.test(content[i])) i++;
+    if (i >= limit) break;
+
+    if (content[i] === '>') {
+      element.openEnd = i + 1;
+      return false;
+    }
+    if (content.startsWith('/>', i)) {
+      element.openEnd = i + 2;
+      return true;
+    }
+
+    // {...props} in JSX, ${attrs} in template literals
+    if (content[i] === '{' || content.startsWith('${', i)) {
+      const end = skipBraces(content, content[i] === '$' ? i + 1 : i, limit);
+      // {alt} in Svelte and Astro is shorthand for alt={alt}
+      const shorthand = braces && !jsx && /^\{\s*([A-Za-z_$][\w$]*)\s*\}$/.exec(content.substring(i, end));
+      if (shorthand) {
+        element.attributes.set(shorthand[1].toLowerCase(), { name: shorthand[1], value: null, dynamic: true, start: i, end });
+      } else {
+        element.hasUnresolvedSpread = true;
+      }
+      i = end;
+      continue;
+    }
+
+    const nameMatch = /^[^\s=>/"'{]+/.exec(content.substring(i, Math.min(limit, i + 200)));
+    if (!nameMatch) {
+      i++;
+      continue;
+    }
+    const attrStart = i;
+    const name = nameMatch[0];
+    i += name.length;
+
+    let j = i;
+    while (j < limit && /\s/.test(content[j])) j++;
+
+    let value = jsx ? 'true' : '';
+    let dynamic = false;
+    if (content[j] === '=') {
+      j++;
+      while (j < limit && /\s/.test(content[j])) j++;
+      const quote = content[j];
+      if (quote === '"' || quote === "'") {
+        const close = content.indexOf(quote, j + 1);
+        const valueEnd = close === -1 || close >= limit ? limit : close;
+        value = content.substring(j + 1, valueEnd);
+        i = Math.min(limit, valueEnd + 1);
+      } else if (quote === '{' && braces) {
+        const end = skipBraces(content, j, limit);
+        ({ value, dynamic } = expressionValue(content.substring(j + 1, end - 1)));
+        i = end;
+      } else {
+        const match = /^[^\s>]+/.exec(content.substring(j, Math.min(limit, j + 500)));
+        value = match ? match[0].replace(/\/$/, '') : '';
+        i = j + (match ? value.length : 0);
+      }
+      // Template literal placeholders (and {expressions} in Svelte/Astro strings, {{ interpolation }}
+      // in Angular) are filled in at runtime
+      if (value !== null && (value.includes('${') || (braces && !jsx && value.includes('{')) ||
+          (interpolation && value.includes('{{')))) {
+        value = null;
+        dynamic = true;
+      }
+    }
+
+    element.attributes.set(name.toLowerCase(), { name, value, dynamic, start: attrStart, end: i });
+  }
+
+  element.openEnd = limit;
+  return false;
+}
+
+function skipBraces(content, from, limit) {
+  let depth = 0;
+  let i = from;
+  while (i < limit) {
+    const ch = content[i];
+    if (ch === '"' || ch === "'" || ch === '`') {
+      const close = content.indexOf(ch, i + 1);
+      i = close === -1 ? limit : close + 1;
+      continue;
+    }
+    if (ch === '{') depth++;
+    if (ch === '}') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+    i++;
+  }
+  return limit;
+}
+
+/**
+ * Static value of a JSX-like `{expression}` attribute, or null when it is dynamic
+ */
+function expressionValue(expression) {
+  const text = expression.trim();
+  const literal = /^(["'`])([^"'`$]*)\1$/.exec(text);
+  if (literal) return { value: literal[2], dynamic: false };
+  if (/^(true|false|-?\d+(\.\d+)?)$/.test(text)) return { value: text, dynamic: false };
+  return { value: null, dynamic: true };
+}
+
+/**
+ * Text content of an element. Images and elements with a label count as
+ * labelled content, expressions count as content since they render at runtime.
+ */
+function textContent(content, element) {
+  if (element.hasDynamicContent) return '{expression}';
+  return content.substring(element.innerStart, element.innerEnd)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<[^>]*>/g, tag => /\s(?::|v-bind:)?(alt|aria-label)\s*=\s*(["'][^"']+["']|\{[^}]+\})/i.test(tag) ? ' {label} ' : ' ')
+    .replace(/\{\{[\s\S]*?\}\}|\$?\{[^}]*\}/g, '{expression}')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
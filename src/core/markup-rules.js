@@ -0,0 +1,893 @@
+/**
+ * Markup Rules
+ * Element-level checks for HTML documents, JSX and markup embedded in scripts
+ * Each check receives a markup context: { content, elements, fragments, stateCalls, document }
+ */
+
+import { DOCUMENT_FILES, SCRIPT_FILES, TEMPLATE_FILES } from './file-types.js';
+
+export const VALID_ROLES = [
+  'button', 'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
+  'option', 'tab', 'treeitem', 'checkbox', 'radio', 'switch',
+  'textbox', 'searchbox', 'combobox', 'slider', 'spinbutton',
+  'progressbar', 'meter', 'scrollbar', 'tablist', 'tabpanel',
+  'toolbar', 'menu', 'menubar', 'listbox', 'tree', 'treegrid',
+  'grid', 'row', 'gridcell', 'columnheader', 'rowheader',
+  'alert', 'alertdialog', 'dialog', 'status', 'log', 'marquee',
+  'timer', 'article', 'banner', 'complementary', 'contentinfo',
+  'form', 'main', 'navigation', 'region', 'search', 'application',
+  'document', 'presentation', 'img', 'none'
+];
+
+const NON_DESCRIPTIVE_LINK_TEXT = ['click here', 'here', 'read more', 'more', 'link', 'learn more', 'see more'];
+
+const UNLABELLED_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+
+export function hasAttribute(element, name) {
+  return element.attributes.has(name.toLowerCase());
+}
+
+export function getAttribute(element, name) {
+  return element.attributes.get(name.toLowerCase());
+}
+
+export function hasAnyAttribute(element, names) {
+  return names.some(name => hasAttribute(element, name));
+}
+
+/**
+ * Whether an attribute is set to true, either as a string or a boolean expression
+ */
+function isTrue(element, name) {
+  const attr = getAttribute(element, name);
+  return Boolean(attr) && attr.value === 'true';
+}
+
+function rolesOf(element) {
+  const role = getAttribute(element, 'role');
+  return role && role.value ? role.value.toLowerCase().split(/\s+/).filter(Boolean) : [];
+}
+
+function insideLabel(element) {
+  for (let p = element.parent; p; p = p.parent) {
+    if (p.tagName === 'label') return true;
+  }
+  return false;
+}
+
+/**
+ * Whether an input is labelled by ARIA, a wrapping <label> or a <label for>
+ */
+function isLabelled(element, context) {
+  const id = getAttribute(element, 'id');
+  return hasAnyAttribute(element, ['aria-label', 'aria-labelledby']) ||
+    insideLabel(element) ||
+    Boolean(id && (id.dynamic || labelTargets(context).has(id.value)));
+}
+
+function labelTargets(context) {
+  if (!context.labelTargets) {
+    context.labelTargets = new Set(
+      context.elements
+        .filter(el => el.tagName === 'label')
+        .map(el => getAttribute(el, 'htmlFor') || getAttribute(el, 'for'))
+        .filter(attr => attr && attr.value)
+        .map(attr => attr.value)
+    );
+  }
+  return context.labelTargets;
+}
+
+// Ranges reported by the checks
+const openingTag = element => ({ start: element.start, end: element.openEnd });
+const wholeElement = element => ({ start: element.start, end: element.end });
+const attribute = attr => ({ start: attr.start, end: attr.end });
+
+// Machine-applicable fixes: { description, edits: [{ start, end, text }] } against the file content
+const KEYDOWN_HANDLER = {
+  jsx: "onKeyDown={(event) => { if (event.key === 'Enter' || event.key === ' ') { event.preventDefault(); event.currentTarget.click(); } }}",
+  html: `onkeydown="if (event.key === 'Enter' || event.key === ' ') { event.preventDefault(); this.click(); }"`,
+  vue: '@keydown.enter.space.prevent="$event.currentTarget.click()"',
+  svelte: "on:keydown={(event) => { if (event.key === 'Enter' || event.key === ' ') { event.preventDefault(); event.currentTarget.click(); } }}",
+  angular: '(keydown.enter)="$any($event.currentTarget).click()" (keydown.space)="$event.preventDefault(); $any($event.currentTarget).click()"'
+};
+
+/**
+ * Edit inserting attributes right after the tag name
+ */
+function insertAttributes(element, attributes) {
+  const offset = element.start + 1 + element.tagName.length;
+  return { start: offset, end: offset, text: ` ${attributes.join(' ')}` };
+}
+
+/**
+ * Edits renaming an element's start and end tags, or null when the end tag can't be found
+ */
+function renameElement(element, content, startName, endName) {
+  const nameStart = element.start + 1;
+  const edits = [{ start: nameStart, end: nameStart + element.tagName.length, text: startName }];
+  if (content.substring(element.openEnd - 2, element.openEnd) === '/>') return edits;
+
+  const closeStart = content.lastIndexOf('</', element.end - 1);
+  const closeName = content.substr(closeStart + 2, element.tagName.length);
+  if (closeStart < element.openEnd || closeName.toLowerCase() !== element.tagName.toLowerCase()) return null;
+  edits.push({ start: closeStart + 2, end: closeStart + 2 + element.tagName.length, text: endName });
+  return edits;
+}
+
+/**
+ * Focus and keyboard scaffolding for a custom control: role, tabIndex and an Enter/Space handler
+ */
+function keyboardScaffold(element, { role } = {}) {
+  const attributes = [];
+  if (role && rolesOf(element).length === 0) attributes.push(`role="${role}"`);
+  if (!hasAttribute(element, 'tabIndex')) attributes.push(element.jsx ? 'tabIndex={0}' : 'tabindex="0"');
+  if (!hasAttribute(element, 'onKeyDown')) {
+    attributes.push(KEYDOWN_HANDLER[element.jsx ? 'jsx' : element.framework] || KEYDOWN_HANDLER.html);
+  }
+  return {
+    description: `Add ${attributes.map(attr => attr.split('=')[0]).join(', ')} so the element works with the keyboard`,
+    edits: [insertAttributes(element, attributes)]
+  };
+}
+
+// Suggestions: like fixes, but with placeholder text a person should review before applying
+
+/**
+ * Turn an identifier or file name into words: closeDialog, close-dialog.svg -> "Close dialog"
+ */
+function humanize(text) {
+  const words = (text || '')
+    .replace(/\.[a-z0-9]+$/i, '')
+    .replace(/^(handle|on)(?=[A-Z_-])/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[\s_\-.]+/)
+    .filter(word => word && !/^\d+$/.test(word))
+    .join(' ')
+    .toLowerCase()
+    .replace(/"/g, '');
+  return words ? words[0].toUpperCase() + words.substring(1) : '';
+}
+
+/**
+ * Last path segment of a static URL attribute, without query or hash
+ */
+function lastSegment(attr) {
+  if (!attr || !attr.value) return '';
+  return attr.value.split(/[?#]/)[0].split('/').filter(Boolean).pop() || '';
+}
+
+/**
+ * Name of the function a click handler calls, e.g. onClick={closeDialog} -> closeDialog
+ */
+function handlerName(element, content) {
+  const attr = getAttribute(element, 'onClick');
+  if (!attr) return '';
+  const text = attr.value ?? content.substring(attr.start, attr.end);
+  const match = text.match(/([A-Za-z_$][\w$]*)\s*(?:\(|\}|$)/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Text for a form control's label, from its placeholder, name or id
+ */
+function labelTextFor(element) {
+  const placeholder = getAttribute(element, 'placeholder');
+  if (placeholder?.value) return placeholder.value.replace(/"/g, '');
+  return humanize(getAttribute(element, 'name')?.value) || humanize(getAttribute(element, 'id')?.value) || 'Label text';
+}
+
+/**
+ * Edit inserting markup on its own line before an element, keeping its indentation
+ */
+function insertBefore(element, content, markup) {
+  const lineStart = content.lastIndexOf('\n', element.start - 1) + 1;
+  const indent = content.substring(lineStart, element.start);
+  const separator = /^\s*$/.test(indent) ? `\n${indent}` : '';
+  return { start: element.start, end: element.start, text: `${markup}${separator}` };
+}
+
+/**
+ * Edit inserting markup as the first child of an element, on its own line when the start tag ends one
+ */
+function insertInside(element, content, markup) {
+  const lineEnd = content.indexOf('\n', element.openEnd);
+  if (lineEnd === -1 || content.substring(element.openEnd, lineEnd).trim()) {
+    return { start: element.openEnd, end: element.openEnd, text: markup };
+  }
+  const lineStart = content.lastIndexOf('\n', element.start - 1) + 1;
+  const indent = content.substring(lineStart, element.start).match(/^\s*/)[0];
+  return { start: element.openEnd, end: element.openEnd, text: `\n${indent}  ${markup}` };
+}
+
+/**
+ * Edit removing an attribute and the whitespace before it
+ */
+function removeAttribute(attr, content) {
+  let start = attr.start;
+  while (start > 0 && /\s/.test(content[start - 1])) start--;
+  return { start, end: attr.end, text: '' };
+}
+
+/**
+ * Range between an element's start and end tags; undefined for void and self-closing elements
+ */
+function innerRange(element, content) {
+  const closeStart = content.lastIndexOf('</', element.end - 1);
+  return closeStart >= element.openEnd ? { start: element.openEnd, end: closeStart } : undefined;
+}
+
+function labelFor(element, id, text) {
+  return `<label ${element.jsx ? 'htmlFor' : 'for'}="${id}">${text}</label>`;
+}
+
+function closestRole(role) {
+  const ranked = VALID_ROLES
+    .map(candidate => ({ candidate, distance: editDistance(role, candidate) }))
+    .sort((a, b) => a.distance - b.distance);
+  return ranked[0].distance <= 2 ? ranked[0].candidate : null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+export const markupRules = [
+  {
+    id: 'img-missing-alt',
+    kind: 'markup',
+    category: 'alt-text',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'error',
+    wcagCriteria: ['1.1.1'],
+    title: 'Image missing alt attribute',
+    description: 'All images must have an alt attribute for screen readers',
+    help: 'Add alt attribute with meaningful description',
+    fixSuggestions: ['Add alt="description" to the image tag'],
+    tags: ['wcag-a', 'images'],
+    examples: {
+      language: 'html',
+      incorrect: '<img src="team-photo.jpg">',
+      correct: '<img src="team-photo.jpg" alt="The support team at the 2024 offsite">'
+    },
+    check: ({ elements }) => elements
+      .filter(el => el.tagName === 'img' && !el.hasUnresolvedSpread && !hasAttribute(el, 'alt'))
+      .map(el => {
+        const alt = humanize(lastSegment(getAttribute(el, 'src'))) || 'Describe the image';
+        return {
+          ...openingTag(el),
+          // Marks the image decorative; replace with a description if it conveys information
+          fix: { description: 'Add alt="" (then describe the image if it is not decorative)', edits: [insertAttributes(el, ['alt=""'])] },
+          suggestion: { description: `Add alt="${alt}" to the <img> describing what it shows`, edits: [insertAttributes(el, [`alt="${alt}"`])] }
+        };
+      })
+  },
+  {
+    id: 'div-button',
+    kind: 'markup',
+    category: 'semantic-html',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'error',
+    wcagCriteria: ['1.3.1', '4.1.2'],
+    title: 'Interactive div should be a button',
+    description: 'Div with click handler should be a semantic button element',
+    help: 'Replace with <button> or add proper ARIA role and keyboard support',
+    fixSuggestions: [
+      'Replace <div onClick> with <button>',
+      'Add role="button" tabIndex="0" and keyboard handlers'
+    ],
+    tags: ['wcag-a', 'semantic-html'],
+    examples: {
+      language: 'jsx',
+      incorrect: '<div onClick={save}>Save</div>',
+      correct: '<button type="button" onClick={save}>Save</button>'
+    },
+    // A div made into a custom control (role, tabIndex and a key handler, as the fix adds) passes;
+    // swapping in a real <button> is the better change, but may restyle it, so it is only suggested
+    check: ({ elements, content }) => elements
+      .filter(el => el.tagName === 'div' && hasAttribute(el, 'onClick') &&
+        !(rolesOf(el).some(r => ['button', 'link', 'tab', 'menuitem'].includes(r)) && hasAttribute(el, 'tabIndex') &&
+          hasAnyAttribute(el, ['onKeyDown', 'onKeyUp', 'onKeyPress'])))
+      .map(el => {
+        const edits = renameElement(el, content, 'button type="button"', 'button');
+        return {
+          ...openingTag(el),
+          fix: keyboardScaffold(el, { role: 'button' }),
+          ...(edits && { suggestion: { description: 'Replace the <div> with <button type="button">', edits } })
+        };
+      })
+  },
+  {
+    id: 'button-missing-accessible-name',
+    kind: 'markup',
+    category: 'aria-required',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'error',
+    wcagCriteria: ['4.1.2'],
+    title: 'Button has no accessible name',
+    description: 'Button must have text content or aria-label',
+    help: 'Add visible text or aria-label attribute',
+    fixSuggestions: ['Add text inside button', 'Add aria-label="description"'],
+    tags: ['wcag-a', 'buttons'],
+    examples: {
+      language: 'html',
+      incorrect: '<button><svg class="icon-close"></svg></button>',
+      correct: '<button aria-label="Close dialog"><svg class="icon-close"></svg></button>'
+    },
+    check: ({ elements, content }) => elements
+      .filter(el => el.tagName === 'button' && !el.hasUnresolvedSpread &&
+        !hasAnyAttribute(el, ['aria-label', 'aria-labelledby', 'title', 'children', 'dangerouslySetInnerHTML']) &&
+        !el.textContent())
+      .map(el => {
+        const label = humanize(handlerName(el, content)) || 'Describe the action';
+        return {
+          ...wholeElement(el),
+          suggestion: { description: `Add aria-label="${label}" to the <button>`, edits: [insertAttributes(el, [`aria-label="${label}"`])] }
+        };
+      })
+  },
+  {
+    id: 'input-missing-label',
+    kind: 'markup',
+    category: 'form-labels',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'error',
+    wcagCriteria: ['1.3.1', '3.3.2'],
+    title: 'Form input missing label',
+    description: 'All form inputs must have an associated label',
+    help: 'Add a <label> element or aria-label attribute',
+    fixSuggestions: ['Add a <label> element for the input'],
+    tags: ['wcag-a', 'forms'],
+    examples: {
+      language: 'html',
+      incorrect: '<input type="email" id="email">',
+      correct: '<label for="email">Email</label>\n<input type="email" id="email">'
+    },
+    check: context => context.elements
+      .filter(el => el.tagName === 'input' && !el.hasUnresolvedSpread &&
+        !UNLABELLED_INPUT_TYPES.includes(getAttribute(el, 'type')?.value || 'text') &&
+        hasAttribute(el, 'id') && !isLabelled(el, context))
+      .map(el => {
+        const id = getAttribute(el, 'id').value;
+        const forAttribute = el.jsx ? 'htmlFor' : 'for';
+        const label = labelFor(el, id, labelTextFor(el));
+        return {
+          ...openingTag(el),
+          fixSuggestions: [
+            `Add <label ${forAttribute}="${id}">Label text</label>`,
+            'Add aria-label="description" to the input'
+          ],
+          suggestion: { description: `Add ${label} before the input`, edits: [insertBefore(el, context.content, label)] }
+        };
+      })
+  },
+  {
+    id: 'input-no-id-or-label',
+    kind: 'markup',
+    category: 'form-labels',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'error',
+    wcagCriteria: ['1.3.1', '3.3.2'],
+    title: 'Form input has no label or id',
+    description: 'Input needs an id with matching label or aria-label',
+    help: 'Add id and <label for> or aria-label',
+    fixSuggestions: [
+      'Add id="inputId" and <label for="inputId">Label</label>',
+      'Add aria-label="description"'
+    ],
+    tags: ['wcag-a', 'forms'],
+    examples: {
+      language: 'html',
+      incorrect: '<input type="search" name="q">',
+      correct: '<input type="search" name="q" aria-label="Search products">'
+    },
+    check: context => context.elements
+      .filter(el => el.tagName === 'input' && !el.hasUnresolvedSpread &&
+        !UNLABELLED_INPUT_TYPES.includes(getAttribute(el, 'type')?.value || 'text') &&
+        !hasAttribute(el, 'id') && !isLabelled(el, context))
+      .map(el => {
+        const label = labelTextFor(el);
+        return {
+          ...openingTag(el),
+          suggestion: { description: `Add aria-label="${label}" to the input`, edits: [insertAttributes(el, [`aria-label="${label}"`])] }
+        };
+      })
+  },
+  {
+    id: 'placeholder-as-label',
+    kind: 'markup',
+    category: 'form-labels',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'error',
+    wcagCriteria: ['3.3.2'],
+    title: 'Placeholder used as label',
+    description: 'Placeholders disappear when user types and are not accessible to screen readers',
+    help: 'Use proper <label> element instead of placeholder',
+    fixSuggestions: [
+      'Add <label> element with for attribute',
+      'Keep placeholder as hint, but add proper label'
+    ],
+    tags: ['wcag-a', 'forms'],
+    examples: {
+      language: 'html',
+      incorrect: '<input type="text" placeholder="First name">',
+      correct: '<label for="first-name">First name</label>\n<input type="text" id="first-name" placeholder="e.g. Ada">'
+    },
+    check: context => context.elements
+      .filter(el => el.tagName === 'input' && !el.hasUnresolvedSpread &&
+        hasAttribute(el, 'placeholder') && !isLabelled(el, context))
+      .map(el => {
+        const text = labelTextFor(el);
+        const existingId = getAttribute(el, 'id');
+        const id = existingId?.value || text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'field';
+        const label = labelFor(el, id, text);
+        const edits = [insertBefore(el, context.content, label)];
+        if (!existingId) edits.push(insertAttributes(el, [`id="${id}"`]));
+        return {
+          ...openingTag(el),
+          suggestion: {
+            description: `Add a visible ${label} before the input${existingId ? '' : ` and id="${id}" to the input`}; the placeholder can stay as a hint`,
+            edits
+          }
+        };
+      })
+  },
+  {
+    id: 'link-non-descriptive',
+    kind: 'markup',
+    category: 'link-text',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'warning',
+    wcagCriteria: ['2.4.4'],
+    title: 'Link text not descriptive',
+    description: 'Link text is not meaningful out of context',
+    help: 'Use descriptive link text',
+    fixSuggestions: ['Use descriptive text that explains where the link goes'],
+    tags: ['wcag-aa', 'links'],
+    examples: {
+      language: 'html',
+      incorrect: '<a href="/pricing">Click here</a>',
+      correct: '<a href="/pricing">View pricing plans</a>'
+    },
+    check: ({ elements, content }) => elements
+      .filter(el => el.tagName === 'a' && !hasAnyAttribute(el, ['aria-label', 'aria-labelledby']))
+      .map(el => ({ el, linkText: el.textContent().toLowerCase() }))
+      .filter(({ linkText }) => NON_DESCRIPTIVE_LINK_TEXT.includes(linkText))
+      .map(({ el, linkText }) => {
+        const text = humanize(lastSegment(getAttribute(el, 'href'))) || 'Describe where the link goes';
+        const inner = innerRange(el, content);
+        return {
+          ...wholeElement(el),
+          description: `Link text "${linkText}" is not meaningful out of context`,
+          fixSuggestions: ['Use descriptive text instead of "' + linkText + '"'],
+          suggestion: inner && { description: `Replace "${linkText}" with text naming the destination, e.g. "${text}"`, edits: [{ ...inner, text }] }
+        };
+      })
+  },
+  {
+    id: 'iframe-missing-title',
+    kind: 'markup',
+    category: 'semantic-html',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'error',
+    wcagCriteria: ['2.4.1', '4.1.2'],
+    title: 'Iframe missing title',
+    description: 'All iframes must have a title attribute',
+    help: 'Add title attribute describing iframe content',
+    fixSuggestions: ['Add title="description" to iframe'],
+    tags: ['wcag-a', 'iframe'],
+    examples: {
+      language: 'html',
+      incorrect: '<iframe src="https://www.youtube.com/embed/xyz"></iframe>',
+      correct: '<iframe src="https://www.youtube.com/embed/xyz" title="Product demo video"></iframe>'
+    },
+    check: ({ elements }) => elements
+      .filter(el => el.tagName === 'iframe' && !el.hasUnresolvedSpread && !hasAttribute(el, 'title'))
+      .map(el => {
+        const host = getAttribute(el, 'src')?.value?.match(/^(?:https?:)?\/\/(?:www\.)?([^/?#]+)/i);
+        const title = host ? `Embedded content from ${host[1]}` : humanize(lastSegment(getAttribute(el, 'src'))) || 'Describe the embedded content';
+        return {
+          ...openingTag(el),
+          suggestion: { description: `Add title="${title}" to the <iframe>`, edits: [insertAttributes(el, [`title="${title}"`])] }
+        };
+      })
+  },
+  {
+    id: 'html-missing-lang',
+    kind: 'markup',
+    category: 'semantic-html',
+    fileTypes: DOCUMENT_FILES,
+    severity: 'error',
+    wcagCriteria: ['3.1.1'],
+    title: 'HTML missing lang attribute',
+    description: 'The <html> element must have a lang attribute',
+    help: 'Add lang attribute',
+    fixSuggestions: ['Add lang="en" to <html> tag'],
+    tags: ['wcag-a'],
+    examples: {
+      language: 'html',
+      incorrect: '<html>\n  <head><title>Home</title></head>\n</html>',
+      correct: '<html lang="en">\n  <head><title>Home</title></head>\n</html>'
+    },
+    check: ({ elements, document }) => {
+      // Angular component templates are .html fragments, not pages
+      if (!document) return [];
+      const html = elements.find(el => el.tagName === 'html');
+      if (!html) return [{ start: 0, end: 0, code: '<html>' }];
+      const lang = getAttribute(html, 'lang');
+      if (lang?.value || lang?.dynamic) return [];
+      return [{
+        ...openingTag(html),
+        fix: {
+          description: 'Set lang="en" on <html> (use the page\'s actual language)',
+          edits: [lang ? { ...attribute(lang), text: 'lang="en"' } : insertAttributes(html, ['lang="en"'])]
+        }
+      }];
+    }
+  },
+  {
+    id: 'html-missing-title',
+    kind: 'markup',
+    category: 'semantic-html',
+    fileTypes: DOCUMENT_FILES,
+    severity: 'error',
+    wcagCriteria: ['2.4.2'],
+    title: 'Page missing title',
+    description: 'Every HTML page must have a descriptive <title>',
+    help: 'Add <title> element in <head>',
+    fixSuggestions: ['Add <title>Page Title</title> in the <head> section'],
+    tags: ['wcag-a', 'title'],
+    examples: {
+      language: 'html',
+      incorrect: '<html lang="en">\n  <head></head>\n</html>',
+      correct: '<html lang="en">\n  <head><title>Order history - Acme</title></head>\n</html>'
+    },
+    check: ({ elements, content, document }) => {
+      if (!document || elements.some(el => el.tagName === 'title' && el.textContent())) return [];
+      const head = elements.find(el => el.tagName === 'head');
+      const html = elements.find(el => el.tagName === 'html');
+      const title = `<title>${elements.find(el => el.tagName === 'h1')?.textContent() || 'Page title'}</title>`;
+      const target = head || html;
+      return [{
+        ...(head ? openingTag(head) : { start: 0, end: 0, code: '<head>' }),
+        suggestion: target && {
+          description: `Add ${title} ${head ? 'inside <head>' : 'in a new <head>'}`,
+          edits: [insertInside(target, content, head ? title : `<head>${title}</head>`)]
+        }
+      }];
+    }
+  },
+  {
+    id: 'missing-h1',
+    kind: 'markup',
+    category: 'heading-hierarchy',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'warning',
+    wcagCriteria: ['1.3.1', '2.4.6'],
+    title: 'Missing h1 heading',
+    description: 'Page should have a single h1 heading for main content',
+    help: 'Add an h1 heading for the main page title',
+    fixSuggestions: ['Add <h1>Main Page Title</h1>'],
+    tags: ['wcag-aa', 'headings'],
+    examples: {
+      language: 'html',
+      incorrect: '<h2>Order history</h2>\n<h3>March</h3>',
+      correct: '<h1>Order history</h1>\n<h2>March</h2>'
+    },
+    check: ({ elements, content, document }) => {
+      // Components and templates are fragments; the page they end up in may well have the h1
+      if (!document) return [];
+      const headings = elements.filter(el => /^h[1-6]$/.test(el.tagName));
+      if (headings.length === 0 || headings.some(el => el.tagName === 'h1')) return [];
+      const edits = renameElement(headings[0], content, 'h1', 'h1');
+      return [{
+        ...openingTag(headings[0]),
+        code: '',
+        suggestion: edits ? { description: `Make the first heading (<${headings[0].tagName}>) the page's <h1>`, edits } : undefined
+      }];
+    }
+  },
+  {
+    id: 'heading-level-skip',
+    kind: 'markup',
+    category: 'heading-hierarchy',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'warning',
+    wcagCriteria: ['1.3.1'],
+    title: 'Skipped heading level',
+    description: 'Heading levels should increase one at a time',
+    help: 'Use sequential heading levels (h1, h2, h3, etc.)',
+    fixSuggestions: ['Use the next heading level or adjust the previous heading'],
+    tags: ['wcag-aa', 'headings'],
+    examples: {
+      language: 'html',
+      incorrect: '<h1>Settings</h1>\n<h3>Notifications</h3>',
+      correct: '<h1>Settings</h1>\n<h2>Notifications</h2>'
+    },
+    check: ({ elements, content }) => {
+      const headings = elements.filter(el => /^h[1-6]$/.test(el.tagName));
+      const findings = [];
+      for (let i = 1; i < headings.length; i++) {
+        const previous = parseInt(headings[i - 1].tagName[1]);
+        const level = parseInt(headings[i].tagName[1]);
+        if (level > previous + 1) {
+          const edits = renameElement(headings[i], content, `h${previous + 1}`, `h${previous + 1}`);
+          findings.push({
+            ...openingTag(headings[i]),
+            description: `Heading level jumps from h${previous} to h${level}`,
+            fixSuggestions: [`Change to h${previous + 1} or adjust previous heading`],
+            suggestion: edits ? { description: `Change <h${level}> to <h${previous + 1}> (restyle with CSS if it should look smaller)`, edits } : undefined
+          });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'duplicate-id',
+    kind: 'markup',
+    category: 'semantic-html',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'error',
+    wcagCriteria: ['4.1.1'],
+    title: 'Duplicate ID found',
+    description: 'IDs must be unique',
+    help: 'Ensure each ID is unique',
+    fixSuggestions: [
+      `Change one of the duplicate IDs to a unique value`,
+      'Use class instead of id if uniqueness is not required'
+    ],
+    tags: ['wcag-a', 'html'],
+    examples: {
+      language: 'html',
+      incorrect: '<section id="details"></section>\n<section id="details"></section>',
+      correct: '<section id="details"></section>\n<section id="shipping"></section>'
+    },
+    check: ({ elements }) => {
+      const ids = new Set();
+      const taken = new Set(elements.map(el => getAttribute(el, 'id')?.value).filter(Boolean));
+      const findings = [];
+      elements.forEach(el => {
+        const id = getAttribute(el, 'id');
+        if (!id || !id.value) return;
+        if (ids.has(id.value)) {
+          let suffix = 2;
+          while (taken.has(`${id.value}-${suffix}`)) suffix++;
+          const unique = `${id.value}-${suffix}`;
+          taken.add(unique);
+          findings.push({
+            ...attribute(id),
+            description: `ID "${id.value}" is used multiple times. IDs must be unique.`,
+            suggestion: {
+              description: `Rename this id to "${unique}" and update labels or ARIA references that should point to it`,
+              edits: [{ ...attribute(id), text: `${id.name}="${unique}"` }]
+            }
+          });
+        }
+        ids.add(id.value);
+      });
+      return findings;
+    }
+  },
+  {
+    id: 'aria-labelledby-invalid',
+    kind: 'markup',
+    category: 'aria-required',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'error',
+    wcagCriteria: ['4.1.2'],
+    title: 'aria-labelledby references non-existent element',
+    description: 'aria-labelledby references an element that doesn\'t exist',
+    help: 'Ensure the referenced id exists in the document',
+    fixSuggestions: ['Add the referenced id to the element that should label this', 'Or use aria-label instead'],
+    tags: ['wcag-a', 'aria'],
+    examples: {
+      language: 'html',
+      incorrect: '<section aria-labelledby="billing-heading"></section>',
+      correct: '<section aria-labelledby="billing-heading">\n  <h2 id="billing-heading">Billing</h2>\n</section>'
+    },
+    check: ({ elements }) => {
+      // Ids computed at runtime could satisfy any reference
+      if (elements.some(el => getAttribute(el, 'id')?.dynamic)) return [];
+      const ids = new Set(elements.map(el => getAttribute(el, 'id')?.value).filter(Boolean));
+      return elements.flatMap(el => {
+        const labelledBy = getAttribute(el, 'aria-labelledby');
+        if (!labelledBy || !labelledBy.value) return [];
+        const refs = labelledBy.value.split(/\s+/).filter(Boolean);
+        return refs
+          .filter(ref => !ids.has(ref))
+          .map(ref => {
+            const others = refs.filter(other => other !== ref);
+            const label = humanize(ref) || 'Describe this element';
+            return {
+              ...attribute(labelledBy),
+              description: `aria-labelledby="${ref}" references an element that doesn't exist`,
+              fixSuggestions: [
+                `Add id="${ref}" to the element that should label this`,
+                'Or use aria-label instead'
+              ],
+              suggestion: others.length > 0
+                ? { description: `Drop "${ref}" from aria-labelledby`, edits: [{ ...attribute(labelledBy), text: `${labelledBy.name}="${others.join(' ')}"` }] }
+                : { description: `Replace aria-labelledby with aria-label="${label}" (or add id="${ref}" to the labelling element)`, edits: [{ ...attribute(labelledBy), text: `aria-label="${label}"` }] }
+            };
+          });
+      });
+    }
+  },
+  {
+    id: 'aria-invalid-role',
+    kind: 'markup',
+    category: 'aria-required',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'error',
+    wcagCriteria: ['4.1.2'],
+    title: 'Invalid ARIA role value',
+    description: 'The role attribute must use a valid ARIA role',
+    help: 'Use a valid ARIA role from the ARIA specification',
+    fixSuggestions: [`Replace with a valid role (e.g., ${VALID_ROLES.slice(0, 5).join(', ')})`],
+    tags: ['wcag-a', 'aria'],
+    examples: {
+      language: 'html',
+      incorrect: '<div role="tool-bar"></div>',
+      correct: '<div role="toolbar"></div>'
+    },
+    check: ({ elements, content }) => elements.flatMap(el => {
+      const invalidRole = rolesOf(el).find(r => !VALID_ROLES.includes(r));
+      if (!invalidRole) return [];
+      const role = getAttribute(el, 'role');
+      const replacement = closestRole(invalidRole);
+      const roles = rolesOf(el).map(r => r === invalidRole ? replacement : r).filter(Boolean);
+      return [{
+        ...attribute(role),
+        description: `"${invalidRole}" is not a valid ARIA role`,
+        suggestion: roles.length > 0
+          ? { description: replacement ? `Change role "${invalidRole}" to "${replacement}"` : `Drop "${invalidRole}" from role`, edits: [{ ...attribute(role), text: `${role.name}="${roles.join(' ')}"` }] }
+          : { description: `Remove role="${invalidRole}"`, edits: [removeAttribute(role, content)] }
+      }];
+    })
+  },
+  {
+    id: 'aria-conflicting-attributes',
+    kind: 'markup',
+    category: 'aria-required',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'error',
+    wcagCriteria: ['4.1.2'],
+    title: 'Conflicting ARIA attributes',
+    description: 'ARIA attributes on this element contradict each other',
+    help: 'Remove conflicting attributes',
+    fixSuggestions: ['Remove one of the conflicting attributes'],
+    tags: ['wcag-a', 'aria'],
+    examples: {
+      language: 'html',
+      incorrect: '<div aria-hidden="true" aria-label="Notifications"></div>',
+      correct: '<div aria-hidden="true"></div>'
+    },
+    check: ({ elements, content }) => elements.flatMap(el => {
+      const conflicts = [];
+      if (isTrue(el, 'aria-hidden') && hasAttribute(el, 'aria-label')) {
+        conflicts.push({
+          ...openingTag(el),
+          description: 'aria-hidden="true" conflicts with aria-label',
+          // Screen readers already skip the element, so dropping the label changes nothing for them
+          suggestion: {
+            description: 'Remove aria-label from the hidden element (or remove aria-hidden if it should be announced)',
+            edits: [removeAttribute(getAttribute(el, 'aria-label'), content)]
+          }
+        });
+      }
+      const tabIndex = getAttribute(el, 'tabIndex');
+      if (isTrue(el, 'aria-disabled') && tabIndex?.value === '0') {
+        conflicts.push({
+          ...openingTag(el),
+          description: 'aria-disabled="true" conflicts with tabindex="0"',
+          suggestion: {
+            description: `Set ${tabIndex.name} to -1 while the element is disabled`,
+            edits: [{ ...attribute(tabIndex), text: el.jsx ? `${tabIndex.name}={-1}` : `${tabIndex.name}="-1"` }]
+          }
+        });
+      }
+      return conflicts;
+    })
+  },
+  {
+    id: 'custom-interactive-missing-keyboard',
+    kind: 'markup',
+    category: 'keyboard-nav',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'error',
+    wcagCriteria: ['2.1.1', '2.1.2'],
+    title: 'Custom interactive element missing keyboard support',
+    description: 'Elements with ARIA roles must support keyboard interaction',
+    help: 'Add onKeyDown handler and tabIndex',
+    fixSuggestions: [
+      'Add tabIndex={0} for keyboard focus',
+      'Add onKeyDown handler for Enter and Space keys'
+    ],
+    tags: ['wcag-a', 'keyboard'],
+    examples: {
+      language: 'jsx',
+      incorrect: '<span role="link" onClick={openProfile}>Profile</span>',
+      correct: '<span role="link" tabIndex={0} onClick={openProfile} onKeyDown={onProfileKeyDown}>Profile</span>'
+    },
+    check: ({ elements }) => elements
+      .filter(el => ['div', 'span'].includes(el.tagName) && !el.hasUnresolvedSpread &&
+        rolesOf(el).some(r => ['button', 'link', 'tab', 'menuitem'].includes(r)) &&
+        (!hasAttribute(el, 'onKeyDown') || !hasAttribute(el, 'tabIndex')))
+      .map(el => ({ ...openingTag(el), fix: keyboardScaffold(el) }))
+  },
+  {
+    id: 'missing-keyboard-handler',
+    kind: 'markup',
+    category: 'keyboard-nav',
+    fileTypes: TEMPLATE_FILES,
+    severity: 'error',
+    wcagCriteria: ['2.1.1', '2.1.2'],
+    title: 'Interactive element missing keyboard handler',
+    description: 'Element with click handler must also handle keyboard events',
+    help: 'Add onKeyDown handler for Enter and Space keys',
+    fixSuggestions: [
+      'Add onKeyDown={(e) => { if (e.key === "Enter" || e.key === " ") { handleClick(); } }}',
+      'Or use semantic <button> element instead'
+    ],
+    tags: ['wcag-a', 'keyboard'],
+    examples: {
+      language: 'jsx',
+      incorrect: '<span role="button" tabIndex={0} onClick={toggle}>Menu</span>',
+      correct: '<span role="button" tabIndex={0} onClick={toggle} onKeyDown={onToggleKeyDown}>Menu</span>'
+    },
+    check: ({ elements }) => elements
+      .filter(el => ['div', 'span'].includes(el.tagName) && !el.hasUnresolvedSpread &&
+        rolesOf(el).some(r => ['button', 'link', 'menuitem'].includes(r)) &&
+        hasAttribute(el, 'onClick') && !hasAnyAttribute(el, ['onKeyDown', 'onKeyUp', 'onKeyPress']))
+      .map(el => ({ ...openingTag(el), fix: keyboardScaffold(el) }))
+  },
+  {
+    id: 'dynamic-content-no-announcement',
+    kind: 'markup',
+    category: 'screen-readers',
+    fileTypes: SCRIPT_FILES,
+    severity: 'warning',
+    wcagCriteria: ['4.1.3'],
+    title: 'Dynamic content may need aria-live region',
+    description: 'Content updates detected but no aria-live region found',
+    help: 'Add aria-live region for important dynamic content updates',
+    fixSuggestions: [
+      'Add <div aria-live="polite" aria-atomic="true"> for status updates',
+      'Use aria-live="assertive" for critical updates'
+    ],
+    tags: ['wcag-aa', 'aria-live'],
+    examples: {
+      language: 'jsx',
+      incorrect: 'function Cart() {\n  const [items, setItems] = useState([]);\n  const [total, setTotal] = useState(0);\n  const [saving, setSaving] = useState(false);\n  const [status, setStatus] = useState(\'\');\n  return <div><p>{status}</p></div>;\n}',
+      correct: 'function Cart() {\n  const [items, setItems] = useState([]);\n  const [total, setTotal] = useState(0);\n  const [saving, setSaving] = useState(false);\n  const [status, setStatus] = useState(\'\');\n  return <div><p role="status" aria-live="polite">{status}</p></div>;\n}'
+    },
+    check: ({ elements, content, fragments = [], stateCalls = [] }) => {
+      const hasLiveRegion = elements.some(el =>
+        hasAnyAttribute(el, ['aria-live', 'aria-atomic', 'aria-busy']) ||
+        ['status', 'alert', 'log'].includes(getAttribute(el, 'role')?.value)) ||
+        fragments.some(fragment => /aria-live|aria-atomic|aria-busy/i.test(fragment.text));
+      if (stateCalls.length <= 3 || hasLiveRegion || (elements.length === 0 && fragments.length === 0)) return [];
+      const container = elements.find(el => innerRange(el, content));
+      const region = '<div role="status" aria-live="polite">{/* status messages */}</div>';
+      // The range spans every state update; the code stays the first one so fingerprints are stable
+      return [{
+        start: stateCalls[0].start,
+        end: Math.max(...stateCalls.map(call => call.end)),
+        code: content.substring(stateCalls[0].start, stateCalls[0].end),
+        suggestion: container && {
+          description: `Add ${region} inside <${container.tagName}> and render update messages into it`,
+          edits: [insertInside(container, content, region)]
+        }
+      }];
+    }
+  }
+];
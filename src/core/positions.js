@@ -0,0 +1,79 @@
+/**
+ * Source Positions
+ * Maps character offsets to 1-based line and column numbers and back. The line starts are
+ * found once per file, so locating every violation costs a binary search instead of a rescan.
+ */
+
+let lastIndex = null;
+
+/**
+ * Build a position index for a file
+ * @param {string} content - File content
+ * @returns {{ content: string, lineCount: number, positionAt: Function, offsetAt: Function, rangeAt: Function }}
+ */
+export function createPositionIndex(content) {
+  const lineStarts = [0];
+  let newline = content.indexOf('\n');
+  while (newline !== -1) {
+    lineStarts.push(newline + 1);
+    newline = content.indexOf('\n', newline + 1);
+  }
+
+  function positionAt(offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  }
+
+  return {
+    content,
+    lineCount: lineStarts.length,
+
+    /**
+     * Line and column of an offset
+     * @param {number} offset
+     * @returns {{ line: number, column: number }}
+     */
+    positionAt,
+
+    /**
+     * Offset of a line and column; lines past the end map to the end of the file
+     * @param {number} line - 1-based line
+     * @param {number} [column=1] - 1-based column
+     * @returns {number}
+     */
+    offsetAt(line, column = 1) {
+      if (line > lineStarts.length) return content.length;
+      return Math.min(lineStarts[Math.max(line, 1) - 1] + column - 1, content.length);
+    },
+
+    /**
+     * Start and end of a range; the end column is exclusive, as in SARIF and LSP
+     * @param {number} start - Offset of the first character
+     * @param {number} [end=start] - Offset after the last character
+     * @returns {{ line: number, column: number, endLine: number, endColumn: number }}
+     */
+    rangeAt(start, end = start) {
+      const { line, column } = positionAt(start);
+      const { line: endLine, column: endColumn } = positionAt(Math.max(start, end));
+      return { line, column, endLine, endColumn };
+    }
+  };
+}
+
+/**
+ * Position index for a file, shared by every analyzer that looks at the same content
+ * The most recent index is kept, so the rules, suppressions and fixes for one file
+ * build the line table once.
+ * @param {string} content - File content
+ * @returns {ReturnType<typeof createPositionIndex>}
+ */
+export function getPositionIndex(content) {
+  if (lastIndex?.content !== content) lastIndex = createPositionIndex(content);
+  return lastIndex;
+}
@@ -0,0 +1,168 @@
+/**
+ * PR Review Builder
+ * Turns PR analysis results into a GitHub pull-request review: line-anchored comments
+ * for violations on lines the PR added or changed, and a collapsed summary for the rest
+ */
+
+// Keeps a single review readable; anything beyond this goes into the summary
+export const MAX_INLINE_COMMENTS = 50;
+
+const SEVERITY_ICONS = { error: '🔴', warning: '🟡', info: '🔵' };
+
+/**
+ * Line numbers (in the new file) that a unified diff patch adds or changes
+ * @param {string} [patch] - `patch` field from pulls.listFiles; missing for binary or very large diffs
+ * @returns {Set<number>}
+ */
+export function parseAddedLines(patch) {
+  const added = new Set();
+  if (!patch) return added;
+
+  let line = 0;
+  patch.split('\n').forEach(text => {
+    const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      line = Number(hunk[1]);
+    } else if (text.startsWith('+')) {
+      added.add(line++);
+    } else if (text.startsWith(' ')) {
+      line++;
+    }
+    // '-' lines and "\ No newline at end of file" do not exist in the new file
+  });
+
+  return added;
+}
+
+/**
+ * Build the review payload for pulls.createReview
+ * @param {Object} results - PR analysis results (violations carry `file`, `line` and optionally `endLine`/`endColumn`)
+ * @param {Map<string, Set<number>>} addedLinesByFile - parseAddedLines() per file
+ * @param {Object} [options]
+ * @param {number} [options.maxComments=MAX_INLINE_COMMENTS]
+ * @returns {{ body: string, comments: Array<{ path, line, side, body, start_line?, start_side? }>, outsideDiff: Array }}
+ */
+export function buildReview(results, addedLinesByFile, options = {}) {
+  const maxComments = options.maxComments ?? MAX_INLINE_COMMENTS;
+
+  // One comment per changed line, even when several rules fire on it
+  const byLine = new Map();
+  const outsideDiff = [];
+  results.violations.forEach(violation => {
+    const key = `${violation.file}:${violation.line}`;
+    if (byLine.has(key)) {
+      byLine.get(key).push(violation);
+    } else if (addedLinesByFile.get(violation.file)?.has(violation.line) && byLine.size < maxComments) {
+      byLine.set(key, [violation]);
+    } else {
+      outsideDiff.push(violation);
+    }
+  });
+
+  const comments = [...byLine.values()].map(violations => {
+    const { file, line } = violations[0];
+    // Multi-line findings highlight their whole range when all of it was added in the PR
+    const endLine = Math.max(...violations.map(lastLine));
+    const addedLines = addedLinesByFile.get(file);
+    const range = endLine > line && Array.from({ length: endLine - line }, (_, i) => line + i + 1).every(n => addedLines.has(n))
+      ? { start_line: line, start_side: 'RIGHT', line: endLine }
+      : { line };
+    return {
+      path: file,
+      ...range,
+      side: 'RIGHT',
+      body: violations.map(formatInlineComment).join('\n\n---\n\n')
+    };
+  });
+
+  return { body: formatReviewBody(results, comments.length, outsideDiff), comments, outsideDiff };
+}
+
+/**
+ * Last line a violation covers; a range ending at the start of a line does not include it
+ */
+function lastLine(violation) {
+  const { line, endLine = line, endColumn } = violation;
+  return endLine > line && endColumn === 1 ? endLine - 1 : endLine;
+}
+
+function formatInlineComment(violation) {
+  let body = `${SEVERITY_ICONS[violation.severity] || '⚪'} **${violation.title}** (\`${violation.id}\`)\n\n`;
+  body += `${violation.description}\n\n`;
+  body += `💡 **Fix:** ${violation.fixSuggestion || violation.help}`;
+  if (violation.wcagCriteria && violation.wcagCriteria.length > 0) {
+    body += `\n\n📚 WCAG: ${violation.wcagCriteria.join(', ')}`;
+  }
+  return body;
+}
+
+function formatReviewBody(results, inlineCount, outsideDiff) {
+  let body = `## 🔍 Accessibility Review Results (via MCP)\n\n`;
+  body += `**Found ${results.summary.totalViolations} accessibility violation(s)** `;
+  body += `(${results.summary.errors} errors, ${results.summary.warnings} warnings) in ${results.analyzedFiles} file(s).\n\n`;
+
+  if (inlineCount > 0) {
+    body += `- 💬 ${inlineCount} inline comment(s) on lines changed in this PR\n`;
+  }
+  if (outsideDiff.length > 0) {
+    body += `- 📄 ${outsideDiff.length} violation(s) outside the changed lines (below)\n`;
+  }
+  if (results.baselined > 0) {
+    body += `- 📌 ${results.baselined} known violation(s) recorded in \`.a11y/baseline.json\` are not reported\n`;
+  }
+  if (results.existingViolations > 0) {
+    body += `- ℹ️ ${results.existingViolations} violation(s) that already existed before this PR are not reported\n`;
+  }
+  body += '\n';
+
+  (results.thresholdsExceeded || []).forEach(reason => {
+    body += `🚫 **Threshold:** ${reason}\n`;
+  });
+  if (results.passed === false) body += '\n';
+
+  if (outsideDiff.length > 0) {
+    body += `<details>\n<summary>Violations outside the diff (${outsideDiff.length})</summary>\n\n`;
+    outsideDiff.forEach(v => {
+      body += `- ${SEVERITY_ICONS[v.severity] || '⚪'} **${v.title}** in \`${v.file}\` (Line ${v.line})\n`;
+      body += `  - ${v.description}\n`;
+      body += `  - 💡 Fix: ${v.fixSuggestion || v.help}\n`;
+    });
+    body += `\n</details>\n\n`;
+  }
+
+  if (results.fixedViolations && results.fixedViolations.length > 0) {
+    body += `<details>\n<summary>✅ Violations fixed by this PR (${results.fixedViolations.length})</summary>\n\n`;
+    results.fixedViolations.forEach(v => {
+      body += `- **${v.title}** in \`${v.file}\` (was line ${v.line})\n`;
+    });
+    body += `\n</details>\n\n`;
+  }
+
+  if (results.suppressed && results.suppressed.length > 0) {
+    body += `<details>\n<summary>🔕 Suppressed by a11y-disable comments (${results.suppressed.length})</summary>\n\n`;
+    results.suppressed.forEach(v => {
+      body += `- \`${v.id}\` in \`${v.file}\` (Line ${v.line}): ${v.reason || '_no reason given_'}\n`;
+    });
+    body += `\n</details>\n\n`;
+  }
+
+  if (results.unusedSuppressions && results.unusedSuppressions.length > 0) {
+    body += `<details>\n<summary>⚠️ Suppression comments that no longer suppress anything (${results.unusedSuppressions.length})</summary>\n\n`;
+    results.unusedSuppressions.forEach(s => {
+      body += `- \`${s.file}\` line ${s.line}: ${s.ruleIds.length > 0 ? s.ruleIds.map(id => `\`${id}\``).join(', ') : 'all rules'}\n`;
+    });
+    body += `\n</details>\n\n`;
+  }
+
+  if (results.staleBaselineEntries && results.staleBaselineEntries.length > 0) {
+    body += `<details>\n<summary>🧹 Baseline entries that no longer match (${results.staleBaselineEntries.length})</summary>\n\n`;
+    body += `These were fixed or changed; run \`node cli-scanner.js <paths> --update-baseline\` to prune them.\n\n`;
+    results.staleBaselineEntries.forEach(entry => {
+      body += `- \`${entry.ruleId}\` in \`${entry.file}\` (was line ${entry.line})\n`;
+    });
+    body += `\n</details>\n\n`;
+  }
+
+  body += `---\n*Analysis performed by A11y-MCP Server using Model Context Protocol*\n`;
+  return body;
+}
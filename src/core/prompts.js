@@ -0,0 +1,281 @@
+/**
+ * MCP Prompts
+ * Templated review prompts, each pre-filled with analyzeFileHybrid() findings for the
+ * given file so the model starts from concrete violations instead of a blank page
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { analyzeFileHybrid } from './hybrid-analyzer.js';
+import { isSupportedFile, fileTypeOf } from './file-types.js';
+import { readResource } from './resources.js';
+import { getRule } from './rule-registry.js';
+import { loadConfig, isIgnored, isInsideRoot } from './config.js';
+
+// Rules whose findings matter when rewriting a form
+const FORM_CATEGORIES = ['form-labels', 'aria-required', 'keyboard-nav', 'semantic-html'];
+
+const DEFAULT_REPORT = 'a11y-results.json';
+
+// Keeps the triage prompt within a reasonable context size; the table still counts everything
+const MAX_LISTED_FINDINGS = 100;
+
+const PROMPTS = [
+  {
+    name: 'review-component',
+    description: 'Review a component or page for WCAG 2.2 AA, starting from the automated findings',
+    arguments: [
+      { name: 'filePath', description: 'File to review', required: true },
+      { name: 'content', description: 'File content (defaults to reading filePath)', required: false }
+    ],
+    build: reviewComponent
+  },
+  {
+    name: 'explain-violation',
+    description: 'Explain one violation to a junior developer: who it affects, why, and how to fix it in this code',
+    arguments: [
+      { name: 'filePath', description: 'File with the violation', required: true },
+      { name: 'violationId', description: 'Rule id, e.g. img-missing-alt (defaults to the first violation)', required: false },
+      { name: 'line', description: 'Line of the violation', required: false },
+      { name: 'content', description: 'File content (defaults to reading filePath)', required: false }
+    ],
+    build: explainViolation
+  },
+  {
+    name: 'accessible-form',
+    description: 'Write an accessible version of the form in a file',
+    arguments: [
+      { name: 'filePath', description: 'File containing the form', required: true },
+      { name: 'content', description: 'File content (defaults to reading filePath)', required: false }
+    ],
+    build: accessibleForm
+  },
+  {
+    name: 'triage-report',
+    description: 'Triage a scan: group findings by root cause and order the work by user impact',
+    arguments: [
+      { name: 'filePaths', description: 'Comma-separated files to scan', required: false },
+      { name: 'reportPath', description: `Scan report to triage when filePaths is not given (default: ${DEFAULT_REPORT})`, required: false }
+    ],
+    build: triageReport
+  }
+];
+
+/**
+ * Prompt definitions for prompts/list
+ * @returns {Array<{ name, description, arguments }>}
+ */
+export function listPrompts() {
+  return PROMPTS.map(({ build, ...prompt }) => prompt);
+}
+
+/**
+ * Render a prompt for prompts/get
+ * @param {string} name - Prompt name
+ * @param {Object<string, string>} [args] - Prompt arguments (MCP passes them as strings)
+ * @param {Object} [options] - analyzeFileHybrid() options (config, baseline)
+ * @returns {Promise<{ description: string, messages: Array }>}
+ * @throws {Error} For unknown prompts, missing required arguments or unreadable files
+ */
+export async function getPrompt(name, args = {}, options = {}) {
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+  const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]).map(arg => arg.name);
+  if (missing.length > 0) {
+    throw new Error(`Prompt ${name} requires: ${missing.join(', ')}`);
+  }
+
+  const messages = await prompt.build(args, options);
+  return { description: prompt.description, messages };
+}
+
+async function reviewComponent(args, options) {
+  const { filePath, content, violations } = await analyze(args, options);
+  return [userMessage([
+    `Review \`${filePath}\` for WCAG 2.2 Level AA conformance.`,
+    '',
+    `The automated checks found ${formatCount(violations)}:`,
+    '',
+    formatViolations(violations),
+    '',
+    'Automated checks catch only part of WCAG. Starting from these findings:',
+    '1. Confirm or dismiss each finding and describe its impact on keyboard and screen reader users.',
+    '2. Look for what the checks cannot judge: whether alt text and labels are meaningful, focus order and focus management, keyboard traps, error handling, and content that changes without being announced.',
+    '3. Propose concrete code changes, most severe first, citing the WCAG success criterion for each.',
+    '',
+    'Rule documentation is available as `a11y://rules/{id}` resources.',
+    '',
+    codeBlock(filePath, content)
+  ])];
+}
+
+async function explainViolation(args, options) {
+  const { filePath, content, violations } = await analyze(args, options);
+  const line = args.line !== undefined && args.line !== '' ? Number(args.line) : undefined;
+  const violation = violations.find(v =>
+    (!args.violationId || v.id === args.violationId) && (line === undefined || v.line === line));
+  if (!violation) {
+    const wanted = [args.violationId, line !== undefined && `line ${line}`].filter(Boolean).join(' on ');
+    throw new Error(`No ${wanted || 'accessibility'} violation found in ${filePath}`);
+  }
+
+  return [
+    userMessage([
+      `Explain this accessibility violation to a junior developer who is new to accessibility.`,
+      '',
+      formatViolations([violation]),
+      '',
+      `Code around line ${violation.line} of \`${filePath}\`:`,
+      '',
+      codeBlock(filePath, excerpt(content, violation.line), violation.line - 3),
+      '',
+      'Cover, in plain language:',
+      '1. What is wrong, pointing at the exact code.',
+      '2. Who is affected and what they experience (e.g. what a screen reader announces, or what happens with only a keyboard).',
+      `3. What WCAG ${violation.wcagCriteria.join(', ')} asks for, defining any jargon.`,
+      '4. How to fix it step by step, with the corrected code.',
+      '5. How to check the fix by hand.'
+    ]),
+    {
+      role: 'user',
+      content: { type: 'resource', resource: readResource(`a11y://rules/${violation.id}`) }
+    }
+  ];
+}
+
+async function accessibleForm(args, options) {
+  const { filePath, content, violations } = await analyze(args, options);
+  const formViolations = violations.filter(v => FORM_CATEGORIES.includes(getRule(v.id)?.category));
+  return [userMessage([
+    `Write an accessible version of the form in \`${filePath}\`.`,
+    '',
+    `The automated checks found ${formatCount(formViolations)} related to labels, ARIA, keyboard support and semantic HTML:`,
+    '',
+    formatViolations(formViolations),
+    '',
+    'The rewritten form must:',
+    '- Give every control a visible <label> associated with it (not a placeholder)',
+    '- Group related controls (radio buttons, checkboxes, address parts) in a <fieldset> with a <legend>',
+    '- Mark required fields with the required attribute and in the visible label',
+    '- Connect hints and error messages with aria-describedby, set aria-invalid on invalid fields, and announce errors on submit',
+    '- Use autocomplete attributes for personal data (WCAG 1.3.5) and the most specific input type',
+    '- Work with the keyboard alone, with a native submit <button>',
+    '',
+    'Keep the existing behaviour, names and styling hooks. Return the complete rewritten form, then list what changed and which WCAG criterion each change addresses.',
+    '',
+    codeBlock(filePath, content)
+  ])];
+}
+
+async function triageReport(args, options) {
+  let source;
+  let violations;
+  if (args.filePaths) {
+    const config = options.config || loadConfig();
+    const filePaths = args.filePaths.split(',').map(p => p.trim()).filter(p => p && !isIgnored(path.resolve(p), config));
+    const results = await Promise.all(filePaths.map(filePath => analyze({ filePath }, { ...options, config })));
+    violations = results.flatMap(result => result.violations.map(v => ({ ...v, file: result.filePath })));
+    source = `a scan of ${filePaths.length} file(s)`;
+  } else {
+    const reportPath = path.resolve(args.reportPath || DEFAULT_REPORT);
+    requireInsideRoot(reportPath, options.config || loadConfig());
+    if (!fs.existsSync(reportPath)) {
+      throw new Error(`Report not found: ${reportPath} (pass filePaths to scan files instead)`);
+    }
+    violations = JSON.parse(fs.readFileSync(reportPath, 'utf8')).violations || [];
+    source = `\`${path.basename(reportPath)}\``;
+  }
+
+  const byRule = new Map();
+  violations.forEach(v => byRule.set(v.id, [...(byRule.get(v.id) || []), v]));
+  const table = [...byRule.entries()]
+    .sort((a, b) => b[1].length - a[1].length)
+    .map(([id, list]) => `| \`${id}\` | ${list[0].severity} | ${list.length} | ${new Set(list.map(v => v.file)).size} | ${(list[0].wcagCriteria || []).join(', ')} |`);
+
+  return [userMessage([
+    `Triage the accessibility findings from ${source}: ${formatCount(violations)}.`,
+    '',
+    '| Rule | Severity | Count | Files | WCAG |',
+    '|------|----------|-------|-------|------|',
+    ...table,
+    '',
+    'Findings:',
+    '',
+    formatViolations(violations.slice(0, MAX_LISTED_FINDINGS)),
+    ...(violations.length > MAX_LISTED_FINDINGS ? [`- …and ${violations.length - MAX_LISTED_FINDINGS} more (counted in the table)`] : []),
+    '',
+    'Produce a triage plan:',
+    '1. Group findings that share a root cause (e.g. one shared component used in many places).',
+    '2. Rank the groups by impact on users, not by count; blockers for keyboard and screen reader users come first.',
+    '3. Flag likely false positives and what to check to confirm them.',
+    '4. Note which findings `apply_fix` can fix automatically (marked auto-fixable) and which need a person.',
+    '5. Suggest an order of work that could be split into small pull requests.'
+  ])];
+}
+
+/**
+ * Read (unless given) and analyze a file
+ */
+async function analyze({ filePath, content }, options) {
+  if (!isSupportedFile(filePath)) {
+    throw new Error(`Unsupported file type: ${filePath}`);
+  }
+  let fileContent = content;
+  if (fileContent === undefined || fileContent === '') {
+    requireInsideRoot(filePath, options.config || loadConfig());
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    fileContent = fs.readFileSync(filePath, 'utf8');
+  }
+  const violations = await analyzeFileHybrid(fileContent, filePath, options);
+  return { filePath, content: fileContent, violations };
+}
+
+/**
+ * Only read files inside the project root, like the tools that read from disk
+ */
+function requireInsideRoot(filePath, config) {
+  if (!isInsideRoot(filePath, config)) {
+    throw new Error(`Path is outside the project root (${config.rootDir}): ${filePath}`);
+  }
+}
+
+function formatViolations(violations) {
+  if (violations.length === 0) return '(none)';
+  return violations.map(v => {
+    const location = `${v.file ? `${v.file}:` : 'line '}${v.line}`;
+    const lines = [
+      `- [${v.severity}] \`${v.id}\` at ${location} (WCAG ${(v.wcagCriteria || []).join(', ')})${v.fix ? ' — auto-fixable' : ''}`,
+      `  ${v.title}: ${v.description}`
+    ];
+    if (v.code) lines.push(`  Code: \`${v.code.replace(/\s+/g, ' ').trim()}\``);
+    lines.push(`  Fix: ${v.fixSuggestions?.[0] || v.fixSuggestion || v.help}`);
+    return lines.join('\n');
+  }).join('\n');
+}
+
+function formatCount(violations) {
+  const errors = violations.filter(v => v.severity === 'error').length;
+  return `${violations.length} violation(s) (${errors} errors, ${violations.length - errors} warnings/info)`;
+}
+
+/**
+ * The lines around a line, for explaining a violation in context
+ */
+function excerpt(content, line, context = 3) {
+  return content.split('\n').slice(Math.max(0, line - 1 - context), line + context).join('\n');
+}
+
+function codeBlock(filePath, code, firstLine) {
+  const numbered = firstLine === undefined
+    ? code
+    : code.split('\n').map((text, i) => `${String(Math.max(1, firstLine) + i).padStart(4)}  ${text}`).join('\n');
+  return '```' + fileTypeOf(filePath) + '\n' + numbered.replace(/\n$/, '') + '\n```';
+}
+
+function userMessage(lines) {
+  return { role: 'user', content: { type: 'text', text: lines.join('\n') } };
+}
@@ -0,0 +1,181 @@
+/**
+ * Per-file Scan Reports
+ * Builds the CLI's per-file result from one analysis and renders it as human-readable
+ * text or JSON, so every output format comes from a single run of the analyzer
+ */
+
+import { fileTypeOf } from './file-types.js';
+
+/**
+ * Per-file result for reports
+ * @param {string} filePath - Path shown in reports
+ * @param {Object} analysis - Result of analyzeFileTask() or a worker pool's analyze()
+ * @returns {Object} Result with statistics and metadata; set `thresholds` to report pass/fail
+ */
+export function createFileResult(filePath, analysis) {
+  const { content, lineCount, violations, suppressed, unusedSuppressions, baselined, staleBaselineEntries, fixes, cached } = analysis;
+  return {
+    filePath,
+    fileType: fileTypeOf(filePath),
+    ...(content !== undefined && { content }),
+    violations,
+    suppressed,
+    unusedSuppressions,
+    baselined: baselined.length,
+    staleBaselineEntries,
+    fixes,
+    cached,
+    statistics: {
+      totalViolations: violations.length,
+      errors: violations.filter(v => v.severity === 'error').length,
+      warnings: violations.filter(v => v.severity === 'warning').length,
+      info: violations.filter(v => v.severity === 'info').length,
+      estimatedFixTime: `${Math.max(violations.length * 2, 1)} minutes`
+    },
+    metadata: {
+      lineCount,
+      analyzedAt: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Human-readable report for one file
+ * @param {Object} result - createFileResult() result
+ * @returns {string}
+ */
+export function formatFileText(result) {
+  const lines = [
+    `\n📄 File: ${result.filePath}`,
+    `🗂️  File Type: ${result.fileType.toUpperCase()}`,
+    `📊 Lines: ${result.metadata.lineCount}`,
+    ...fixLines(result.fixes)
+  ];
+
+  if (result.violations.length === 0) {
+    lines.push('✅ Result: No accessibility violations found! 🎉');
+  } else {
+    lines.push(`❌ Result: Found ${result.violations.length} accessibility violation(s):\n`);
+
+    result.violations.forEach((violation, index) => {
+      lines.push(`   ${index + 1}. [${violation.severity.toUpperCase()}] ${violation.title}`);
+      lines.push(`      📍 Line: ${violation.line}`);
+      lines.push(`      📝 ${violation.description}`);
+      lines.push(`      🔧 ${violation.help}`);
+      lines.push(`      📚 WCAG: ${violation.wcagCriteria.join(', ')}`);
+      if (violation.fixSuggestions && violation.fixSuggestions.length > 0) {
+        lines.push(`      💡 Suggestions:`);
+        violation.fixSuggestions.forEach(suggestion => {
+          lines.push(`         - ${suggestion}`);
+        });
+      }
+      lines.push('');
+    });
+
+    lines.push(`\n📈 Statistics:`);
+    lines.push(`   Errors: ${result.statistics.errors}`);
+    lines.push(`   Warnings: ${result.statistics.warnings}`);
+    lines.push(`   Estimated fix time: ${result.statistics.estimatedFixTime}`);
+  }
+
+  if (result.baselined > 0) {
+    lines.push(`📌 Baseline: ${result.baselined} known violation(s) not shown`);
+  }
+  lines.push(...staleEntryLines(result.staleBaselineEntries));
+  lines.push(...suppressionLines(result));
+
+  if (result.thresholds && !result.thresholds.passed) {
+    result.thresholds.exceeded.forEach(reason => lines.push(`🚫 Threshold: ${reason}`));
+  }
+
+  lines.push('─'.repeat(80));
+  return lines.join('\n');
+}
+
+/**
+ * JSON report for one file, for CI/CD
+ * @param {Object} result - createFileResult() result
+ * @returns {string}
+ */
+export function formatFileJson(result) {
+  return JSON.stringify({
+    file: result.filePath,
+    type: result.fileType,
+    violations: result.violations.map(v => ({
+      id: v.id,
+      severity: v.severity,
+      title: v.title,
+      description: v.description,
+      line: v.line,
+      column: v.column,
+      endLine: v.endLine,
+      endColumn: v.endColumn,
+      wcag: v.wcagCriteria,
+      fix: v.help
+    })),
+    summary: result.statistics,
+    suppressed: result.suppressed.map(v => ({
+      id: v.id,
+      line: v.line,
+      reason: v.suppression.reason,
+      suppressedBy: v.suppression.line
+    })),
+    unusedSuppressions: result.unusedSuppressions,
+    baselined: result.baselined,
+    staleBaselineEntries: result.staleBaselineEntries,
+    fixes: result.fixes,
+    // Thresholds are only evaluated per file for single-file scans
+    ...(result.thresholds && {
+      passed: result.thresholds.passed,
+      thresholdsExceeded: result.thresholds.exceeded
+    })
+  }, null, 2);
+}
+
+/**
+ * Baseline entries that no longer match, so .a11y/baseline.json can be pruned
+ * @param {Array} entries - staleBaselineEntries from one or more results
+ * @returns {string} Empty when there are none
+ */
+export function formatStaleEntries(entries) {
+  return staleEntryLines(entries).join('\n');
+}
+
+/**
+ * The fixes --fix applied, and whether re-analysis confirmed them
+ */
+function fixLines(fixes) {
+  return fixes.map(fix => {
+    const note = fix.confirmed ? '' : ` (⚠️  ${fix.id} is still reported)`;
+    return `🔧 Fixed line ${fix.line}: ${fix.description}${note}`;
+  });
+}
+
+function staleEntryLines(entries) {
+  if (entries.length === 0) return [];
+  return [
+    `🧹 ${entries.length} baseline entr${entries.length === 1 ? 'y no longer matches' : 'ies no longer match'} (prune with --update-baseline):`,
+    ...entries.map(entry => `   - ${entry.file}: ${entry.ruleId} (was line ${entry.line})`)
+  ];
+}
+
+/**
+ * Suppressed findings with their justification, and comments that suppress nothing
+ */
+function suppressionLines(result) {
+  const lines = [];
+  if (result.suppressed.length > 0) {
+    lines.push(`🔕 Suppressed ${result.suppressed.length} finding(s):`);
+    result.suppressed.forEach(v => {
+      lines.push(`   - Line ${v.line}: ${v.id} — ${v.suppression.reason || '(no reason given)'}`);
+    });
+  }
+  if (result.unusedSuppressions.length > 0) {
+    lines.push(`⚠️  ${result.unusedSuppressions.length} suppression comment(s) no longer suppress anything:`);
+    result.unusedSuppressions.forEach(s => {
+      const directive = s.type === 'svelte-ignore' ? 'svelte-ignore' : `a11y-disable${s.type === 'next-line' ? '-next-line' : ''}`;
+      lines.push(`   - Line ${s.line}: ${directive} ${s.ruleIds.join(', ')}`.trimEnd());
+    });
+  }
+  return lines;
+}
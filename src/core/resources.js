@@ -0,0 +1,293 @@
+/**
+ * MCP Resources
+ * Read-only documents for assistants: the rule catalogue, per-rule docs with examples,
+ * WCAG success criteria with the rules that cover them, and the latest scan artifacts
+ *
+ *   a11y://rules                 Every rule with its metadata (JSON)
+ *   a11y://rules/{id}            Docs and examples for one rule (Markdown)
+ *   a11y://wcag/{criterion}      A success criterion and the rules covering it (Markdown)
+ *   a11y://reports/latest        The most recent scan artifacts (JSON)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { getRules, getRule } from './rule-registry.js';
+import { getCriterion } from './wcag.js';
+
+const SCHEME = 'a11y://';
+
+// Files written by scripts/analyze-pr-mcp.js in the directory it runs from
+const REPORT_ARTIFACTS = [
+  { name: 'a11y-results.json', mimeType: 'application/json', description: 'PR analysis results' },
+  { name: 'a11y-results.sarif', mimeType: 'application/sarif+json', description: 'SARIF 2.1.0 log for code scanning' }
+];
+
+// run.sh and scripts/scan-parallel.js write each scan to artifacts/<timestamp>/ (archive/ holds old ones)
+const ARTIFACTS_DIR = 'artifacts';
+const SCAN_SUMMARY = /^a11y-results-.+\.txt$/;
+const MIME_TYPES = { '.json': 'application/json', '.sarif': 'application/sarif+json', '.txt': 'text/plain', '.html': 'text/html' };
+
+/**
+ * Resources with fixed URIs
+ * @returns {Array<{ uri, name, description, mimeType }>}
+ */
+export function listResources() {
+  return [
+    {
+      uri: `${SCHEME}rules`,
+      name: 'Accessibility rules',
+      description: 'Every rule with its id, severity, category, file types and WCAG criteria',
+      mimeType: 'application/json'
+    },
+    {
+      uri: `${SCHEME}reports/latest`,
+      name: 'Latest scan report',
+      description: 'Where the most recent scan artifacts are, when they were written and their summary',
+      mimeType: 'application/json'
+    }
+  ];
+}
+
+/**
+ * Parameterized resources
+ * @returns {Array<{ uriTemplate, name, description, mimeType }>}
+ */
+export function listResourceTemplates() {
+  return [
+    {
+      uriTemplate: `${SCHEME}rules/{id}`,
+      name: 'Rule documentation',
+      description: 'What a rule checks, how to fix it, and incorrect/correct examples (ids are listed in a11y://rules)',
+      mimeType: 'text/markdown'
+    },
+    {
+      uriTemplate: `${SCHEME}wcag/{criterion}`,
+      name: 'WCAG success criterion',
+      description: 'A WCAG 2.2 success criterion (e.g. 1.4.3) and the rules that check it',
+      mimeType: 'text/markdown'
+    }
+  ];
+}
+
+/**
+ * Read a resource
+ * @param {string} uri - e.g. 'a11y://rules/img-missing-alt'
+ * @param {Object} [options]
+ * @param {string} [options.reportDir=process.cwd()] - Directory holding the scan artifacts
+ * @returns {{ uri: string, mimeType: string, text: string }}
+ * @throws {Error} For URIs that do not name a resource
+ */
+export function readResource(uri, options = {}) {
+  const resourcePath = uri.startsWith(SCHEME) ? uri.slice(SCHEME.length).replace(/\/$/, '') : null;
+
+  if (resourcePath === 'rules') {
+    return json(uri, { rules: getRules().map(ruleSummary) });
+  }
+  if (resourcePath === 'reports/latest') {
+    return json(uri, latestReport(options.reportDir || process.cwd()));
+  }
+
+  const [, kind, id] = (resourcePath || '').match(/^(rules|wcag)\/([^/]+)$/) || [];
+  const key = id && decodeURIComponent(id);
+  if (kind === 'rules' && getRule(key)) {
+    return markdown(uri, ruleDocument(getRule(key)));
+  }
+  if (kind === 'wcag' && (getCriterion(key) || rulesFor(key).length > 0)) {
+    return markdown(uri, criterionDocument(key));
+  }
+
+  throw new Error(kind === 'rules'
+    ? `Unknown rule id: ${key} (see ${SCHEME}rules)`
+    : kind === 'wcag'
+      ? `Unknown WCAG success criterion: ${key}`
+      : `Unknown resource: ${uri}`);
+}
+
+function ruleSummary(rule) {
+  return {
+    id: rule.id,
+    uri: `${SCHEME}rules/${rule.id}`,
+    title: rule.title,
+    description: rule.description,
+    severity: rule.severity,
+    category: rule.category,
+    kind: rule.kind,
+    fileTypes: rule.fileTypes,
+    wcagCriteria: rule.wcagCriteria,
+    tags: rule.tags
+  };
+}
+
+function ruleDocument(rule) {
+  const lines = [
+    `# ${rule.title} (\`${rule.id}\`)`,
+    '',
+    rule.description,
+    '',
+    `- **Severity:** ${rule.severity}`,
+    `- **Category:** \`${rule.category}\` (configure the group or the id in \`.a11y/config.json\`)`,
+    `- **Applies to:** ${rule.fileTypes.join(', ')}`,
+    `- **WCAG:** ${rule.wcagCriteria.map(criterionLink).join(', ')}`,
+    `- **Tags:** ${rule.tags.join(', ')}`,
+    '',
+    '## How to fix',
+    '',
+    rule.help,
+    '',
+    ...rule.fixSuggestions.map(suggestion => `- ${suggestion}`)
+  ];
+
+  if (rule.examples) {
+    const { language, incorrect, correct } = rule.examples;
+    lines.push('', '## Examples', '', '❌ Incorrect:', '', fence(language, incorrect), '', '✅ Correct:', '', fence(language, correct));
+  }
+
+  lines.push(
+    '',
+    '## Suppressing',
+    '',
+    `For a justified exception, add \`a11y-disable-next-line ${rule.id} -- <reason>\` in a comment on the line before.`
+  );
+  return lines.join('\n') + '\n';
+}
+
+function criterionDocument(id) {
+  const criterion = getCriterion(id);
+  const rules = rulesFor(id);
+  const lines = criterion
+    ? [
+      `# ${criterion.id} ${criterion.title} (Level ${criterion.level})`,
+      '',
+      ...(criterion.obsolete ? ['> **Obsolete:** this criterion was removed in WCAG 2.2.', ''] : []),
+      criterion.summary,
+      '',
+      `- **Principle:** ${criterion.principle}`,
+      `- **Understanding:** ${criterion.url}`
+    ]
+    : [`# ${id}`];
+
+  lines.push('', '## Rules', '');
+  if (rules.length === 0) {
+    lines.push('No automated rule checks this criterion; review it manually.');
+  } else {
+    rules.forEach(rule => {
+      lines.push(`- [\`${rule.id}\`](${SCHEME}rules/${rule.id}) (${rule.severity}): ${rule.title}`);
+    });
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * The scan artifacts that exist, newest first, with their summary: a11y-results.* in the report
+ * directory and the files of the newest artifacts/<timestamp>/ scan, as run.sh picks it
+ */
+function latestReport(reportDir) {
+  const scanDir = latestScanDir(reportDir);
+  const artifacts = [
+    ...REPORT_ARTIFACTS.map(artifact => ({ ...artifact, path: path.resolve(reportDir, artifact.name) })),
+    ...(scanDir ? scanArtifacts(scanDir) : [])
+  ]
+    .filter(artifact => fs.existsSync(artifact.path))
+    .map(({ path: artifactPath, ...artifact }) => {
+      const stats = fs.statSync(artifactPath);
+      return { ...artifact, path: artifactPath, uri: pathToFileURL(artifactPath).href, size: stats.size, modified: stats.mtime.toISOString() };
+    })
+    .sort((a, b) => b.modified.localeCompare(a.modified));
+
+  if (artifacts.length === 0) {
+    return {
+      reportDir,
+      artifacts: [],
+      note: `No scan artifacts in ${reportDir} or ${path.join(reportDir, ARTIFACTS_DIR)}/; they are written by scripts/analyze-pr-mcp.js and run.sh`
+    };
+  }
+
+  const report = { reportDir, ...(scanDir && { scanDir }), modified: artifacts[0].modified, artifacts };
+  const results = artifacts.find(artifact => artifact.name === 'a11y-results.json');
+  const scanSummary = artifacts.find(artifact => SCAN_SUMMARY.test(artifact.name));
+  const source = results && (!scanSummary || results.modified >= scanSummary.modified) ? results : scanSummary;
+  if (source) {
+    try {
+      report.summary = source === results ? resultsSummary(source.path) : scanSummaryOf(source.path);
+    } catch (error) {
+      report.note = `Could not read ${source.name}: ${error.message}`;
+    }
+  }
+  return report;
+}
+
+/**
+ * The most recently modified directory in artifacts/, or null
+ */
+function latestScanDir(reportDir) {
+  const root = path.join(reportDir, ARTIFACTS_DIR);
+  let entries;
+  try {
+    entries = fs.readdirSync(root, { withFileTypes: true });
+  } catch {
+    return null;
+  }
+  const dirs = entries
+    .filter(entry => entry.isDirectory() && entry.name !== 'archive')
+    .map(entry => ({ path: path.join(root, entry.name), modified: fs.statSync(path.join(root, entry.name)).mtimeMs }))
+    .sort((a, b) => b.modified - a.modified);
+  return dirs.length > 0 ? dirs[0].path : null;
+}
+
+/**
+ * Report files at the top of a scan directory: the run.sh summary, per-file JSON reports and any a11y-results.*
+ */
+function scanArtifacts(scanDir) {
+  return fs.readdirSync(scanDir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && MIME_TYPES[path.extname(entry.name)])
+    .map(entry => {
+      const known = REPORT_ARTIFACTS.find(artifact => artifact.name === entry.name);
+      const description = known ? known.description
+        : SCAN_SUMMARY.test(entry.name) ? 'Scan summary written by run.sh'
+          : path.extname(entry.name) === '.json' ? 'Per-file JSON report' : 'Scan artifact';
+      return { name: entry.name, mimeType: MIME_TYPES[path.extname(entry.name)], description, path: path.join(scanDir, entry.name) };
+    });
+}
+
+function resultsSummary(resultsPath) {
+  const { summary, analyzedFiles, passed, thresholdsExceeded, timestamp } = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+  return { ...summary, analyzedFiles, passed, thresholdsExceeded, timestamp };
+}
+
+/**
+ * Totals from the summary block run.sh appends to a11y-results-<timestamp>.txt
+ */
+function scanSummaryOf(summaryPath) {
+  const text = fs.readFileSync(summaryPath, 'utf8');
+  const count = label => {
+    const match = new RegExp(`^${label}: (\\d+)$`, 'm').exec(text);
+    return match ? Number(match[1]) : undefined;
+  };
+  return {
+    totalViolations: count('Total violations found'),
+    analyzedFiles: count('Files analyzed'),
+    filesWithViolations: count('Files with violations')
+  };
+}
+
+function rulesFor(criterion) {
+  return getRules().filter(rule => rule.wcagCriteria.includes(criterion));
+}
+
+function criterionLink(id) {
+  const criterion = getCriterion(id);
+  return criterion ? `[${id} ${criterion.title}](${SCHEME}wcag/${id}) (${criterion.level})` : id;
+}
+
+function fence(language, code) {
+  return '```' + language + '\n' + code + '\n```';
+}
+
+function json(uri, value) {
+  return { uri, mimeType: 'application/json', text: JSON.stringify(value, null, 2) };
+}
+
+function markdown(uri, text) {
+  return { uri, mimeType: 'text/markdown', text };
+}
@@ -0,0 +1,140 @@
+/**
+ * Result Cache
+ * Stores analyzeContent() findings in .a11y/cache, keyed by a hash of the file content,
+ * its extension and the rule set version, so repeat scans skip unchanged files.
+ * Findings are cached before config, suppressions and baseline are applied, so editing
+ * .a11y/config.json or the baseline never invalidates the cache; changing the rules does.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import ts from 'typescript';
+import { CONFIG_DIR } from './config.js';
+import { isAngularTemplate } from './file-types.js';
+
+export const CACHE_DIR = 'cache';
+
+const CORE_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Rule code outside src/core: the repo layout, then the layout setup-integration.js installs
+const EXTRA_RULE_SOURCES = ['../../scripts/color-contrast.js', '../color-contrast.js'];
+
+let rulesVersion = null;
+
+/**
+ * Version of the rule set: a hash of the analyzer and rule sources and the TypeScript version
+ * Any change to a rule gives a new version, so entries from older rules are never used.
+ * @returns {string}
+ */
+export function getRulesVersion() {
+  if (rulesVersion) return rulesVersion;
+  const hash = crypto.createHash('sha256').update(`typescript@${ts.version}\n`);
+  const sources = [
+    ...fs.readdirSync(CORE_DIR).filter(name => name.endsWith('.js')).sort().map(name => path.join(CORE_DIR, name)),
+    ...EXTRA_RULE_SOURCES.map(source => path.resolve(CORE_DIR, source)).filter(source => fs.existsSync(source))
+  ];
+  sources.forEach(source => hash.update(`${path.basename(source)}\n`).update(fs.readFileSync(source)));
+  rulesVersion = hash.digest('hex').slice(0, 16);
+  return rulesVersion;
+}
+
+/**
+ * Location of the cache for a project
+ * @param {Object} config - Result of loadConfig()
+ * @returns {string}
+ */
+export function cacheDir(config) {
+  return path.join(config.rootDir, CONFIG_DIR, CACHE_DIR);
+}
+
+/**
+ * Cache key for a file's content
+ * The extension (and Angular template naming) is part of the key because it selects the parser and the rules.
+ * @param {string} content - File content
+ * @param {string} filePath - Path to the file
+ * @returns {string}
+ */
+export function cacheKey(content, filePath) {
+  return crypto.createHash('sha256')
+    .update(`${getRulesVersion()}\n${path.extname(filePath).toLowerCase()}${isAngularTemplate(filePath) ? ':angular' : ''}\n`)
+    .update(content)
+    .digest('hex');
+}
+
+/**
+ * Cached findings for a key
+ * @param {string} key - cacheKey() result
+ * @param {Object} config - Result of loadConfig()
+ * @returns {Array|null} Violations, or null on a miss (unreadable entries count as misses)
+ */
+export function readCache(key, config) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(entryPath(key, config), 'utf8'));
+    return entry.version === getRulesVersion() && Array.isArray(entry.violations) ? entry.violations : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store findings for a key
+ * Written to a temporary file and renamed, so concurrent workers never read half an entry.
+ * Failures (e.g. a read-only checkout) are ignored; the next scan just analyzes again.
+ * @param {string} key - cacheKey() result
+ * @param {Array} violations - analyzeContent() result
+ * @param {Object} config - Result of loadConfig()
+ */
+export function writeCache(key, violations, config) {
+  const target = entryPath(key, config);
+  const temp = `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    fs.mkdirSync(cacheDir(config), { recursive: true });
+    fs.writeFileSync(temp, JSON.stringify({ version: getRulesVersion(), violations }));
+    fs.renameSync(temp, target);
+  } catch {
+    fs.rmSync(temp, { force: true });
+  }
+}
+
+/**
+ * Size of the cache and how much of it the current rules can use
+ * @param {Object} config - Result of loadConfig()
+ * @returns {{ path: string, rulesVersion: string, entries: number, current: number, stale: number, bytes: number }}
+ */
+export function getCacheStats(config) {
+  const dir = cacheDir(config);
+  const stats = { path: dir, rulesVersion: getRulesVersion(), entries: 0, current: 0, stale: 0, bytes: 0 };
+  if (!fs.existsSync(dir)) return stats;
+
+  fs.readdirSync(dir).filter(name => name.endsWith('.json')).forEach(name => {
+    const entryFile = path.join(dir, name);
+    stats.entries++;
+    stats.bytes += fs.statSync(entryFile).size;
+    let version = null;
+    try {
+      ({ version } = JSON.parse(fs.readFileSync(entryFile, 'utf8')));
+    } catch {
+      // Unreadable entries are never used
+    }
+    if (version === stats.rulesVersion) stats.current++;
+    else stats.stale++;
+  });
+  return stats;
+}
+
+/**
+ * Delete every cached entry
+ * @param {Object} config - Result of loadConfig()
+ * @returns {{ path: string, removed: number, bytes: number }} What was deleted
+ */
+export function clearCache(config) {
+  const { path: dir, entries, bytes } = getCacheStats(config);
+  fs.rmSync(dir, { recursive: true, force: true });
+  return { path: dir, removed: entries, bytes };
+}
+
+function entryPath(key, config) {
+  return path.join(cacheDir(config), `${key}.json`);
+}
@@ -0,0 +1,99 @@
+/**
+ * Rule Registry
+ * Single list of accessibility rules shared by the MCP server, CLI scanner and PR analyzer
+ * Each rule declares its id, WCAG criteria, file types, default severity and check function
+ */
+
+import path from 'path';
+import { markupRules } from './markup-rules.js';
+import { stylesheetRules } from './stylesheet-rules.js';
+import { getPositionIndex } from './positions.js';
+
+/**
+ * Rule definition
+ * @typedef {Object} Rule
+ * @property {string} id - Violation id, e.g. 'img-missing-alt'
+ * @property {'markup'|'stylesheet'} kind - Context the check runs against
+ * @property {string} category - Rule group used by .a11y/config.json
+ * @property {string[]} fileTypes - File extensions the rule applies to
+ * @property {'error'|'warning'|'info'} severity - Default severity
+ * @property {string[]} wcagCriteria - WCAG success criteria
+ * @property {string} title
+ * @property {string} description - Default description; findings may override it
+ * @property {string} help
+ * @property {string[]} fixSuggestions - Default suggestions; findings may override them
+ * @property {string[]} tags - WCAG level tag ('wcag-a', 'wcag-aa') and topic tags
+ * @property {{ language: string, incorrect: string, correct: string }} examples - Code that triggers the rule and its accessible
+ *   version, shown in the a11y://rules/{id} resource
+ * @property {Function} check - (context) => Array<{ start, end, code?, description?, fixSuggestions?, fix?, suggestion? }>
+ */
+
+/**
+ * Text edits attached to a finding, as offsets into the analyzed content
+ * `fix` is safe to apply unattended (autofix.js); `suggestion` contains placeholder
+ * text a person should review (suggest_fix)
+ * @typedef {Object} FindingEdit
+ * @property {string} description - What the edits do
+ * @property {Array<{ start: number, end: number, text: string }>} edits
+ */
+
+const RULES = [...markupRules, ...stylesheetRules];
+const RULES_BY_ID = new Map(RULES.map(rule => [rule.id, rule]));
+
+/**
+ * All registered rules
+ * @returns {Rule[]}
+ */
+export function getRules() {
+  return RULES;
+}
+
+/**
+ * Look up a rule by id
+ * @param {string} id - Rule id
+ * @returns {Rule|undefined}
+ */
+export function getRule(id) {
+  return RULES_BY_ID.get(id);
+}
+
+/**
+ * Rules that apply to a file, optionally limited to one context kind
+ * @param {string} filePath - Path to the file
+ * @param {string} [kind] - 'markup' or 'stylesheet'
+ * @returns {Rule[]}
+ */
+export function getRulesForFile(filePath, kind) {
+  const ext = path.extname(filePath).toLowerCase();
+  return RULES.filter(rule => rule.fileTypes.includes(ext) && (!kind || rule.kind === kind));
+}
+
+/**
+ * Run every applicable rule against an analysis context
+ * @param {Object} context - Built by an analyzer: { kind, filePath, content, ... }
+ * @returns {Array} Array of violation objects with line, column, endLine and endColumn (exclusive), sorted by position
+ */
+export function runRules(context) {
+  const positions = getPositionIndex(context.content);
+
+  return getRulesForFile(context.filePath, context.kind)
+    .flatMap(rule => rule.check(context).map(finding => createViolation(rule, finding, context, positions)))
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+function createViolation(rule, finding, context, positions) {
+  const { start, end, ...overrides } = finding;
+  return {
+    id: rule.id,
+    severity: rule.severity,
+    wcagCriteria: rule.wcagCriteria,
+    title: rule.title,
+    description: rule.description,
+    help: rule.help,
+    ...positions.rangeAt(start, end),
+    code: context.content.substring(start, end),
+    fixSuggestions: rule.fixSuggestions,
+    tags: rule.tags,
+    ...overrides
+  };
+}
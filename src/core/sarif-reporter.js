@@ -0,0 +1,137 @@
+/**
+ * SARIF Reporter
+ * Converts analyzer results to SARIF 2.1.0 for GitHub code scanning and other SARIF viewers
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { getRules } from './rule-registry.js';
+
+export const SARIF_VERSION = '2.1.0';
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const TOOL_NAME = 'a11y-mcp';
+const TOOL_URI = 'https://github.com/Berucha/a11y-mcp';
+
+// SARIF has no 'info' level
+const LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+/**
+ * Build a SARIF log from analyzer results
+ * @param {Array<{ filePath: string, violations: Array, suppressed?: Array }>} fileResults - One entry per analyzed file;
+ *   suppressed findings are included with an in-source suppression and its justification
+ * @param {Object} [options]
+ * @param {string} [options.rootDir] - Directory that file paths are made relative to (%SRCROOT%)
+ * @param {string} [options.toolVersion] - Version reported for the tool driver
+ * @returns {Object} SARIF log
+ */
+export function createSarifLog(fileResults, options = {}) {
+  const rules = getRules().map(toReportingDescriptor);
+  const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+  const results = fileResults.flatMap(({ filePath, violations = [], suppressed = [] }) => [...violations, ...suppressed].map(violation => {
+    // Violations from outside the registry (e.g. an older MCP server) still need a descriptor
+    if (!ruleIndex.has(violation.id)) {
+      ruleIndex.set(violation.id, rules.length);
+      rules.push(toReportingDescriptor(violation));
+    }
+    return toResult(violation, artifactUri(filePath, options.rootDir), ruleIndex.get(violation.id));
+  }));
+
+  const run = {
+    tool: {
+      driver: {
+        name: TOOL_NAME,
+        informationUri: TOOL_URI,
+        ...(options.toolVersion && { version: options.toolVersion }),
+        rules
+      }
+    },
+    results
+  };
+  if (options.rootDir) {
+    run.originalUriBaseIds = {
+      '%SRCROOT%': { uri: `${pathToFileURL(options.rootDir).href.replace(/\/$/, '')}/` }
+    };
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [run]
+  };
+}
+
+/**
+ * Describe a rule (or an unregistered violation) as a SARIF reportingDescriptor
+ */
+function toReportingDescriptor(rule) {
+  const wcagCriteria = rule.wcagCriteria || [];
+  return {
+    id: rule.id,
+    name: rule.id,
+    shortDescription: { text: rule.title },
+    fullDescription: { text: rule.description },
+    help: {
+      text: rule.help,
+      markdown: [
+        rule.help,
+        (rule.fixSuggestions || []).map(suggestion => `- ${suggestion}`).join('\n'),
+        wcagCriteria.length > 0 ? `WCAG: ${wcagCriteria.join(', ')}` : ''
+      ].filter(Boolean).join('\n\n')
+    },
+    defaultConfiguration: { level: LEVELS[rule.severity] || 'warning' },
+    properties: {
+      tags: ['accessibility', ...(rule.tags || []), ...wcagCriteria.map(criterion => `WCAG ${criterion}`)],
+      wcagCriteria
+    }
+  };
+}
+
+function toResult(violation, uri, ruleIndex) {
+  const region = {
+    startLine: violation.line || 1,
+    startColumn: violation.column || 1
+  };
+  if (violation.endLine) {
+    region.endLine = violation.endLine;
+    region.endColumn = violation.endColumn;
+  }
+  if (violation.code) {
+    region.snippet = { text: violation.code };
+  }
+
+  const result = {
+    ruleId: violation.id,
+    ruleIndex,
+    level: LEVELS[violation.severity] || 'warning',
+    message: { text: violation.description || violation.title },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri, ...(uri.startsWith('file:') ? {} : { uriBaseId: '%SRCROOT%' }) },
+        region
+      }
+    }]
+  };
+  if (violation.suppression) {
+    result.suppressions = [{
+      kind: 'inSource',
+      ...(violation.suppression.reason && { justification: violation.suppression.reason })
+    }];
+  }
+  return result;
+}
+
+/**
+ * Relative, forward-slash URI for a file; absolute paths outside rootDir become file: URIs
+ */
+function artifactUri(filePath, rootDir) {
+  let relative = filePath;
+  if (path.isAbsolute(filePath)) {
+    relative = rootDir ? path.relative(rootDir, filePath) : filePath;
+    if (path.isAbsolute(relative) || relative.startsWith('..')) {
+      return pathToFileURL(filePath).href;
+    }
+  }
+  return encodeURI(relative.split(path.sep).join('/'));
+}
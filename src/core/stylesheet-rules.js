@@ -0,0 +1,486 @@
+/**
+ * Stylesheet Rules
+ * CSS/SCSS checks that run against the parsed stylesheet tree
+ * Each check receives a stylesheet context: { content, root, rules, valueOf }
+ */
+
+import { STYLESHEET_FILES } from './file-types.js';
+import { walkDecls, declarationsOf, mediaQueriesOf, mixinOf } from './css-parser.js';
+import { calculateContrast, meetsWCAGAA, adjustForContrast } from '../../scripts/color-contrast.js';
+
+const INTERACTIVE_ELEMENTS = ['a', 'button', 'input', 'select', 'textarea', 'summary'];
+
+// Hides content visually while keeping it available to screen readers
+const VISUALLY_HIDDEN = [
+  'position: absolute', 'width: 1px', 'height: 1px', 'margin: -1px', 'padding: 0',
+  'overflow: hidden', 'clip: rect(0, 0, 0, 0)', 'white-space: nowrap', 'border: 0'
+];
+
+// Pseudo-classes stripped when matching a rule to its focus-state counterpart
+const STATE_PSEUDO_CLASSES = /:not\(\s*:focus(-visible)?\s*\)|:focus-visible|:focus-within|:focus|:hover|:active/g;
+
+// Range and code of a declaration
+const declaration = decl => ({ start: decl.source.start.offset, end: decl.source.end.offset, code: decl.raw });
+
+/**
+ * Edit deleting a declaration, and its whole line when it is alone on it
+ */
+function removeDeclaration(decl, content) {
+  const start = decl.source.start.offset;
+  const end = decl.source.end.offset;
+  const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+  const newline = content.indexOf('\n', end);
+  const lineEnd = newline === -1 ? content.length : newline;
+  if (!content.substring(lineStart, start).trim() && !content.substring(end, lineEnd).trim()) {
+    return { start: lineStart, end: Math.min(lineEnd + 1, content.length), text: '' };
+  }
+  return { start, end: end + content.substring(end).match(/^[ \t]*/)[0].length, text: '' };
+}
+
+/**
+ * Edit replacing a declaration, keeping its !important flag and semicolon
+ */
+function replaceDeclaration(decl, content, text) {
+  const start = decl.source.start.offset;
+  const end = decl.source.end.offset;
+  const semicolon = content.substring(start, end).endsWith(';') ? ';' : '';
+  return { start, end, text: `${text}${decl.important ? ' !important' : ''}${semicolon}` };
+}
+
+function indentOf(offset, content) {
+  return content.substring(content.lastIndexOf('\n', offset - 1) + 1, offset).match(/^\s*/)[0];
+}
+
+/**
+ * Fix swapping `outline: none` for a :focus-visible ring in a new rule after this one
+ */
+function focusVisibleFix(decl, content) {
+  const rule = decl.parent;
+  if (rule.type !== 'rule' || mixinOf(decl)) return undefined;
+
+  const selector = rule.selectors
+    .map(s => /:focus(?![\w-])/.test(s) ? s.replace(/:focus(?![\w-])/g, ':focus-visible') : `${s}:focus-visible`)
+    .join(', ');
+  const ruleStart = rule.source.start.offset;
+  const indent = indentOf(ruleStart, content);
+  const ruleEnd = rule.source.end.offset;
+  const focusRule = `${selector} {\n${indent}  outline: 2px solid currentColor;\n${indent}  outline-offset: 2px;\n${indent}}`;
+  const description = `Replace outline: ${decl.value} with a focus ring on ${selector}`;
+
+  // A rule that only removed the outline is replaced outright rather than left empty
+  if (rule.nodes.length === 1) {
+    return { description, edits: [{ start: ruleStart, end: ruleEnd, text: focusRule }] };
+  }
+  return {
+    description,
+    edits: [
+      removeDeclaration(decl, content),
+      { start: ruleEnd, end: ruleEnd, text: `\n\n${indent}${focusRule}` }
+    ]
+  };
+}
+
+export const stylesheetRules = [
+  {
+    id: 'missing-focus-styles',
+    kind: 'stylesheet',
+    category: 'focus-visible',
+    fileTypes: STYLESHEET_FILES,
+    severity: 'warning',
+    wcagCriteria: ['2.4.7'],
+    title: 'No focus styles defined',
+    description: 'CSS should include :focus styles for keyboard navigation',
+    help: 'Add :focus styles',
+    fixSuggestions: ['Add :focus styles for interactive elements'],
+    tags: ['wcag-aa', 'focus'],
+    examples: {
+      language: 'css',
+      incorrect: 'button {\n  background: #0055aa;\n}',
+      correct: 'button {\n  background: #0055aa;\n}\n\nbutton:focus-visible {\n  outline: 2px solid currentColor;\n}'
+    },
+    // Only warn if there are no focus styles at all
+    check: ({ rules, content }) => rules.some(rule => rule.resolvedSelectors.some(s => /:focus/.test(s)))
+      ? []
+      : [{
+        start: 0,
+        end: 0,
+        code: '',
+        suggestion: {
+          description: 'Add a visible :focus-visible outline for links and form controls at the end of the stylesheet',
+          edits: [{
+            start: content.length,
+            end: content.length,
+            text: `${content.endsWith('\n') || !content ? '' : '\n'}${content ? '\n' : ''}${INTERACTIVE_ELEMENTS.map(el => `${el}:focus-visible`).join(',\n')} {\n  outline: 2px solid currentColor;\n  outline-offset: 2px;\n}\n`
+          }]
+        }
+      }]
+  },
+  {
+    id: 'outline-none-no-alternative',
+    kind: 'stylesheet',
+    category: 'focus-visible',
+    fileTypes: STYLESHEET_FILES,
+    severity: 'error',
+    wcagCriteria: ['2.4.7'],
+    title: 'Removed focus outline without alternative',
+    description: 'outline: none removes the keyboard focus indicator without providing an alternative',
+    help: 'Provide alternative focus indicator (box-shadow, border, etc.)',
+    fixSuggestions: [
+      'Add custom focus style: button:focus { box-shadow: 0 0 0 3px rgba(0,0,255,0.3); }',
+      'Or remove outline: none to keep default focus indicator'
+    ],
+    tags: ['wcag-aa', 'focus'],
+    examples: {
+      language: 'css',
+      incorrect: 'a:focus {\n  outline: none;\n}',
+      correct: 'a:focus {\n  outline: none;\n  box-shadow: 0 0 0 3px #1a73e8;\n}'
+    },
+    check: ({ root, rules, valueOf, content }) => walkDecls(root, 'outline')
+      .filter(decl => /^(none|0)$/i.test(valueOf(decl)))
+      .filter(decl => !hasFocusIndicator(declarationsOf(decl.parent)))
+      .filter(decl => !(decl.parent.type === 'rule' && !mixinOf(decl) &&
+        decl.parent.resolvedSelectors.every(selector => hasFocusStateRule(selector, decl.parent, rules))))
+      .map(decl => ({
+        ...declaration(decl),
+        description: `outline: ${decl.value} removes the keyboard focus indicator${describeContext(decl)} without providing an alternative`,
+        fix: focusVisibleFix(decl, content)
+      }))
+  },
+  {
+    id: 'font-size-too-small',
+    kind: 'stylesheet',
+    category: 'typography',
+    fileTypes: STYLESHEET_FILES,
+    severity: 'error',
+    wcagCriteria: ['1.4.4'],
+    title: 'Font size too small for readability',
+    description: 'Font size is below minimum readable size (12px minimum, 16px recommended)',
+    help: 'Increase font size to at least 12px, preferably 16px',
+    fixSuggestions: [
+      `Change font-size to at least 12px: font-size: 12px;`,
+      'For body text, use 16px or larger',
+      'Use relative units (rem, em) for better scalability'
+    ],
+    tags: ['wcag-aa', 'typography'],
+    examples: {
+      language: 'css',
+      incorrect: '.legal {\n  font-size: 8px;\n}',
+      correct: '.legal {\n  font-size: 12px;\n}'
+    },
+    check: ({ root, valueOf, content }) => walkDecls(root, 'font-size')
+      .map(decl => ({ decl, fontSize: pixels(valueOf(decl)) }))
+      .filter(({ fontSize }) => fontSize !== null && fontSize < 10)
+      .map(({ decl, fontSize }) => ({
+        ...declaration(decl),
+        description: `Font size ${fontSize}px is below minimum readable size (12px minimum, 16px recommended)`,
+        suggestion: fontSizeSuggestion(decl, content)
+      }))
+  },
+  {
+    id: 'font-size-small',
+    kind: 'stylesheet',
+    category: 'typography',
+    fileTypes: STYLESHEET_FILES,
+    severity: 'warning',
+    wcagCriteria: ['1.4.4'],
+    title: 'Font size may be too small',
+    description: 'Font size is below recommended minimum (12px minimum, 16px recommended)',
+    help: 'Consider increasing font size for better readability',
+    fixSuggestions: [
+      `Increase to at least 12px: font-size: 12px;`,
+      'For body text, use 16px or larger'
+    ],
+    tags: ['wcag-aa', 'typography'],
+    examples: {
+      language: 'css',
+      incorrect: '.caption {\n  font-size: 11px;\n}',
+      correct: '.caption {\n  font-size: 0.875rem;\n}'
+    },
+    check: ({ root, valueOf, content }) => walkDecls(root, 'font-size')
+      .map(decl => ({ decl, fontSize: pixels(valueOf(decl)) }))
+      .filter(({ fontSize }) => fontSize !== null && fontSize >= 10 && fontSize < 12)
+      .map(({ decl, fontSize }) => ({
+        ...declaration(decl),
+        description: `Font size ${fontSize}px is below recommended minimum (12px minimum, 16px recommended)`,
+        suggestion: fontSizeSuggestion(decl, content)
+      }))
+  },
+  {
+    id: 'touch-target-too-small',
+    kind: 'stylesheet',
+    category: 'touch-targets',
+    fileTypes: STYLESHEET_FILES,
+    severity: 'error',
+    wcagCriteria: ['2.5.5'],
+    title: 'Touch target too small',
+    description: 'Interactive element is below WCAG minimum of 44x44px for touch targets',
+    help: 'Increase touch target size to at least 44x44px',
+    fixSuggestions: [
+      'Increase the size to at least 44px',
+      'Add padding to increase effective touch target size',
+      'Ensure both width and height meet 44px minimum'
+    ],
+    tags: ['wcag-aa', 'touch-targets'],
+    examples: {
+      language: 'css',
+      incorrect: '.icon-button {\n  width: 24px;\n  height: 24px;\n}',
+      correct: '.icon-button {\n  width: 44px;\n  height: 44px;\n}'
+    },
+    check: ({ root, valueOf, content }) => walkDecls(root, /^(min-)?(width|height)$/i).flatMap(decl => {
+      const size = pixels(valueOf(decl));
+      if (size === null || size >= 44) return [];
+      const selector = interactiveSelector(decl.parent, /button|btn|link|input|click/i);
+      if (!selector) return [];
+      return [{
+        ...declaration(decl),
+        description: `${decl.prop} of ${size}px on "${selector}" is below WCAG minimum of 44x44px for touch targets`,
+        fixSuggestions: [
+          `Increase ${decl.prop} to at least 44px: ${decl.prop}: 44px;`,
+          'Add padding to increase effective touch target size',
+          'Ensure both width and height meet 44px minimum'
+        ],
+        suggestion: {
+          description: `Set ${decl.prop} to 44px`,
+          edits: [replaceDeclaration(decl, content, `${decl.prop}: 44px`)]
+        }
+      }];
+    })
+  },
+  {
+    id: 'display-none-on-interactive',
+    kind: 'stylesheet',
+    category: 'screen-readers',
+    fileTypes: STYLESHEET_FILES,
+    severity: 'warning',
+    wcagCriteria: ['2.1.1', '4.1.2'],
+    title: 'display: none may hide interactive content from screen readers',
+    description: 'Using display: none may hide content from assistive technologies',
+    help: 'Use visually-hidden technique instead of display: none for screen reader content',
+    fixSuggestions: [
+      'Use .sr-only or visually-hidden class instead',
+      'Example: .visually-hidden { position: absolute; width: 1px; height: 1px; clip: rect(0,0,0,0); overflow: hidden; }'
+    ],
+    tags: ['wcag-a', 'screen-readers'],
+    examples: {
+      language: 'css',
+      incorrect: '.skip-link {\n  display: none;\n}',
+      correct: '.skip-link {\n  position: absolute;\n  left: -9999px;\n}\n\n.skip-link:focus {\n  left: 0;\n}'
+    },
+    check: ({ root, valueOf, content }) => walkDecls(root, 'display').flatMap(decl => {
+      if (!/^none$/i.test(valueOf(decl))) return [];
+      const selector = interactiveSelector(decl.parent, /button|btn|link|menu|nav|interactive/i, false);
+      if (!selector) return [];
+      return [{
+        ...declaration(decl),
+        description: `Using display: none on "${selector}" may hide content from assistive technologies`,
+        suggestion: {
+          description: `Hide "${selector}" visually but keep it available to screen readers (keep display: none if it should be hidden from everyone)`,
+          edits: [replaceDeclaration(decl, content, VISUALLY_HIDDEN.join(`;\n${indentOf(decl.source.start.offset, content)}`))]
+        }
+      }];
+    })
+  },
+  {
+    id: 'text-transparent',
+    kind: 'stylesheet',
+    category: 'color-contrast',
+    fileTypes: STYLESHEET_FILES,
+    severity: 'error',
+    wcagCriteria: ['1.4.3'],
+    title: 'Text color is transparent',
+    description: 'Transparent text color makes content invisible',
+    help: 'Use visible text color or ensure content is accessible via other means',
+    fixSuggestions: [
+      'Use a visible color: color: #333;',
+      'If hiding text visually, ensure it\'s available to screen readers'
+    ],
+    tags: ['wcag-aa', 'color'],
+    examples: {
+      language: 'css',
+      incorrect: '.label {\n  color: transparent;\n}',
+      correct: '.label {\n  color: #333;\n}'
+    },
+    check: ({ root, valueOf, content }) => walkDecls(root, /^(color|-webkit-text-fill-color)$/i)
+      .filter(decl => /^transparent$/i.test(valueOf(decl)))
+      .map(decl => ({
+        ...declaration(decl),
+        suggestion: {
+          description: `Use a visible color for ${decl.prop}`,
+          edits: [replaceDeclaration(decl, content, `${decl.prop}: #333`)]
+        }
+      }))
+  },
+  {
+    id: 'pointer-events-none',
+    kind: 'stylesheet',
+    category: 'keyboard-nav',
+    fileTypes: STYLESHEET_FILES,
+    severity: 'error',
+    wcagCriteria: ['2.1.1', '2.5.3'],
+    title: 'pointer-events: none disables keyboard interaction',
+    description: 'pointer-events: none prevents keyboard and touch interaction',
+    help: 'Remove pointer-events: none or use alternative method',
+    fixSuggestions: [
+      'Remove pointer-events: none from interactive elements',
+      'Use disabled attribute for form elements instead',
+      'Ensure keyboard navigation still works'
+    ],
+    tags: ['wcag-a', 'keyboard'],
+    examples: {
+      language: 'css',
+      incorrect: '.btn-disabled {\n  pointer-events: none;\n}',
+      correct: '.btn-disabled {\n  opacity: 0.6;\n  cursor: not-allowed;\n}'
+    },
+    check: ({ root, valueOf, content }) => walkDecls(root, 'pointer-events').flatMap(decl => {
+      if (!/^none$/i.test(valueOf(decl))) return [];
+      const selector = interactiveSelector(decl.parent, /button|btn|link/i);
+      if (!selector) return [];
+      return [{
+        ...declaration(decl),
+        description: `pointer-events: none on "${selector}" prevents keyboard and touch interaction`,
+        suggestion: {
+          description: `Remove pointer-events: none from "${selector}" (use the disabled attribute to turn off form controls)`,
+          edits: [removeDeclaration(decl, content)]
+        }
+      }];
+    })
+  },
+  {
+    id: 'color-contrast-insufficient',
+    kind: 'stylesheet',
+    category: 'color-contrast',
+    fileTypes: STYLESHEET_FILES,
+    severity: 'error',
+    wcagCriteria: ['1.4.3'],
+    title: 'Insufficient color contrast',
+    description: 'Contrast between text and background is below WCAG AA minimum of 4.5:1',
+    help: 'Increase contrast between text and background',
+    fixSuggestions: [
+      'Use darker text or lighter background',
+      'For large text (18pt+), minimum is 3:1'
+    ],
+    tags: ['wcag-aa', 'color'],
+    examples: {
+      language: 'css',
+      incorrect: '.notice {\n  color: #999999;\n  background-color: #ffffff;\n}',
+      correct: '.notice {\n  color: #595959;\n  background-color: #ffffff;\n}'
+    },
+    // Compares text and background colors declared in the same rule
+    check: ({ content, rules, valueOf }) => rules.flatMap(rule => {
+      let fgColor = null;
+      let bgColor = null;
+      let fgDecl = null;
+
+      declarationsOf(rule).forEach(decl => {
+        const prop = decl.prop.toLowerCase();
+        const match = valueOf(decl).match(/#[0-9a-fA-F]{3,6}|rgba?\([^)]+\)/i);
+        if (!match) return;
+        if (prop === 'color') {
+          fgColor = match[0];
+          fgDecl = decl;
+        }
+        if (prop === 'background-color' || prop === 'background') bgColor = match[0];
+      });
+
+      if (!fgColor || !bgColor) return [];
+      const contrast = calculateContrast(fgColor, bgColor);
+      if (!contrast || meetsWCAGAA(contrast)) return [];
+
+      const { start, end } = rule.source;
+      const adjusted = adjustForContrast(fgColor, bgColor);
+      return [{
+        start: start.offset,
+        end: end.offset,
+        code: content.substring(start.offset, end.offset).substring(0, 100),
+        description: `Contrast ratio ${contrast.toFixed(2)}:1 between ${fgColor} and ${bgColor} on "${rule.resolvedSelectors.join(', ')}" is below WCAG AA minimum of 4.5:1`,
+        suggestion: {
+          description: `Change color to ${adjusted} (${calculateContrast(adjusted, bgColor).toFixed(2)}:1 against ${bgColor})`,
+          edits: [replaceDeclaration(fgDecl, content, `${fgDecl.prop}: ${adjusted}`)]
+        }
+      }];
+    })
+  }
+];
+
+function fontSizeSuggestion(decl, content) {
+  return { description: 'Set font-size to 12px (16px for body text)', edits: [replaceDeclaration(decl, content, 'font-size: 12px')] };
+}
+
+function pixels(value) {
+  const match = /^(\d+(?:\.\d+)?)px$/i.exec(value);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Where a declaration lives, for messages: inside a mixin or @media block
+ */
+function describeContext(decl) {
+  const mixin = mixinOf(decl);
+  if (mixin) return ` in ${mixin}`;
+  const media = mediaQueriesOf(decl);
+  return media.length > 0 ? ` inside @media ${media.join(' and ')}` : '';
+}
+
+/**
+ * Whether a declaration block provides a visible focus indicator
+ */
+function hasFocusIndicator(decls) {
+  return decls.some(decl => {
+    const prop = decl.prop.toLowerCase();
+    const value = decl.value.toLowerCase();
+    if (/^(none|0|0px|transparent)$/.test(value)) return false;
+    return prop === 'box-shadow' ||
+      prop === 'outline' || prop === 'outline-style' || prop === 'outline-width' ||
+      /^border(-(top|right|bottom|left|block|inline)(-(start|end))?)?(-(width|style|color))?$/.test(prop) ||
+      prop === 'text-decoration' || prop === 'text-decoration-line';
+  });
+}
+
+/**
+ * Whether another rule styles the focus state of the same element with a visible indicator,
+ * e.g. `.btn { outline: none }` paired with `.btn:focus-visible { box-shadow: ... }`
+ */
+function hasFocusStateRule(selector, rule, rules) {
+  const base = stripStatePseudoClasses(selector);
+  if (!base) return false;
+  return rules.some(other => other !== rule &&
+    other.resolvedSelectors.some(otherSelector =>
+      /:focus/.test(otherSelector) &&
+      !/:not\(\s*:focus/.test(otherSelector) &&
+      stripStatePseudoClasses(otherSelector) === base) &&
+    hasFocusIndicator(declarationsOf(other)));
+}
+
+function stripStatePseudoClasses(selector) {
+  return selector.replace(STATE_PSEUDO_CLASSES, '').trim();
+}
+
+/**
+ * First selector of a rule whose target element looks interactive: either an
+ * interactive element type or a class/id matching the given name pattern
+ * @param {Object} container - Rule containing the declaration
+ * @param {RegExp} namePattern - Pattern for class and id names
+ * @param {boolean} [matchElements=true] - Also treat interactive element types as a match
+ * @returns {string|null}
+ */
+function interactiveSelector(container, namePattern, matchElements = true) {
+  if (container.type !== 'rule') return null;
+  return container.resolvedSelectors.find(selector => {
+    const target = targetCompound(selector);
+    const element = /^[a-z][\w-]*/i.exec(target);
+    if (matchElements && element && INTERACTIVE_ELEMENTS.includes(element[0].toLowerCase())) return true;
+    if (/\[role=["']?(button|link)["']?\]/i.test(target)) return true;
+    const names = [...target.matchAll(/[.#]([\w-]+)/g)].map(m => m[1]);
+    return names.some(name => namePattern.test(name));
+  }) || null;
+}
+
+/**
+ * Last compound selector of a complex selector (the element being styled),
+ * without pseudo-classes or pseudo-elements
+ */
+function targetCompound(selector) {
+  const compounds = selector.split(/\s*[\s>+~]\s*/).filter(Boolean);
+  const last = compounds[compounds.length - 1] || '';
+  return last.replace(/::?[\w-]+(\([^)]*\))?/g, '');
+}
@@ -0,0 +1,178 @@
+/**
+ * Inline Suppressions
+ * Comments that silence individual findings, with a justification for audit:
+ *
+ *   // a11y-disable-next-line img-missing-alt -- decorative image
+ *   {/* a11y-disable-next-line div-button -- legacy widget, see #123 *\/}
+ *   /* a11y-disable heading-level-skip -- CMS content *\/ ... /* a11y-enable *\/
+ *   <!-- a11y-disable --> ... <!-- a11y-enable -->
+ *
+ * Without rule ids a directive applies to every rule.
+ * Svelte's own `<!-- svelte-ignore a11y-... -->` comments work too: they silence the next
+ * line for the rules that report the same problem as the Svelte warnings they name.
+ *
+ * Comments are found by the parser for the file's language, so `//` in a URL or a string
+ * is not a comment, and `<!-- -->` only counts in markup.
+ */
+
+import path from 'path';
+import { getPositionIndex } from './positions.js';
+import { parseMarkup } from './markup-parser.js';
+import { parseStylesheet } from './css-parser.js';
+import { scriptComments } from './ast-analyzer.js';
+import { componentBlocks, blockExtension } from './component-analyzer.js';
+import { COMPONENT_FILES, SCRIPT_FILES, STYLESHEET_FILES, isAngularTemplate } from './file-types.js';
+
+// Files without any of these words have no directives, and need no parsing
+const DIRECTIVE_HINT = /a11y-(?:disable|enable)|svelte-ignore/;
+const DIRECTIVE_PATTERN = /^a11y-(disable-next-line|disable|enable)\b\s*(.*)$/;
+const SVELTE_IGNORE_PATTERN = /^svelte-ignore\s+(.*)$/;
+
+// Svelte compiler a11y warnings (a11y-missing-attribute, or a11y_missing_attribute in Svelte 5)
+// and the rules that report the same problem
+export const SVELTE_WARNINGS = {
+  'a11y-missing-attribute': ['img-missing-alt', 'iframe-missing-title', 'html-missing-lang'],
+  'a11y-click-events-have-key-events': ['div-button', 'missing-keyboard-handler', 'custom-interactive-missing-keyboard'],
+  'a11y-no-static-element-interactions': ['div-button'],
+  'a11y-interactive-supports-focus': ['custom-interactive-missing-keyboard'],
+  'a11y-consider-explicit-label': ['button-missing-accessible-name'],
+  'a11y-unknown-role': ['aria-invalid-role']
+};
+
+/**
+ * Find suppression directives in a file
+ * @param {string} content - File content
+ * @param {string} filePath - Path to the file (selects the comment syntax)
+ * @returns {Array<{ type: 'next-line'|'block'|'svelte-ignore', ruleIds: string[], reason: string|null, line: number, startLine: number, endLine: number }>}
+ */
+export function parseSuppressions(content, filePath) {
+  const suppressions = [];
+  const open = [];
+  if (!DIRECTIVE_HINT.test(content)) return suppressions;
+  const positions = getPositionIndex(content);
+
+  for (const comment of findComments(content, filePath)) {
+    const directive = parseDirective(content.substring(comment.start, comment.end));
+    if (!directive) continue;
+    const { line, endLine } = positions.rangeAt(comment.start, comment.end);
+
+    if (directive.kind === 'svelte-ignore') {
+      suppressions.push({ type: 'svelte-ignore', ruleIds: directive.ruleIds, reason: null, line, startLine: endLine + 1, endLine: endLine + 1 });
+    } else if (directive.kind === 'disable-next-line') {
+      suppressions.push({ type: 'next-line', ruleIds: directive.ruleIds, reason: directive.reason, line, startLine: endLine + 1, endLine: endLine + 1 });
+    } else if (directive.kind === 'disable') {
+      const block = { type: 'block', ruleIds: directive.ruleIds, reason: directive.reason, line, startLine: line, endLine: Infinity };
+      suppressions.push(block);
+      open.push(block);
+    } else {
+      // a11y-enable closes the blocks it names, or every open block
+      for (let i = open.length - 1; i >= 0; i--) {
+        const block = open[i];
+        if (directive.ruleIds.length === 0 || block.ruleIds.join(',') === directive.ruleIds.join(',')) {
+          block.endLine = line;
+          open.splice(i, 1);
+        }
+      }
+    }
+  }
+
+  return suppressions;
+}
+
+/**
+ * Split violations into reported and suppressed ones
+ * @param {Array} violations - Violations for one file
+ * @param {string} content - File content the violations were found in
+ * @param {string} filePath - Path to the file
+ * @returns {{ violations: Array, suppressed: Array, unusedSuppressions: Array }}
+ *   Suppressed violations carry `suppression: { type, line, reason }`
+ */
+export function applySuppressions(violations, content, filePath) {
+  const suppressions = parseSuppressions(content, filePath);
+  if (suppressions.length === 0) return { violations, suppressed: [], unusedSuppressions: [] };
+
+  const used = new Set();
+  const suppressed = [];
+  const reported = violations.filter(violation => {
+    const suppression = suppressions.find(s =>
+      violation.line >= s.startLine && violation.line <= s.endLine &&
+      (s.ruleIds.length === 0 || s.ruleIds.includes(violation.id)));
+    if (!suppression) return true;
+    used.add(suppression);
+    suppressed.push({
+      ...violation,
+      suppression: { type: suppression.type, line: suppression.line, reason: suppression.reason }
+    });
+    return false;
+  });
+
+  const unusedSuppressions = suppressions
+    .filter(suppression => !used.has(suppression))
+    .map(({ type, ruleIds, reason, line }) => ({ type, ruleIds, reason, line }));
+
+  return { violations: reported, suppressed, unusedSuppressions };
+}
+
+/**
+ * Comment ranges in document order: `//` and `/* *\/` in scripts and SCSS, `/* *\/` in CSS,
+ * `<!-- -->` in markup, and the script and style comments of <script> and <style> blocks
+ */
+function findComments(content, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (SCRIPT_FILES.includes(ext)) return scriptComments(content, filePath);
+  if (STYLESHEET_FILES.includes(ext)) return stylesheetComments(content, ext);
+
+  const comments = [];
+  const blocks = COMPONENT_FILES.includes(ext)
+    ? componentBlocks(content, filePath, { comments })
+    : parseMarkup(content, { framework: isAngularTemplate(filePath) ? 'angular' : undefined, comments })
+      .filter(el => el.tagName === 'script' || el.tagName === 'style')
+      .map(el => ({ type: el.tagName, lang: '', src: el.attributes.get('src')?.value ?? null, start: el.innerStart, end: el.innerEnd }));
+
+  for (const block of blocks) {
+    const extension = blockExtension(block);
+    if (block.src || block.start === block.end || !extension) continue;
+    const text = content.substring(block.start, block.end);
+    const inBlock = block.type === 'script' ? scriptComments(text, filePath + extension) : stylesheetComments(text, extension);
+    comments.push(...inBlock.map(({ start, end }) => ({ start: start + block.start, end: end + block.start })));
+  }
+  return comments.sort((a, b) => a.start - b.start);
+}
+
+function stylesheetComments(content, ext) {
+  const comments = [];
+  parseStylesheet(content, { syntax: ext.substring(1), comments });
+  return comments;
+}
+
+function parseDirective(comment) {
+  const body = comment
+    .replace(/^(?:\/\/|\/\*|<!--)/, '')
+    .replace(/(?:\*\/|-->)$/, '')
+    .replace(/^\s*\*?\s*/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const svelte = body.match(SVELTE_IGNORE_PATTERN);
+  if (svelte) return svelteDirective(svelte[1]);
+  const match = body.match(DIRECTIVE_PATTERN);
+  if (!match) return null;
+
+  // Everything after ` -- ` is the justification
+  const [ids, ...reason] = match[2].split(/(?:^|\s)--(?:\s|$)/);
+  return {
+    kind: match[1],
+    ruleIds: ids.split(/[\s,]+/).filter(Boolean).sort(),
+    reason: reason.join(' -- ').trim() || null
+  };
+}
+
+/**
+ * A svelte-ignore comment in terms of our rule ids; null when none of its warnings map to a rule,
+ * so ignoring a warning we don't check never silences everything
+ */
+function svelteDirective(codes) {
+  const ruleIds = codes.split(/[\s,]+/)
+    .flatMap(code => SVELTE_WARNINGS[code.replace(/_/g, '-')] || []);
+  if (ruleIds.length === 0) return null;
+  return { kind: 'svelte-ignore', ruleIds: [...new Set(ruleIds)].sort(), reason: null };
+}
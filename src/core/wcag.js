@@ -0,0 +1,96 @@
+/**
+ * WCAG 2.2 Success Criteria
+ * Level A and AA criteria, plus the AAA and obsolete criteria our rules reference
+ */
+
+const UNDERSTANDING_URL = 'https://www.w3.org/WAI/WCAG22/Understanding/';
+
+const PRINCIPLES = { 1: 'Perceivable', 2: 'Operable', 3: 'Understandable', 4: 'Robust' };
+
+// [id, title, level, summary, obsolete?]
+const CRITERIA = [
+  ['1.1.1', 'Non-text Content', 'A', 'Images, icons and other non-text content have a text alternative that serves the same purpose.'],
+  ['1.2.1', 'Audio-only and Video-only (Prerecorded)', 'A', 'Prerecorded audio-only content has a transcript; prerecorded video-only content has a transcript or audio track.'],
+  ['1.2.2', 'Captions (Prerecorded)', 'A', 'Prerecorded audio in synchronized media has captions.'],
+  ['1.2.3', 'Audio Description or Media Alternative (Prerecorded)', 'A', 'Prerecorded video has audio description or a full text alternative.'],
+  ['1.2.4', 'Captions (Live)', 'AA', 'Live audio in synchronized media has captions.'],
+  ['1.2.5', 'Audio Description (Prerecorded)', 'AA', 'Prerecorded video has audio description.'],
+  ['1.3.1', 'Info and Relationships', 'A', 'Structure and relationships conveyed visually (headings, lists, labels, tables) are available in markup.'],
+  ['1.3.2', 'Meaningful Sequence', 'A', 'The reading order in the code matches the meaning of the content.'],
+  ['1.3.3', 'Sensory Characteristics', 'A', 'Instructions do not rely only on shape, size, position or sound.'],
+  ['1.3.4', 'Orientation', 'AA', 'Content works in both portrait and landscape unless one orientation is essential.'],
+  ['1.3.5', 'Identify Input Purpose', 'AA', 'Inputs that collect information about the user declare their purpose (autocomplete).'],
+  ['1.4.1', 'Use of Color', 'A', 'Color is not the only way information is conveyed.'],
+  ['1.4.2', 'Audio Control', 'A', 'Audio that plays automatically for more than 3 seconds can be paused or muted.'],
+  ['1.4.3', 'Contrast (Minimum)', 'AA', 'Text has a contrast ratio of at least 4.5:1, or 3:1 for large text.'],
+  ['1.4.4', 'Resize Text', 'AA', 'Text can be resized up to 200% without loss of content or functionality.'],
+  ['1.4.5', 'Images of Text', 'AA', 'Text is presented as text rather than images of text.'],
+  ['1.4.10', 'Reflow', 'AA', 'Content reflows at 320 CSS pixels wide without scrolling in two dimensions.'],
+  ['1.4.11', 'Non-text Contrast', 'AA', 'UI components and meaningful graphics have a contrast ratio of at least 3:1.'],
+  ['1.4.12', 'Text Spacing', 'AA', 'No content is lost when users increase line, paragraph, letter and word spacing.'],
+  ['1.4.13', 'Content on Hover or Focus', 'AA', 'Content shown on hover or focus is dismissible, hoverable and persistent.'],
+  ['2.1.1', 'Keyboard', 'A', 'All functionality is operable with a keyboard.'],
+  ['2.1.2', 'No Keyboard Trap', 'A', 'Keyboard focus can always be moved away from a component.'],
+  ['2.1.4', 'Character Key Shortcuts', 'A', 'Single-character shortcuts can be turned off, remapped or only work on focus.'],
+  ['2.2.1', 'Timing Adjustable', 'A', 'Users can turn off, adjust or extend time limits.'],
+  ['2.2.2', 'Pause, Stop, Hide', 'A', 'Moving, blinking, scrolling or auto-updating content can be paused, stopped or hidden.'],
+  ['2.3.1', 'Three Flashes or Below Threshold', 'A', 'Nothing flashes more than three times in any one second.'],
+  ['2.4.1', 'Bypass Blocks', 'A', 'A mechanism exists to skip blocks of content repeated on multiple pages.'],
+  ['2.4.2', 'Page Titled', 'A', 'Pages have titles that describe their topic or purpose.'],
+  ['2.4.3', 'Focus Order', 'A', 'Focus moves through the page in an order that preserves meaning and operability.'],
+  ['2.4.4', 'Link Purpose (In Context)', 'A', 'The purpose of each link can be determined from its text or its context.'],
+  ['2.4.5', 'Multiple Ways', 'AA', 'There is more than one way to find a page within a set of pages.'],
+  ['2.4.6', 'Headings and Labels', 'AA', 'Headings and labels describe topic or purpose.'],
+  ['2.4.7', 'Focus Visible', 'AA', 'Keyboard focus is visible.'],
+  ['2.4.11', 'Focus Not Obscured (Minimum)', 'AA', 'A focused component is not entirely hidden by author-created content.'],
+  ['2.5.1', 'Pointer Gestures', 'A', 'Multipoint or path-based gestures have a single-pointer alternative.'],
+  ['2.5.2', 'Pointer Cancellation', 'A', 'Single-pointer actions can be aborted or undone; they do not fire on the down-event.'],
+  ['2.5.3', 'Label in Name', 'A', 'The accessible name of a component contains its visible label text.'],
+  ['2.5.4', 'Motion Actuation', 'A', 'Functions triggered by device motion also have a UI control and can be disabled.'],
+  ['2.5.5', 'Target Size (Enhanced)', 'AAA', 'Pointer targets are at least 44 by 44 CSS pixels.'],
+  ['2.5.7', 'Dragging Movements', 'AA', 'Dragging functionality has a single-pointer alternative.'],
+  ['2.5.8', 'Target Size (Minimum)', 'AA', 'Pointer targets are at least 24 by 24 CSS pixels, or have enough spacing.'],
+  ['3.1.1', 'Language of Page', 'A', 'The default human language of each page can be programmatically determined.'],
+  ['3.1.2', 'Language of Parts', 'AA', 'The language of passages in a different language can be programmatically determined.'],
+  ['3.2.1', 'On Focus', 'A', 'Receiving focus does not trigger a change of context.'],
+  ['3.2.2', 'On Input', 'A', 'Changing a setting does not trigger an unexpected change of context.'],
+  ['3.2.3', 'Consistent Navigation', 'AA', 'Repeated navigation appears in the same relative order across pages.'],
+  ['3.2.4', 'Consistent Identification', 'AA', 'Components with the same function are identified consistently.'],
+  ['3.2.6', 'Consistent Help', 'A', 'Help mechanisms repeated across pages appear in the same relative order.'],
+  ['3.3.1', 'Error Identification', 'A', 'Input errors are identified and described to the user in text.'],
+  ['3.3.2', 'Labels or Instructions', 'A', 'Labels or instructions are provided when content requires user input.'],
+  ['3.3.3', 'Error Suggestion', 'AA', 'Known corrections for input errors are suggested to the user.'],
+  ['3.3.4', 'Error Prevention (Legal, Financial, Data)', 'AA', 'Legal, financial and data submissions are reversible, checked or confirmed.'],
+  ['3.3.7', 'Redundant Entry', 'A', 'Information already entered in the same process is auto-populated or selectable.'],
+  ['3.3.8', 'Accessible Authentication (Minimum)', 'AA', 'Logging in does not require a cognitive function test without an alternative.'],
+  ['4.1.1', 'Parsing', 'A', 'Markup has no duplicate ids or malformed elements. Removed in WCAG 2.2 because browsers and assistive technologies now recover from these errors.', true],
+  ['4.1.2', 'Name, Role, Value', 'A', 'UI components expose their name, role, states and values to assistive technologies.'],
+  ['4.1.3', 'Status Messages', 'AA', 'Status messages can be announced by assistive technologies without receiving focus.']
+];
+
+const CRITERIA_BY_ID = new Map(CRITERIA.map(([id, title, level, summary, obsolete]) => [id, {
+  id,
+  title,
+  level,
+  principle: PRINCIPLES[id[0]],
+  summary,
+  ...(obsolete && { obsolete: true }),
+  url: UNDERSTANDING_URL + title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') + '.html'
+}]));
+
+/**
+ * All known success criteria, in WCAG order
+ * @returns {Array<{ id, title, level, principle, summary, url, obsolete? }>}
+ */
+export function getCriteria() {
+  return [...CRITERIA_BY_ID.values()];
+}
+
+/**
+ * Look up a success criterion by number, e.g. '1.4.3'
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export function getCriterion(id) {
+  return CRITERIA_BY_ID.get(id);
+}
@@ -0,0 +1,199 @@
+/**
+ * Analysis Worker Pool
+ * Runs analyzeFileReport() on worker threads so multi-file scans use every core.
+ * Each file is analyzed once; callers render JSON, text or SARIF from the one result.
+ * Workers start on first use and never keep the process alive while idle.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { analyzeFileReport } from './hybrid-analyzer.js';
+import { fixContent } from './autofix.js';
+import { getPositionIndex } from './positions.js';
+
+const WORKER_URL = new URL('./analysis-worker.js', import.meta.url);
+
+/**
+ * Number of workers when no size is given: one per available CPU
+ * @returns {number}
+ */
+export function defaultPoolSize() {
+  return Math.max(1, typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length);
+}
+
+/**
+ * Analyze one file the way a pool worker does, in the calling thread
+ * @param {Object} task
+ * @param {string} task.filePath - Path to analyze (and to read when content is not given)
+ * @param {string} [task.content] - File content
+ * @param {Object} task.config - Result of loadConfig()
+ * @param {Object|false} [task.baseline=false] - Result of loadBaseline()
+ * @param {boolean} [task.fix] - Apply automatic fixes and write the file before analyzing
+ * @param {boolean} [task.cache] - Use .a11y/cache (default: config.cache, when a config file was found)
+ * @param {boolean} [task.includeContent] - Return the analyzed content even when no fix changed it
+ * @returns {Promise<{ filePath, lineCount, content?, fixes, violations, suppressed, unusedSuppressions, baselined, staleBaselineEntries, cached }>}
+ *   `content` is only returned when a fix changed it or includeContent is set, so pool workers
+ *   don't copy every file back to the main thread
+ * @throws {Error} When the file cannot be read
+ */
+export async function analyzeFileTask(task) {
+  const { filePath, config, baseline = false, cache } = task;
+  let content = task.content;
+  if (content === undefined) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    content = fs.readFileSync(filePath, 'utf8');
+  }
+
+  let fixes = [];
+  let changed = false;
+  if (task.fix) {
+    const fixed = await fixContent(content, filePath, { config, baseline: baseline || false, cache });
+    if (fixed.changed) {
+      fs.writeFileSync(filePath, fixed.content);
+      content = fixed.content;
+      changed = true;
+    }
+    fixes = fixed.fixes;
+  }
+
+  const report = await analyzeFileReport(content, filePath, { config, baseline: baseline || false, cache });
+  return {
+    filePath,
+    lineCount: getPositionIndex(content).lineCount,
+    ...((changed || task.includeContent) && { content }),
+    fixes,
+    ...report
+  };
+}
+
+/**
+ * Create a pool of analysis workers
+ * @param {Object} [options]
+ * @param {number} [options.size=defaultPoolSize()] - Maximum number of workers
+ * @returns {{ size: number, analyze: Function, map: Function, close: Function }}
+ */
+export function createWorkerPool(options = {}) {
+  const size = Math.max(1, options.size || defaultPoolSize());
+  const idle = [];
+  const workers = new Set();
+  const queue = [];
+  let nextId = 1;
+  let closed = false;
+
+  function spawn() {
+    const worker = new Worker(WORKER_URL, { workerData: { analysisWorker: true } });
+    worker.task = null;
+    worker.on('message', ({ id, result, error }) => {
+      const { task } = worker;
+      if (!task || task.id !== id) return;
+      worker.task = null;
+      if (error) task.reject(new Error(error));
+      else task.resolve(result);
+      release(worker);
+    });
+    worker.on('error', error => {
+      if (worker.task) worker.task.reject(error);
+      worker.task = null;
+    });
+    worker.on('exit', () => {
+      // The thread is gone; fail its task and let queued tasks start a new one
+      workers.delete(worker);
+      const index = idle.indexOf(worker);
+      if (index !== -1) idle.splice(index, 1);
+      if (worker.task) worker.task.reject(new Error('Analysis worker exited'));
+      worker.task = null;
+      if (!closed) dispatch();
+    });
+    workers.add(worker);
+    return worker;
+  }
+
+  function release(worker) {
+    worker.unref();
+    idle.push(worker);
+    dispatch();
+  }
+
+  function dispatch() {
+    while (queue.length > 0) {
+      const worker = idle.pop() || (workers.size < size ? spawn() : null);
+      if (!worker) return;
+      const task = queue.shift();
+      worker.task = task;
+      worker.ref();
+      worker.postMessage({ id: task.id, ...task.payload });
+    }
+  }
+
+  return {
+    size,
+
+    /**
+     * Analyze a file on the next free worker
+     * @param {Object} task - Same as analyzeFileTask(); config and baseline are copied to the worker
+     * @returns {Promise<Object>} Same as analyzeFileTask()
+     */
+    analyze(task) {
+      if (closed) {
+        return Promise.reject(new Error('Worker pool is closed'));
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, payload: task, resolve, reject });
+        dispatch();
+      });
+    },
+
+    /**
+     * Run an async function over items, at most `size` at a time
+     * Stops starting new items once the signal is aborted; items already running finish.
+     * @param {Array} items
+     * @param {Function} fn - async (item) => result, typically calling analyze()
+     * @param {Object} [runOptions]
+     * @param {AbortSignal} [runOptions.signal]
+     * @param {Function} [runOptions.onStart] - (item, completed) before each item starts
+     * @returns {Promise<{ results: Array, cancelled: boolean }>} Results of the finished items, in input order
+     */
+    async map(items, fn, runOptions = {}) {
+      const { signal, onStart } = runOptions;
+      const results = new Array(items.length);
+      const finished = new Array(items.length).fill(false);
+      let next = 0;
+      let completed = 0;
+      let cancelled = false;
+
+      async function lane() {
+        while (next < items.length) {
+          // Let a pending cancellation through before the next item
+          await new Promise(resolve => setImmediate(resolve));
+          if (signal?.aborted) {
+            cancelled = next < items.length;
+            return;
+          }
+          if (next >= items.length) return;
+          const index = next++;
+          if (onStart) onStart(items[index], completed);
+          results[index] = await fn(items[index]);
+          finished[index] = true;
+          completed++;
+        }
+      }
+
+      await Promise.all(Array.from({ length: Math.min(size, items.length) }, lane));
+      return { results: results.filter((_, index) => finished[index]), cancelled };
+    },
+
+    /**
+     * Stop every worker; queued tasks are rejected
+     */
+    async close() {
+      closed = true;
+      queue.splice(0).forEach(task => task.reject(new Error('Worker pool is closed')));
+      await Promise.all([...workers].map(worker => worker.terminate()));
+      workers.clear();
+      idle.length = 0;
+    }
+  };
+}
@@ -0,0 +1,271 @@
+/**
+ * Streamable HTTP transport for the MCP server
+ * Lets one reviewer instance serve several editors and CI jobs. Each client gets its own
+ * session (server instance + transport), identified by the Mcp-Session-Id header.
+ *
+ *   POST   /mcp     JSON-RPC requests; a request without a session must be `initialize`
+ *   GET    /mcp     Server-sent event stream for a session
+ *   DELETE /mcp     End a session
+ *   GET    /health  Liveness and session count
+ *
+ * /mcp only accepts the Host and Origin headers of the address it is bound to (or the
+ * allowed lists), so web pages can't reach it through DNS rebinding, and requires a bearer
+ * token when bound to anything but loopback. Sessions idle for longer than the session TTL are closed.
+ */
+
+import http from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+export const DEFAULT_HOST = '127.0.0.1';
+export const DEFAULT_PORT = 3000;
+// Batch payloads carry whole files, so allow more than the SDK's 4mb default
+export const DEFAULT_MAX_BODY_SIZE = '10mb';
+// Seconds a session may go without requests before it is closed
+export const DEFAULT_SESSION_TTL = 30 * 60;
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/**
+ * Parse a size such as 512kb, 10mb or a plain number of bytes
+ * @param {string|number} size
+ * @returns {number} Bytes
+ */
+export function parseSize(size) {
+  if (typeof size === 'number') return size;
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(size).trim());
+  if (!match) {
+    throw new Error(`Invalid size "${size}": expected bytes or a number with kb, mb or gb`);
+  }
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Start the HTTP server
+ * @param {Object} options
+ * @param {Function} options.createServer - Returns a new, unconnected SDK Server for each session
+ * @param {string} [options.host=DEFAULT_HOST]
+ * @param {number} [options.port=DEFAULT_PORT] - 0 picks a free port
+ * @param {string|number} [options.maxBodySize=DEFAULT_MAX_BODY_SIZE] - Larger requests get 413
+ * @param {Object} [options.info] - name and version reported by /health
+ * @param {string[]} [options.allowedHosts] - Host headers accepted on /mcp (default: the bound host:port,
+ *   plus localhost, 127.0.0.1 and [::1] when bound to a loopback address)
+ * @param {string[]} [options.allowedOrigins] - Origin headers accepted on /mcp (default: http:// plus each allowed host);
+ *   requests without an Origin (non-browser clients) are always accepted
+ * @param {string} [options.authToken] - When set, /mcp requires `Authorization: Bearer <token>`;
+ *   required when binding anything but a loopback address
+ * @param {number} [options.sessionTtl=DEFAULT_SESSION_TTL] - Seconds without requests before a session is closed
+ * @returns {Promise<{ httpServer: http.Server, url: string, sessions: Map, close: Function }>}
+ */
+export async function startHttpServer(options) {
+  const { createServer, host = DEFAULT_HOST, port = DEFAULT_PORT, info = {}, authToken } = options;
+  // Other machines could read and rewrite files in the project root through the tools
+  if (!authToken && !LOOPBACK_HOSTS.includes(host)) {
+    throw new Error(`Refusing to listen on ${host} without an auth token: set --auth-token or A11Y_MCP_AUTH_TOKEN`);
+  }
+  const maxBodySize = parseSize(options.maxBodySize ?? DEFAULT_MAX_BODY_SIZE);
+  const sessionTtl = (options.sessionTtl ?? DEFAULT_SESSION_TTL) * 1000;
+  const sessions = new Map();
+  const startedAt = Date.now();
+  // Filled in once listening, when the port is known (port 0 picks one)
+  let allowedHosts = [];
+  let allowedOrigins = [];
+
+  async function handleMcp(req, res) {
+    if (!allowedHosts.includes(req.headers.host)) {
+      sendError(res, 403, -32000, `Forbidden: Host ${req.headers.host} is not allowed (--allowed-hosts)`);
+      return;
+    }
+    if (req.headers.origin && !allowedOrigins.includes(req.headers.origin)) {
+      sendError(res, 403, -32000, `Forbidden: Origin ${req.headers.origin} is not allowed (--allowed-origins)`);
+      return;
+    }
+    if (authToken && !hasBearerToken(req, authToken)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendError(res, 401, -32001, 'Unauthorized: missing or invalid bearer token');
+      return;
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    const session = sessionId && sessions.get(sessionId);
+    if (sessionId && !session) {
+      sendError(res, 404, -32001, 'Session not found');
+      return;
+    }
+    if (session) trackActivity(session, res);
+
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      if (!session) {
+        sendError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+        return;
+      }
+      await session.transport.handleRequest(req, res);
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: 'GET, POST, DELETE' }).end();
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req, maxBodySize));
+    } catch (error) {
+      if (error.statusCode === 413) {
+        sendError(res, 413, -32000, `Request body exceeds the ${maxBodySize} byte limit (--max-body-size)`);
+      } else {
+        sendError(res, 400, -32700, 'Parse error: invalid JSON');
+      }
+      return;
+    }
+
+    if (session) {
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    const initializing = Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body);
+    if (!initializing) {
+      sendError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    // New session: its own server instance, so state never leaks between clients
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      enableDnsRebindingProtection: true,
+      allowedHosts,
+      onsessioninitialized: id => {
+        const created = { transport, server, createdAt: new Date().toISOString(), lastActivity: Date.now(), active: 0 };
+        sessions.set(id, created);
+        trackActivity(created, res);
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) sessions.delete(transport.sessionId);
+    };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  const httpServer = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/health' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        status: 'ok',
+        ...info,
+        sessions: sessions.size,
+        uptime: Math.round((Date.now() - startedAt) / 1000)
+      }));
+      return;
+    }
+
+    if (pathname !== '/mcp') {
+      sendError(res, 404, -32000, `Not found: ${pathname}`);
+      return;
+    }
+
+    handleMcp(req, res).catch(error => {
+      console.error('HTTP request failed:', error);
+      if (!res.headersSent) sendError(res, 500, -32603, 'Internal server error');
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+  const address = httpServer.address();
+
+  allowedHosts = options.allowedHosts || defaultAllowedHosts(host, address.port);
+  allowedOrigins = options.allowedOrigins || allowedHosts.map(allowed => `http://${allowed}`);
+
+  // Clients that go away without DELETE leave their session behind; close it once idle
+  const sweeper = setInterval(() => {
+    const idleSince = Date.now() - sessionTtl;
+    sessions.forEach(session => {
+      if (session.active === 0 && session.lastActivity < idleSince) session.transport.close();
+    });
+  }, Math.min(sessionTtl, 60 * 1000));
+  sweeper.unref();
+
+  return {
+    httpServer,
+    url: `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`,
+    sessions,
+    async close() {
+      clearInterval(sweeper);
+      await Promise.all([...sessions.values()].map(({ transport }) => transport.close()));
+      sessions.clear();
+      await new Promise(resolve => httpServer.close(resolve));
+    }
+  };
+}
+
+/**
+ * Host headers a client on this machine sends for the bound address
+ */
+function defaultAllowedHosts(host, port) {
+  const names = LOOPBACK_HOSTS.includes(host) ? LOOPBACK_HOSTS : [host];
+  return names.map(name => `${name.includes(':') ? `[${name}]` : name}:${port}`);
+}
+
+/**
+ * Keep a session alive while it has requests open (including event streams)
+ */
+function trackActivity(session, res) {
+  session.active++;
+  session.lastActivity = Date.now();
+  res.once('close', () => {
+    session.active--;
+    session.lastActivity = Date.now();
+  });
+}
+
+function hasBearerToken(req, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  const expected = Buffer.from(token);
+  const given = Buffer.from(match ? match[1].trim() : '');
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Read a request body, rejecting with statusCode 413 once it passes the limit
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const declared = Number(req.headers['content-length']);
+    if (declared > limit) {
+      req.resume();
+      reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        req.removeAllListeners('data');
+        req.resume();
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
@@ -9,10 +9,26 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
   ErrorCode,
   McpError
 } from '@modelcontextprotocol/sdk/types.js';
-import { analyzeFileHybrid } from './core/hybrid-analyzer.js';
+import { analyzeFileReport } from './core/hybrid-analyzer.js';
+import { loadBaseline } from './core/baseline.js';
+import { fixContent } from './core/autofix.js';
+import { suggestFix } from './core/fix-suggester.js';
+import { getRule } from './core/rule-registry.js';
+import { listResources, listResourceTemplates, readResource } from './core/resources.js';
+import { listPrompts, getPrompt } from './core/prompts.js';
+import { loadConfig, isIgnored, isInsideRoot, evaluateThresholds } from './core/config.js';
+import { fileTypeOf } from './core/file-types.js';
+import { collectFiles, globBase } from './core/file-walker.js';
+import { createWorkerPool } from './core/worker-pool.js';
+import { startHttpServer, DEFAULT_HOST, DEFAULT_PORT, DEFAULT_MAX_BODY_SIZE, DEFAULT_SESSION_TTL } from './http-server.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -20,23 +36,40 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const SERVER_INFO = { name: 'accessibility-reviewer', version: '2.0.0' };
+
+// check_directory limits: enough for a feature folder, small enough for one response
+const DIRECTORY_MAX_FILES = 500;
+const DIRECTORY_PAGE_SIZE = 20;
+const DIRECTORY_MAX_PAGE_SIZE = 100;
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Asks for a running batch or directory check to stop early and answer with the results so far.
+// A notifications/cancelled also stops it, but per the MCP spec gets no response at all.
+const STOP_NOTIFICATION = 'notifications/a11y/stop';
+
+// Shared by every session; workers start with the first batch and idle ones don't keep the process alive
+const analysisPool = createWorkerPool();
+
 /**
  * Production MCP Server
  */
 class ProductionMCPServer {
   constructor() {
     this.server = new Server(
-      {
-        name: 'accessibility-reviewer',
-        version: '2.0.0',
-      },
+      SERVER_INFO,
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
         },
       }
     );
 
+    // Per running request: aborted by STOP_NOTIFICATION or by the request's own cancellation
+    this.stopControllers = new Map();
+
     this.setupHandlers();
   }
 
@@ -87,7 +120,7 @@ class ProductionMCPServer {
           },
           {
             name: 'suggest_fix',
-            description: 'Get detailed fix suggestions for a specific violation',
+            description: 'Get fixes for a specific violation, rewritten from the supplied code with a before/after diff',
             inputSchema: {
               type: 'object',
               properties: {
@@ -98,17 +131,86 @@ class ProductionMCPServer {
                 code: {
                   type: 'string',
                   description: 'Code snippet with the violation'
+                },
+                filePath: {
+                  type: 'string',
+                  description: 'File the snippet comes from (optional); analyzed whole when it exists, so document-level rules can be reproduced'
+                },
+                line: {
+                  type: 'number',
+                  description: 'Line of the violation in filePath (optional)'
                 }
               },
               required: ['violationId', 'code']
             }
+          },
+          {
+            name: 'apply_fix',
+            description: 'Apply automatic fixes (structured text edits) for mechanically fixable violations and re-analyze to confirm them',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Path to the file to fix; must be inside the project root (the directory containing .a11y/, or the server\'s working directory)'
+                },
+                content: {
+                  type: 'string',
+                  description: 'File content to fix (optional if filePath is provided); with write, the file is only rewritten while it still holds this content'
+                },
+                violationId: {
+                  type: 'string',
+                  description: 'Only fix violations of this rule (default: every fixable violation)'
+                },
+                line: {
+                  type: 'number',
+                  description: 'Only fix violations on this line'
+                },
+                write: {
+                  type: 'boolean',
+                  description: 'Write the fixed content back to filePath (default: false, only return it)'
+                }
+              },
+              required: ['filePath']
+            }
+          },
+          {
+            name: 'check_directory',
+            description: 'Analyze every supported file under a directory (or glob) inside the project root on the server, honoring the ignore globs in .a11y/config.json; results are paginated',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  description: 'Directory, file or glob pattern, relative to the server\'s working directory; must be inside the project root (the directory containing .a11y/, or the working directory)'
+                },
+                severity: {
+                  type: 'array',
+                  items: { type: 'string', enum: ['error', 'warning', 'info'] },
+                  description: 'Only report violations with these severities (default: all)'
+                },
+                maxFiles: {
+                  type: 'number',
+                  description: `Analyze at most this many files, in path order (default: ${DIRECTORY_MAX_FILES})`
+                },
+                page: {
+                  type: 'number',
+                  description: 'Page of files with violations to return, starting at 1 (default: 1)'
+                },
+                pageSize: {
+                  type: 'number',
+                  description: `Files with violations per page (default: ${DIRECTORY_PAGE_SIZE}, max: ${DIRECTORY_MAX_PAGE_SIZE})`
+                }
+              },
+              required: ['path']
+            }
           }
         ]
       };
     });
 
     // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
 
       try {
@@ -117,11 +219,17 @@ class ProductionMCPServer {
             return await this.handleCheckAccessibility(args);
           
           case 'check_accessibility_batch':
-            return await this.handleCheckAccessibilityBatch(args);
+            return await this.handleCheckAccessibilityBatch(args, extra);
           
           case 'suggest_fix':
             return await this.handleSuggestFix(args);
           
+          case 'apply_fix':
+            return await this.handleApplyFix(args);
+
+          case 'check_directory':
+            return await this.handleCheckDirectory(args, extra);
+          
           default:
             throw new McpError(
               ErrorCode.MethodNotFound,
@@ -138,13 +246,99 @@ class ProductionMCPServer {
         );
       }
     });
+
+    this.server.fallbackNotificationHandler = async notification => {
+      if (notification.method === STOP_NOTIFICATION) {
+        this.stopControllers.get(notification.params?.requestId)?.abort();
+      }
+    };
+
+    // Rule docs, WCAG criteria and scan reports (see core/resources.js)
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: listResources()
+    }));
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: listResourceTemplates()
+    }));
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      try {
+        return { contents: [readResource(request.params.uri)] };
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+    });
+
+    // Guided reviews pre-filled with findings (see core/prompts.js)
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: listPrompts()
+    }));
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const config = this.getConfig();
+      const options = { config, baseline: this.getBaseline(config) || false };
+      try {
+        return await getPrompt(request.params.name, request.params.arguments, options);
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+    });
+  }
+
+  /**
+   * Load .a11y/config.json (cached until the file changes)
+   */
+  getConfig() {
+    try {
+      return loadConfig();
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidRequest, error.message);
+    }
+  }
+
+  /**
+   * Load .a11y/baseline.json (cached until the file changes)
+   */
+  getBaseline(config) {
+    try {
+      return loadBaseline(config);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidRequest, error.message);
+    }
+  }
+
+  /**
+   * What analyzeFileReport() left out: suppressed findings (with justification) and baselined ones
+   */
+  formatOmitted(report) {
+    return {
+      suppressed: report.suppressed,
+      unusedSuppressions: report.unusedSuppressions,
+      baselined: report.baselined.length,
+      staleBaselineEntries: report.staleBaselineEntries
+    };
   }
 
   async handleCheckAccessibility(args) {
     const { filePath, content } = args;
+    const config = this.getConfig();
+
+    // Resolved like analyzeFileReport() does, so globs match relative to the project root
+    if (isIgnored(path.resolve(filePath), config)) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({ filePath, ignored: true, violations: [] }, null, 2)
+          }
+        ]
+      };
+    }
 
     let fileContent = content;
     if (!fileContent) {
+      requireInsideRoot(filePath, config);
       if (!fs.existsSync(filePath)) {
         throw new McpError(
           ErrorCode.InvalidParams,
@@ -154,27 +348,21 @@ class ProductionMCPServer {
       fileContent = fs.readFileSync(filePath, 'utf8');
     }
 
-    const violations = await analyzeFileHybrid(fileContent, filePath);
-    const ext = path.extname(filePath).toLowerCase();
-    
-    let fileType = 'unknown';
-    if (['.jsx'].includes(ext)) fileType = 'jsx';
-    else if (['.tsx'].includes(ext)) fileType = 'tsx';
-    else if (['.js'].includes(ext)) fileType = 'js';
-    else if (['.ts'].includes(ext)) fileType = 'ts';
-    else if (['.html', '.htm'].includes(ext)) fileType = 'html';
-    else if (['.css'].includes(ext)) fileType = 'css';
-    else if (['.scss'].includes(ext)) fileType = 'scss';
+    const report = await analyzeFileReport(fileContent, filePath, { config, baseline: this.getBaseline(config) || false });
+    const { violations } = report;
+    const fileType = fileTypeOf(filePath);
 
     const result = {
       filePath,
       fileType,
       violations,
+      ...this.formatOmitted(report),
       summary: {
         totalViolations: violations.length,
         errors: violations.filter(v => v.severity === 'error').length,
         warnings: violations.filter(v => v.severity === 'warning').length,
-        wcagCriteria: [...new Set(violations.flatMap(v => v.wcagCriteria || []))]
+        wcagCriteria: [...new Set(violations.flatMap(v => v.wcagCriteria || []))],
+        passed: evaluateThresholds(violations, config).passed
       }
     };
 
@@ -188,102 +376,266 @@ class ProductionMCPServer {
     };
   }
 
-  async handleCheckAccessibilityBatch(args) {
+  async handleCheckAccessibilityBatch(args, extra) {
     const { files } = args;
-    const results = [];
+    const config = this.getConfig();
+    const baseline = this.getBaseline(config);
+
+    const run = await this.processFiles(files, file => this.checkFile(file.path, file.content, config, baseline), extra);
+    const { results } = run;
+
+    return this.respond({
+      results,
+      summary: this.summarizeResults(results, config),
+      ...this.formatPartial(run, files.length)
+    });
+  }
+
+  async handleCheckDirectory(args, extra) {
+    const { path: target } = args;
+    const severities = args.severity && args.severity.length > 0 ? args.severity : SEVERITIES;
+    const invalid = severities.filter(severity => !SEVERITIES.includes(severity));
+    if (invalid.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown severity: ${invalid.join(', ')} (use ${SEVERITIES.join(', ')})`);
+    }
+    const maxFiles = positiveInteger(args.maxFiles, DIRECTORY_MAX_FILES, 'maxFiles');
+    const pageSize = Math.min(positiveInteger(args.pageSize, DIRECTORY_PAGE_SIZE, 'pageSize'), DIRECTORY_MAX_PAGE_SIZE);
+    const page = positiveInteger(args.page, 1, 'page');
 
-    for (const file of files) {
+    const config = this.getConfig();
+    const baseline = this.getBaseline(config);
+    requireInsideRoot(globBase(target), config);
+    const { files, missing, ignored } = collectFiles([target], { config });
+    if (missing.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, `No such file, directory or matching files: ${target}`);
+    }
+
+    const checked = files.slice(0, maxFiles);
+    // Thresholds apply to every violation, not just the severities asked for
+    const allViolations = [];
+    const run = await this.processFiles(checked, async filePath => {
+      let content;
       try {
-        const violations = await analyzeFileHybrid(file.content, file.path);
-        results.push({
-          filePath: file.path,
-          violations,
-          summary: {
-            totalViolations: violations.length,
-            errors: violations.filter(v => v.severity === 'error').length,
-            warnings: violations.filter(v => v.severity === 'warning').length
-          }
-        });
+        content = fs.readFileSync(filePath, 'utf8');
       } catch (error) {
-        results.push({
-          filePath: file.path,
-          error: error.message,
-          violations: []
-        });
+        return { filePath, error: error.message, violations: [] };
       }
+      const result = await this.checkFile(filePath, content, config, baseline);
+      allViolations.push(...result.violations);
+      if (result.violations.length > 0) {
+        result.violations = result.violations.filter(v => severities.includes(v.severity));
+        result.summary = countViolations(result.violations);
+      }
+      return result;
+    }, extra);
+    const { results } = run;
+
+    const thresholdResult = evaluateThresholds(allViolations, config);
+    const summary = {
+      filesFound: files.length,
+      ...this.summarizeResults(results, config),
+      filesIgnored: ignored.length,
+      truncated: files.length > checked.length,
+      severity: severities,
+      passed: thresholdResult.passed,
+      thresholdsExceeded: thresholdResult.exceeded
+    };
+    const withViolations = results.filter(r => r.violations.length > 0 || r.error);
+    const totalPages = Math.max(1, Math.ceil(withViolations.length / pageSize));
+
+    return this.respond({
+      path: target,
+      summary,
+      ...this.formatPartial(run, checked.length),
+      page,
+      pageSize,
+      totalPages,
+      ...(page < totalPages && { nextPage: page + 1 }),
+      results: withViolations.slice((page - 1) * pageSize, page * pageSize)
+    });
+  }
+
+  /**
+   * Check files on the analysis worker pool, sending notifications/progress when the client
+   * asked for them (via a progressToken) and starting no new files once the request is stopped
+   * (STOP_NOTIFICATION) or cancelled
+   * @param {Array<string|{ path: string }>} items - Files to check
+   * @param {Function} check - async (item) => result
+   * @param {Object} [extra] - Request handler extra from the SDK (signal, requestId, _meta, sendNotification)
+   * @returns {Promise<{ results: Array, cancelled: boolean }>} Results in input order
+   */
+  async processFiles(items, check, extra = {}) {
+    const progressToken = extra._meta?.progressToken;
+    // Progress must increase with each notification, so files starting together share one
+    let reported = -1;
+    const progress = (done, message) => {
+      if (progressToken === undefined || done <= reported) return;
+      reported = done;
+      extra.sendNotification({
+        method: 'notifications/progress',
+        params: { progressToken, progress: done, total: items.length, message }
+      }).catch(() => {});
+    };
+
+    const stop = new AbortController();
+    extra.signal?.addEventListener('abort', () => stop.abort(), { once: true });
+    this.stopControllers.set(extra.requestId, stop);
+    let run;
+    try {
+      run = await analysisPool.map(items, check, {
+        signal: stop.signal,
+        onStart: (item, done) => progress(done, `Checking ${item.path || item}`)
+      });
+    } finally {
+      this.stopControllers.delete(extra.requestId);
+    }
+    if (!run.cancelled) {
+      progress(run.results.length, `Checked ${run.results.length} file(s)`);
+    }
+    return run;
+  }
+
+  /**
+   * Fields marking a stopped run's results as partial
+   */
+  formatPartial({ results, cancelled }, total) {
+    return cancelled ? { partial: true, cancelled: true, filesRemaining: total - results.length } : {};
+  }
+
+  /**
+   * Tool result with JSON text
+   * After a notifications/cancelled the SDK drops it, as the MCP spec requires; only a
+   * run stopped with STOP_NOTIFICATION returns its partial results.
+   */
+  respond(value) {
+    return { content: [{ type: 'text', text: JSON.stringify(value, null, 2) }] };
+  }
+
+  /**
+   * Analyze one file for the batch and directory tools; ignored files and analyzer errors become result entries
+   */
+  async checkFile(filePath, content, config, baseline) {
+    if (isIgnored(path.resolve(filePath), config)) {
+      return { filePath, ignored: true, violations: [] };
+    }
+    try {
+      // Without content the worker reads the file
+      if (content === undefined) requireInsideRoot(filePath, config);
+      const report = await analysisPool.analyze({ filePath, content, config, baseline: baseline || false });
+      const { violations } = report;
+      return {
+        filePath,
+        violations,
+        ...this.formatOmitted(report),
+        ...(report.cached && { cached: true }),
+        summary: countViolations(violations)
+      };
+    } catch (error) {
+      return {
+        filePath,
+        error: error.message,
+        violations: []
+      };
     }
+  }
 
-    const overallSummary = {
-      filesChecked: files.length,
+  /**
+   * Overall summary for several checkFile() results, with the config's pass/fail thresholds
+   */
+  summarizeResults(results, config) {
+    const summary = {
+      filesChecked: results.length,
       filesWithViolations: results.filter(r => r.violations && r.violations.length > 0).length,
       totalViolations: results.reduce((sum, r) => sum + (r.summary?.totalViolations || 0), 0),
       totalErrors: results.reduce((sum, r) => sum + (r.summary?.errors || 0), 0),
-      totalWarnings: results.reduce((sum, r) => sum + (r.summary?.warnings || 0), 0)
+      totalWarnings: results.reduce((sum, r) => sum + (r.summary?.warnings || 0), 0),
+      filesIgnored: results.filter(r => r.ignored).length,
+      baselined: results.reduce((sum, r) => sum + (r.baselined || 0), 0),
+      suppressed: results.reduce((sum, r) => sum + (r.suppressed?.length || 0), 0),
+      cached: results.filter(r => r.cached).length
     };
+    const thresholdResult = evaluateThresholds(results.flatMap(r => r.violations), config);
+    summary.passed = thresholdResult.passed;
+    summary.thresholdsExceeded = thresholdResult.exceeded;
+    return summary;
+  }
+
+  async handleSuggestFix(args) {
+    const { violationId, code, filePath, line } = args;
+
+    if (!getRule(violationId)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown violation id: ${violationId} (rule ids are listed in the a11y://rules resource)`
+      );
+    }
+
+    // With the file, rules that depend on the rest of the document can be reproduced
+    const readFile = filePath && fs.existsSync(filePath);
+    if (readFile) requireInsideRoot(filePath, this.getConfig());
+    const content = readFile ? fs.readFileSync(filePath, 'utf8') : undefined;
+    const suggestion = await suggestFix(violationId, code, { filePath, content, line });
 
     return {
       content: [
         {
           type: 'text',
-          text: JSON.stringify({ results, summary: overallSummary }, null, 2)
+          text: JSON.stringify({
+            code,
+            ...suggestion
+          }, null, 2)
         }
       ]
     };
   }
 
-  async handleSuggestFix(args) {
-    const { violationId, code } = args;
-
-    const fixes = {
-      'img-missing-alt': [
-        'Add descriptive alt text: <img src="..." alt="Description of image content">',
-        'For decorative images, use alt="": <img src="..." alt="">',
-        'Consider if the image conveys meaningful information'
-      ],
-      'div-button': [
-        'Replace with semantic button: <button onClick={handler}>Text</button>',
-        'If div is required, add: role="button" tabIndex={0} onKeyDown={keyHandler}',
-        'Ensure keyboard accessibility with Enter and Space key handlers'
-      ],
-      'button-missing-accessible-name': [
-        'Add text content: <button>Click me</button>',
-        'Or add aria-label: <button aria-label="Description">...</button>',
-        'For icon buttons, always include accessible text or label'
-      ],
-      'input-missing-label': [
-        'Add label element: <label htmlFor="inputId">Label</label><input id="inputId" />',
-        'Or use aria-label: <input aria-label="Field description" />',
-        'Labels help all users understand form fields'
-      ],
-      'aria-invalid-role': [
-        'Use a valid ARIA role from the ARIA specification',
-        'Common roles: button, link, menuitem, tab, checkbox, radio',
-        'See: https://www.w3.org/TR/wai-aria-1.2/#roles'
-      ],
-      'missing-keyboard-handler': [
-        'Add onKeyDown handler: onKeyDown={(e) => { if (e.key === "Enter" || e.key === " ") { handleClick(); } }}',
-        'Or use semantic <button> element which handles keyboard automatically'
-      ],
-      'color-contrast-insufficient': [
-        'Use darker text or lighter background to achieve 4.5:1 contrast',
-        'For large text (18pt+), minimum is 3:1',
-        'Use online contrast checkers to verify: https://webaim.org/resources/contrastchecker/'
-      ]
-    };
+  async handleApplyFix(args) {
+    const { filePath, content, violationId, line, write = false } = args;
+    const config = this.getConfig();
+    requireInsideRoot(filePath, config);
 
-    const suggestions = fixes[violationId] || [
-      'Review WCAG 2.2 documentation for this violation',
-      'Consult with accessibility team for specific guidance'
-    ];
+    let fileContent = content;
+    if (!fileContent) {
+      if (!fs.existsSync(filePath)) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `File not found: ${filePath}`
+        );
+      }
+      fileContent = fs.readFileSync(filePath, 'utf8');
+    }
+
+    const result = await fixContent(fileContent, filePath, {
+      config,
+      baseline: this.getBaseline(config) || false,
+      ruleIds: violationId ? [violationId] : undefined,
+      line
+    });
+
+    const written = write && result.changed;
+    if (written) {
+      // Supplied content only replaces the file it was read from, never another file or a new one
+      if (content && (!fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf8') !== content)) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Not writing ${filePath}: the file does not match the supplied content`
+        );
+      }
+      fs.writeFileSync(filePath, result.content);
+    }
 
     return {
       content: [
         {
           type: 'text',
           text: JSON.stringify({
-            violationId,
-            code,
-            suggestions
+            filePath,
+            changed: result.changed,
+            written,
+            fixes: result.fixes,
+            skipped: result.skipped,
+            remainingViolations: result.violations.map(v => ({ id: v.id, severity: v.severity, line: v.line, title: v.title })),
+            content: result.content
           }, null, 2)
         }
       ]
@@ -297,6 +649,97 @@ class ProductionMCPServer {
   }
 }
 
-// Start the server
-const server = new ProductionMCPServer();
-server.run().catch(console.error);
+function countViolations(violations) {
+  return {
+    totalViolations: violations.length,
+    errors: violations.filter(v => v.severity === 'error').length,
+    warnings: violations.filter(v => v.severity === 'warning').length
+  };
+}
+
+/**
+ * A whole-number tool argument, or its default when omitted
+ */
+function positiveInteger(value, defaultValue, name) {
+  if (value === undefined || value === null) return defaultValue;
+  if (!Number.isInteger(value) || value < 1) {
+    throw new McpError(ErrorCode.InvalidParams, `${name} must be a positive integer`);
+  }
+  return value;
+}
+
+/**
+ * Reject paths outside the project root, so tools never read or write files elsewhere on the server
+ * Used wherever a tool reads or writes a file the caller did not send.
+ */
+function requireInsideRoot(filePath, config) {
+  if (!isInsideRoot(filePath, config)) {
+    throw new McpError(ErrorCode.InvalidParams, `Path is outside the project root (${config.rootDir}): ${filePath}`);
+  }
+}
+
+/**
+ * Serve over streamable HTTP; every session gets its own ProductionMCPServer
+ * @param {Object} options - host, port, maxBodySize, allowedHosts, allowedOrigins, authToken, sessionTtl (see startHttpServer)
+ */
+async function runHttp(options) {
+  const httpServer = await startHttpServer({
+    ...options,
+    info: SERVER_INFO,
+    createServer: () => new ProductionMCPServer().server
+  });
+  console.error(`Production Accessibility MCP Server running on ${httpServer.url}/mcp (health: ${httpServer.url}/health)`);
+
+  const shutdown = () => {
+    Promise.all([httpServer.close(), analysisPool.close()]).then(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+/**
+ * Parse --http, --host <host>, --port <port>, --max-body-size <size>, --allowed-hosts <list>,
+ * --allowed-origins <list>, --auth-token <token> (or A11Y_MCP_AUTH_TOKEN) and --session-ttl <seconds>
+ */
+function parseArgs(args) {
+  const valueOf = flag => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const listOf = flag => valueOf(flag)?.split(',').map(item => item.trim()).filter(Boolean);
+  const port = Number(valueOf('--port') ?? DEFAULT_PORT);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${valueOf('--port')}`);
+  }
+  const sessionTtl = Number(valueOf('--session-ttl') ?? DEFAULT_SESSION_TTL);
+  if (!(sessionTtl > 0)) {
+    throw new Error(`Invalid session TTL: ${valueOf('--session-ttl')}`);
+  }
+  return {
+    http: args.includes('--http'),
+    host: valueOf('--host') ?? DEFAULT_HOST,
+    port,
+    maxBodySize: valueOf('--max-body-size') ?? DEFAULT_MAX_BODY_SIZE,
+    allowedHosts: listOf('--allowed-hosts'),
+    allowedOrigins: listOf('--allowed-origins'),
+    authToken: valueOf('--auth-token') ?? process.env.A11Y_MCP_AUTH_TOKEN,
+    sessionTtl
+  };
+}
+
+// Start the server: stdio by default, HTTP with --http
+try {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.http) {
+    runHttp(options).catch(error => {
+      console.error('Failed to start HTTP server:', error.message);
+      process.exit(1);
+    });
+  } else {
+    const server = new ProductionMCPServer();
+    server.run().catch(console.error);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -5,9 +5,30 @@
  */
 
 import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import { spawn, spawnSync } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { analyzeFile } from '../src/core/regex-analyzer.js';
+import { analyzeFileHybrid, analyzeFileReport, analyzeContent } from '../src/core/hybrid-analyzer.js';
+import { loadConfig, validateConfig, isIgnored, evaluateThresholds } from '../src/core/config.js';
+import { getRules } from '../src/core/rule-registry.js';
+import { createSarifLog } from '../src/core/sarif-reporter.js';
+import { parseAddedLines, buildReview } from '../src/core/pr-review.js';
+import { diffViolations } from '../src/core/fingerprint.js';
+import { fixContent } from '../src/core/autofix.js';
+import { suggestFix } from '../src/core/fix-suggester.js';
+import { calculateContrast, extractColorValues } from '../scripts/color-contrast.js';
+import { MCPClient } from '../scripts/mcp-client.js';
+import { parseSize, startHttpServer } from '../src/http-server.js';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { listResources, listResourceTemplates, readResource } from '../src/core/resources.js';
+import { listPrompts, getPrompt } from '../src/core/prompts.js';
+import { createWorkerPool } from '../src/core/worker-pool.js';
+import { getCacheStats, clearCache, cacheDir } from '../src/core/result-cache.js';
+import { createPositionIndex, getPositionIndex } from '../src/core/positions.js';
+import { splitComponent } from '../src/core/component-analyzer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -95,7 +116,10 @@ suite.test('Detects div with onClick handler', () => {
 
 // Test 4: Div with proper ARIA (should not violate)
 suite.test('Does not flag div with proper ARIA role and keyboard support', () => {
-  const content = '<div role="button" tabIndex={0} onKeyDown={handler}>Click</div>';
+  const content = [
+    '<div role="button" tabIndex={0} onKeyDown={handler}>Click</div>',
+    '<div role="button" tabIndex={0} onClick={go} onKeyDown={k}>Go</div>'
+  ].join('\n');
   const violations = analyzeFile(content, 'test.jsx');
   const hasViolation = violations.some(v => v.id === 'div-button');
   if (hasViolation) {
@@ -339,6 +363,1521 @@ suite.test('Detects violations in example JSX file', () => {
   }
 });
 
+// Test 26: AST analysis ignores markup inside strings and comments
+suite.test('AST analysis ignores <img> inside strings and comments', async () => {
+  const content = [
+    "const markup = '<img src=\"logo.png\">';",
+    '// <img src="commented.png">',
+    'export const Logo = () => <img src="logo.png" alt="Company logo" />;'
+  ].join('\n');
+  const violations = await analyzeFileHybrid(content, 'Logo.jsx');
+  const hasViolation = violations.some(v => v.id === 'img-missing-alt');
+  if (hasViolation) {
+    throw new Error('Should not flag markup inside strings or comments');
+  }
+});
+
+// Test 27: AST analysis reads spread props and multi-line attributes
+suite.test('AST analysis resolves spread props and multi-line elements', async () => {
+  const content = [
+    "const logoProps = { src: 'logo.png', alt: 'Company logo' };",
+    'export const Header = (props) => (',
+    '  <header>',
+    '    <img {...logoProps} />',
+    '    <img {...props} />',
+    '    <img',
+    '      src="banner.png"',
+    '    />',
+    '  </header>',
+    ');'
+  ].join('\n');
+  const violations = (await analyzeFileHybrid(content, 'Header.tsx'))
+    .filter(v => v.id === 'img-missing-alt');
+  if (violations.length !== 1) {
+    throw new Error(`Expected 1 img-missing-alt violation, found ${violations.length}`);
+  }
+  if (violations[0].line !== 6 || violations[0].column !== 5) {
+    throw new Error(`Expected violation at 6:5, got ${violations[0].line}:${violations[0].column}`);
+  }
+});
+
+// Test 28: Nested SCSS focus rules resolve against their parent selector
+suite.test('Resolves nested SCSS &:focus rules when checking outline: none', () => {
+  const content = [
+    '.card-button {',
+    '  outline: none;',
+    '  &:focus-visible {',
+    '    box-shadow: 0 0 0 3px #4A90E2;',
+    '  }',
+    '}',
+    '@mixin no-focus {',
+    '  &:focus { outline: none; }',
+    '}'
+  ].join('\n');
+  const violations = analyzeFile(content, 'test.scss')
+    .filter(v => v.id === 'outline-none-no-alternative');
+  if (violations.length !== 1 || violations[0].line !== 8) {
+    throw new Error(`Expected one violation in the mixin on line 8, got ${JSON.stringify(violations.map(v => v.line))}`);
+  }
+});
+
+// Test 29: Every matching rule is reported, with the selector from the rule itself
+suite.test('Reports pointer-events: none for every interactive rule', () => {
+  const content = [
+    'button.disabled { pointer-events: none; }',
+    '.tooltip { pointer-events: none; }',
+    '@media (max-width: 600px) {',
+    '  .nav a { pointer-events: none; }',
+    '}'
+  ].join('\n');
+  const lines = analyzeFile(content, 'test.css')
+    .filter(v => v.id === 'pointer-events-none')
+    .map(v => v.line);
+  if (lines.join(',') !== '1,4') {
+    throw new Error(`Expected violations on lines 1 and 4, got ${lines.join(',')}`);
+  }
+});
+
+// Test 30: .a11y/config.json is found from a nested directory and applied to results
+suite.test('Applies rule groups, severity overrides and ignore globs from .a11y/config.json', async () => {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-config-'));
+  try {
+    fs.mkdirSync(path.join(projectDir, '.a11y'));
+    fs.mkdirSync(path.join(projectDir, 'src', 'components'), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, '.a11y', 'config.json'), JSON.stringify({
+      rules: {
+        'alt-text': { enabled: false },
+        'semantic-html': { severity: 'warning' }
+      },
+      excludedRules: ['heading-hierarchy'],
+      ignore: ['**/*.stories.{js,jsx}', 'dist/**']
+    }));
+
+    const config = loadConfig({ cwd: path.join(projectDir, 'src', 'components') });
+    const content = '<div onClick={open}>Open</div>\n<img src="a.png" />\n<h3>Title</h3>';
+    const violations = await analyzeFileHybrid(content, 'Panel.jsx', { config });
+    const ids = violations.map(v => v.id);
+
+    if (ids.includes('img-missing-alt') || ids.includes('missing-h1')) {
+      throw new Error(`Disabled rules were reported: ${ids.join(', ')}`);
+    }
+    const divButton = violations.find(v => v.id === 'div-button');
+    if (!divButton || divButton.severity !== 'warning') {
+      throw new Error('semantic-html severity override was not applied');
+    }
+    if (!isIgnored('src/Button.stories.jsx', config) || !isIgnored(path.join(projectDir, 'dist', 'app.js'), config) ||
+        isIgnored('src/Button.jsx', config)) {
+      throw new Error('Ignore globs matched the wrong files');
+    }
+
+    // The analyzer skips ignored files itself
+    const stories = await analyzeFileReport(content, path.join(projectDir, 'src', 'Panel.stories.jsx'), { config, baseline: false });
+    if (!stories.ignored || stories.violations.length !== 0) {
+      throw new Error('Expected analyzeFileReport to skip a file matching an ignore glob');
+    }
+
+    // Relative paths are resolved against the working directory, not the project root
+    const client = new MCPClient({ serverPath: path.join(__dirname, '..', 'src', 'mcp-server.js'), cwd: path.join(projectDir, 'src') });
+    try {
+      const [fromSrc, batch] = await Promise.all([
+        client.callTool('check_accessibility', { filePath: '../dist/app.js', content: '<img src="a.png" />' }),
+        client.callTool('check_accessibility_batch', { files: [{ path: 'dist/Panel.jsx', content }] })
+      ]);
+      if (!fromSrc.ignored || batch.results[0].ignored) {
+        throw new Error('Expected ../dist/app.js to be ignored and src/dist/Panel.jsx to be analyzed');
+      }
+    } finally {
+      await client.close();
+    }
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+});
+
+// Test 31: Schema validation and failure thresholds
+suite.test('Validates config and decides pass/fail from failureThresholds', () => {
+  const errors = validateConfig({ rules: { 'alt-txt': true }, failureThresholds: { warning: -1 } });
+  if (errors.length !== 2) {
+    throw new Error(`Expected 2 validation errors, got ${JSON.stringify(errors)}`);
+  }
+
+  const warnings = Array.from({ length: 3 }, () => ({ severity: 'warning' }));
+  const config = { strictMode: true, failureThresholds: { error: 0, warning: 2 } };
+  if (evaluateThresholds(warnings, config).passed) {
+    throw new Error('3 warnings should exceed a threshold of 2 in strict mode');
+  }
+  if (!evaluateThresholds(warnings, { ...config, strictMode: false }).passed) {
+    throw new Error('Warnings should not fail the check outside strict mode');
+  }
+  if (evaluateThresholds([{ severity: 'error' }], config).passed) {
+    throw new Error('An error should exceed a threshold of 0');
+  }
+});
+
+// Test 32: Rule registry metadata
+suite.test('Every registered rule declares id, WCAG criteria, file types, severity and check', () => {
+  const ids = new Set();
+  getRules().forEach(rule => {
+    if (ids.has(rule.id)) throw new Error(`Duplicate rule id ${rule.id}`);
+    ids.add(rule.id);
+    if (!rule.wcagCriteria.length || !rule.fileTypes.length || typeof rule.check !== 'function' ||
+        !['error', 'warning', 'info'].includes(rule.severity)) {
+      throw new Error(`Rule ${rule.id} is missing required metadata`);
+    }
+  });
+  ['input-no-id-or-label', 'html-missing-title', 'placeholder-as-label', 'duplicate-id'].forEach(id => {
+    if (!ids.has(id)) throw new Error(`Rule ${id} is not registered`);
+  });
+});
+
+// Test 33: The CLI and the hybrid analyzer give the same answer for the same file
+suite.test('CLI scanner reports the same violations as analyzeFileHybrid', async () => {
+  const filePath = path.join(__dirname, '..', 'examples', 'accessibility-violations.html');
+  const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'cli-scanner.js'), filePath, '--json'], {
+    encoding: 'utf8'
+  });
+  const cliIds = JSON.parse(cli.stdout).violations.map(v => `${v.id}:${v.line}`);
+  const hybridIds = (await analyzeFileHybrid(fs.readFileSync(filePath, 'utf8'), filePath))
+    .map(v => `${v.id}:${v.line}`);
+
+  if (cliIds.join(',') !== hybridIds.join(',')) {
+    throw new Error(`CLI and hybrid analyzer disagree:\n  CLI:    ${cliIds.join(', ')}\n  Hybrid: ${hybridIds.join(', ')}`);
+  }
+  if (!cliIds.some(id => id.startsWith('html-missing-title'))) {
+    throw new Error('Expected html-missing-title from the shared registry');
+  }
+});
+
+// Test 34: Directories and globs are expanded, ignore globs honored, one report for all files
+suite.test('CLI scans directories and glob patterns into one aggregated report', () => {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-cli-'));
+  try {
+    fs.mkdirSync(path.join(projectDir, '.a11y'));
+    fs.mkdirSync(path.join(projectDir, 'src', 'generated'), { recursive: true });
+    fs.mkdirSync(path.join(projectDir, 'styles'));
+    fs.writeFileSync(path.join(projectDir, '.a11y', 'config.json'), JSON.stringify({
+      ignore: ['src/generated/**', '**/*.stories.jsx']
+    }));
+    fs.writeFileSync(path.join(projectDir, 'src', 'Logo.jsx'), 'export const Logo = () => <img src="logo.png" />;');
+    fs.writeFileSync(path.join(projectDir, 'src', 'Logo.stories.jsx'), 'export const Story = () => <img src="a.png" />;');
+    fs.writeFileSync(path.join(projectDir, 'src', 'generated', 'Icon.jsx'), 'export const Icon = () => <img src="i.png" />;');
+    fs.writeFileSync(path.join(projectDir, 'src', 'notes.md'), '<img src="x.png">');
+    fs.writeFileSync(path.join(projectDir, 'styles', 'main.css'), 'a { color: red; }');
+
+    const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'cli-scanner.js'), 'src', 'styles/*.css', '--json'], {
+      cwd: projectDir,
+      encoding: 'utf8'
+    });
+    const report = JSON.parse(cli.stdout);
+    const files = report.files.map(file => file.file.split(path.sep).join('/'));
+
+    if (files.join(',') !== 'src/Logo.jsx,styles/main.css') {
+      throw new Error(`Unexpected files scanned: ${files.join(', ')}`);
+    }
+    if (report.summary.filesScanned !== 2 || report.summary.filesIgnored !== 2 || report.summary.errors !== 1) {
+      throw new Error(`Unexpected summary: ${JSON.stringify(report.summary)}`);
+    }
+    if (cli.status !== 3 || report.passed !== false) {
+      throw new Error(`Expected a failing exit code of 3, got ${cli.status}`);
+    }
+
+    const missing = spawnSync(process.execPath, [path.join(__dirname, '..', 'cli-scanner.js'), 'src', 'missing/**/*.jsx'], {
+      cwd: projectDir,
+      encoding: 'utf8'
+    });
+    if (missing.status !== 1) {
+      throw new Error(`Expected exit code 1 for a pattern with no matches, got ${missing.status}`);
+    }
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+});
+
+// Test 35: SARIF output describes every rule and locates every result
+suite.test('Creates a SARIF 2.1.0 log with rule descriptors and result locations', async () => {
+  const rootDir = path.join(__dirname, '..');
+  const filePath = path.join(rootDir, 'examples', 'accessibility-violations.html');
+  const violations = await analyzeFileHybrid(fs.readFileSync(filePath, 'utf8'), filePath);
+  const log = createSarifLog([{ filePath, violations }], { rootDir });
+  const run = log.runs[0];
+
+  if (log.version !== '2.1.0' || run.tool.driver.rules.length !== getRules().length) {
+    throw new Error('Expected a SARIF 2.1.0 log describing every registered rule');
+  }
+  if (run.results.length !== violations.length) {
+    throw new Error(`Expected ${violations.length} results, got ${run.results.length}`);
+  }
+  run.results.forEach((result, index) => {
+    const { artifactLocation, region } = result.locations[0].physicalLocation;
+    if (run.tool.driver.rules[result.ruleIndex].id !== result.ruleId) {
+      throw new Error(`ruleIndex of ${result.ruleId} points at the wrong rule`);
+    }
+    if (artifactLocation.uri !== 'examples/accessibility-violations.html' || region.startLine !== violations[index].line) {
+      throw new Error(`Unexpected location ${JSON.stringify(result.locations[0])}`);
+    }
+  });
+  const info = createSarifLog([{ filePath: 'a.css', violations: [{ id: 'custom-check', severity: 'info', title: 'Custom', line: 3 }] }]);
+  const custom = info.runs[0].results[0];
+  if (custom.level !== 'note' || info.runs[0].tool.driver.rules[custom.ruleIndex].id !== 'custom-check') {
+    throw new Error('Unregistered violations should get a descriptor and info should map to note');
+  }
+});
+
+// Test 36: Only lines added in the PR diff are read from the patch hunks
+suite.test('Parses added and changed lines from PR patch hunks', () => {
+  const patch = [
+    '@@ -1,4 +1,5 @@',
+    ' <main>',
+    '-  <img src="old.png" alt="Old">',
+    '+  <img src="new.png">',
+    '+  <div onClick={open}>Open</div>',
+    '   <p>Text</p>',
+    ' </main>',
+    '@@ -20,2 +21,3 @@ export function App() {',
+    '   return (',
+    '+    <button />',
+    '   );',
+    '\\ No newline at end of file'
+  ].join('\n');
+  const lines = [...parseAddedLines(patch)];
+  if (lines.join(',') !== '2,3,22') {
+    throw new Error(`Expected added lines 2,3,22, got ${lines.join(',')}`);
+  }
+  if (parseAddedLines(undefined).size !== 0) {
+    throw new Error('A missing patch should have no added lines');
+  }
+});
+
+// Test 37: Violations on changed lines become inline comments, the rest go into the summary
+suite.test('Builds a PR review with inline comments and a collapsed summary', () => {
+  const violation = (file, line, id) => ({
+    id, file, line, severity: 'error', title: id, description: `${id} found`, fixSuggestion: `Fix ${id}`, wcagCriteria: ['1.1.1']
+  });
+  const results = {
+    analyzedFiles: 2,
+    violations: [
+      violation('src/App.jsx', 2, 'img-missing-alt'),
+      violation('src/App.jsx', 2, 'div-button'),
+      violation('src/App.jsx', 9, 'missing-h1'),
+      violation('src/Nav.jsx', 3, 'link-non-descriptive')
+    ],
+    summary: { totalViolations: 4, errors: 4, warnings: 0 },
+    passed: false,
+    thresholdsExceeded: ['4 error(s) exceed the limit of 0']
+  };
+  const review = buildReview(results, new Map([['src/App.jsx', new Set([2, 3])], ['src/Nav.jsx', new Set()]]));
+
+  if (review.comments.length !== 1 || review.comments[0].line !== 2 || review.comments[0].side !== 'RIGHT') {
+    throw new Error(`Expected one comment on line 2, got ${JSON.stringify(review.comments)}`);
+  }
+  if (!review.comments[0].body.includes('Fix img-missing-alt') || !review.comments[0].body.includes('Fix div-button')) {
+    throw new Error('Inline comment should carry the fix suggestion of every violation on the line');
+  }
+  if (review.outsideDiff.length !== 2 || !review.body.includes('<details>') || !review.body.includes('src/Nav.jsx')) {
+    throw new Error('Violations outside the diff should be listed in a collapsed summary');
+  }
+});
+
+// Test 38: Base and head violations are matched by rule id and code, not by line
+suite.test('Reports only violations introduced between two versions of a file', async () => {
+  const base = [
+    'export const Page = () => (',
+    '  <main>',
+    '    <img src="hero.png" />',
+    '    <div onClick={open}>Open</div>',
+    '  </main>',
+    ');'
+  ].join('\n');
+  const head = [
+    'export const Page = () => (',
+    '  <main>',
+    '    <h1>Welcome</h1>',
+    '    <img src="logo.png" />',
+    '      <img src="hero.png" />',
+    '  </main>',
+    ');'
+  ].join('\n');
+  const diff = diffViolations(
+    await analyzeFileHybrid(base, 'Page.jsx'),
+    await analyzeFileHybrid(head, 'Page.jsx')
+  );
+  const describe = list => list.map(v => `${v.id}@${v.line}`).sort().join(',');
+
+  if (describe(diff.introduced) !== 'img-missing-alt@4') {
+    throw new Error(`Expected only the new image to be introduced, got ${describe(diff.introduced)}`);
+  }
+  if (!diff.unchanged.some(v => v.id === 'img-missing-alt' && v.line === 5)) {
+    throw new Error('The re-indented, shifted image should match its base violation');
+  }
+  if (!diff.fixed.some(v => v.id === 'div-button')) {
+    throw new Error(`Expected div-button to be fixed, got ${describe(diff.fixed)}`);
+  }
+});
+
+// Test 39: Baselined violations are left out, survive line shifts, and stale entries are reported
+suite.test('Writes a baseline and reports only violations that are not in it', async () => {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-baseline-'));
+  const cli = (...args) => spawnSync(process.execPath, [path.join(__dirname, '..', 'cli-scanner.js'), ...args], {
+    cwd: projectDir,
+    encoding: 'utf8'
+  });
+  try {
+    fs.mkdirSync(path.join(projectDir, '.a11y'));
+    fs.writeFileSync(path.join(projectDir, '.a11y', 'config.json'), '{}');
+    const appPath = path.join(projectDir, 'App.jsx');
+    fs.writeFileSync(appPath, [
+      'export const App = () => (',
+      '  <main>',
+      '    <img src="logo.png" />',
+      '    <div onClick={open}>Open</div>',
+      '  </main>',
+      ');'
+    ].join('\n'));
+
+    const update = cli('.', '--update-baseline');
+    if (update.status !== 0) throw new Error(`--update-baseline failed: ${update.stderr}`);
+    const baseline = JSON.parse(fs.readFileSync(path.join(projectDir, '.a11y', 'baseline.json'), 'utf8'));
+    if (baseline.entries.length === 0 || baseline.entries.some(entry => entry.file !== 'App.jsx')) {
+      throw new Error(`Unexpected baseline entries: ${JSON.stringify(baseline.entries)}`);
+    }
+
+    // Shift every line, add a new violation and fix the old button
+    fs.writeFileSync(appPath, [
+      '// Application shell',
+      'export const App = () => (',
+      '  <main>',
+      '    <img src="logo.png" />',
+      '    <img src="hero.png" />',
+      '    <button onClick={open}>Open</button>',
+      '  </main>',
+      ');'
+    ].join('\n'));
+
+    const report = JSON.parse(cli('App.jsx', '--json').stdout);
+    const ids = report.violations.map(v => `${v.id}@${v.line}`);
+    if (ids.join(',') !== 'img-missing-alt@5') {
+      throw new Error(`Expected only the new image to be reported, got ${ids.join(', ')}`);
+    }
+    if (report.baselined !== 1 || !report.staleBaselineEntries.some(entry => entry.ruleId === 'div-button')) {
+      throw new Error(`Expected 1 baselined violation and a stale div-button entry, got ${JSON.stringify(report)}`);
+    }
+
+    const config = loadConfig({ cwd: projectDir });
+    const hybrid = await analyzeFileHybrid(fs.readFileSync(appPath, 'utf8'), appPath, { config });
+    if (hybrid.filter(v => v.id === 'img-missing-alt').length !== 1) {
+      throw new Error('analyzeFileHybrid should leave out the baselined image');
+    }
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+});
+
+// Test 40: a11y-disable comments silence findings in JSX and HTML and keep the justification
+suite.test('Suppresses findings with a11y-disable comments and records the reason', async () => {
+  const jsx = [
+    'export const Gallery = () => (',
+    '  <main>',
+    '    {/* a11y-disable-next-line img-missing-alt -- decorative flourish */}',
+    '    <img src="flourish.png" />',
+    '    <img src="photo.png" />',
+    '    {/* a11y-disable */}',
+    '    <div onClick={open}>Open</div>',
+    '    {/* a11y-enable */}',
+    '    <div onClick={close}>Close</div>',
+    '  </main>',
+    ');'
+  ].join('\n');
+  const report = await analyzeFileReport(jsx, 'Gallery.jsx', { baseline: false });
+  const describe = list => list.map(v => `${v.id}@${v.line}`).join(',');
+
+  if (describe(report.violations.filter(v => ['img-missing-alt', 'div-button'].includes(v.id))) !== 'img-missing-alt@5,div-button@9') {
+    throw new Error(`Unexpected reported violations: ${describe(report.violations)}`);
+  }
+  const flourish = report.suppressed.find(v => v.line === 4);
+  if (!flourish || flourish.suppression.reason !== 'decorative flourish') {
+    throw new Error(`Expected the flourish to be suppressed with its reason, got ${JSON.stringify(report.suppressed)}`);
+  }
+
+  const html = [
+    '<!DOCTYPE html><html lang="en"><head><title>Shop</title></head><body><h1>Shop</h1>',
+    '<!-- a11y-disable-next-line img-missing-alt -- tracking pixel -->',
+    '<img src="pixel.gif">',
+    '</body></html>'
+  ].join('\n');
+  const htmlReport = await analyzeFileReport(html, 'shop.html', { baseline: false });
+  if (htmlReport.violations.some(v => v.id === 'img-missing-alt') || htmlReport.suppressed.length !== 1) {
+    throw new Error('The HTML comment should suppress the tracking pixel');
+  }
+});
+
+// Test 41: Suppression comments that match nothing are reported
+suite.test('Flags suppression comments that no longer suppress anything', async () => {
+  const content = [
+    '// a11y-disable-next-line img-missing-alt -- image was removed',
+    'export const Title = () => <h1>Title</h1>;'
+  ].join('\n');
+  const report = await analyzeFileReport(content, 'Title.jsx', { baseline: false });
+  if (report.unusedSuppressions.length !== 1 || report.unusedSuppressions[0].line !== 1 ||
+      report.unusedSuppressions[0].ruleIds.join(',') !== 'img-missing-alt') {
+    throw new Error(`Expected one unused suppression on line 1, got ${JSON.stringify(report.unusedSuppressions)}`);
+  }
+});
+
+// Test 42: Mechanical fixes are applied as text edits and confirmed by re-analysis
+suite.test('Applies automatic fixes to JSX, HTML and CSS and confirms them', async () => {
+  const fixedIds = ['img-missing-alt', 'div-button', 'html-missing-lang', 'custom-interactive-missing-keyboard', 'outline-none-no-alternative'];
+  const cases = [
+    {
+      path: 'Card.jsx',
+      content: [
+        'export const Card = () => (',
+        '  <main>',
+        '    <img src="card.png" />',
+        '    <div onClick={open}>Open</div>',
+        '    <span role="button" onClick={close}>Close</span>',
+        '  </main>',
+        ');'
+      ].join('\n'),
+      expect: ['alt=""', '<div role="button" tabIndex={0} onKeyDown={', 'onClick={open}>Open</div>', '<span tabIndex={0} onKeyDown={']
+    },
+    {
+      path: 'index.html',
+      content: '<html>\n<head><title>Home</title></head>\n<body><h1>Home</h1><img src="a.png"></body>\n</html>',
+      expect: ['<html lang="en">', '<img alt="" src="a.png">']
+    },
+    {
+      path: 'focus.css',
+      content: '.link:focus { outline: none; color: red; }\n',
+      expect: ['.link:focus { color: red; }', '.link:focus-visible {']
+    }
+  ];
+
+  for (const { path: filePath, content, expect } of cases) {
+    const result = await fixContent(content, filePath, { baseline: false });
+    if (!result.changed || result.fixes.length === 0 || result.fixes.some(fix => !fix.confirmed)) {
+      throw new Error(`${filePath}: expected confirmed fixes, got ${JSON.stringify(result.fixes)}`);
+    }
+    const missing = expect.filter(text => !result.content.includes(text));
+    if (missing.length > 0) {
+      throw new Error(`${filePath}: fixed content is missing ${missing.join(', ')}:\n${result.content}`);
+    }
+    const remaining = result.violations.filter(v => fixedIds.includes(v.id));
+    if (remaining.length > 0) {
+      throw new Error(`${filePath}: still reports ${remaining.map(v => v.id).join(', ')}`);
+    }
+  }
+
+  // Swapping the div for a <button> is offered, not applied
+  const divButton = analyzeFile(cases[0].content, 'Card.jsx').find(v => v.id === 'div-button');
+  if (!divButton?.suggestion || divButton.suggestion.edits.map(edit => edit.text).join(',') !== 'button type="button",button') {
+    throw new Error(`Expected a <button> suggestion for div-button, got ${JSON.stringify(divButton)}`);
+  }
+
+  // Limited to one rule, the others are left alone
+  const altOnly = await fixContent(cases[0].content, 'Card.jsx', { baseline: false, ruleIds: ['img-missing-alt'] });
+  if (altOnly.fixes.length !== 1 || !altOnly.content.includes('<div onClick={open}>')) {
+    throw new Error('ruleIds should limit which violations are fixed');
+  }
+});
+
+// Test 43: --fix rewrites files in place and reports what is left
+suite.test('CLI --fix rewrites the file and reports the remaining violations', async () => {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-fix-'));
+  try {
+    fs.mkdirSync(path.join(projectDir, '.a11y'));
+    fs.writeFileSync(path.join(projectDir, '.a11y', 'config.json'), '{}');
+    const appPath = path.join(projectDir, 'App.jsx');
+    fs.writeFileSync(appPath, 'export const App = () => <main><img src="logo.png" /><input type="text" /></main>;\n');
+
+    const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'cli-scanner.js'), 'App.jsx', '--fix', '--json'], {
+      cwd: projectDir,
+      encoding: 'utf8'
+    });
+    const report = JSON.parse(run.stdout);
+    if (!fs.readFileSync(appPath, 'utf8').includes('<img alt="" src="logo.png" />')) {
+      throw new Error('Expected App.jsx to be rewritten with alt=""');
+    }
+    if (!report.fixes.some(fix => fix.id === 'img-missing-alt' && fix.confirmed)) {
+      throw new Error(`Expected a confirmed img-missing-alt fix, got ${JSON.stringify(report.fixes)}`);
+    }
+    if (report.violations.some(v => v.id === 'img-missing-alt') || !report.violations.some(v => v.id === 'input-no-id-or-label')) {
+      throw new Error(`Expected only the unfixable input label to remain, got ${report.violations.map(v => v.id).join(', ')}`);
+    }
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+});
+
+// Test 44: suggest_fix rewrites the supplied code for every rule
+suite.test('Suggests a rewrite with a diff for every rule id', async () => {
+  const samples = {
+    'img-missing-alt': '<img src="/assets/company-logo.png">',
+    'div-button': '<div onClick={save}>Save</div>',
+    'button-missing-accessible-name': '<button onClick={closeDialog}><Icon /></button>',
+    'input-missing-label': '<input id="email" name="email" />',
+    'input-no-id-or-label': '<input type="text" name="firstName" />',
+    'placeholder-as-label': '<input type="search" placeholder="Search products">',
+    'link-non-descriptive': '<a href="/docs/getting-started">click here</a>',
+    'iframe-missing-title': '<iframe src="https://www.youtube.com/embed/abc"></iframe>',
+    'html-missing-lang': '<html><head><title>Home</title></head></html>',
+    'html-missing-title': '<html lang="en">\n<head>\n</head>\n<body><h1>Pricing</h1></body>\n</html>',
+    'missing-h1': '<section>\n  <h2>Intro</h2>\n</section>',
+    'heading-level-skip': '<h1>Title</h1>\n<h3>Sub</h3>',
+    'duplicate-id': '<div id="main"></div>\n<div id="main"></div>',
+    'aria-labelledby-invalid': '<div role="dialog" aria-labelledby="dialog-title"></div>',
+    'aria-invalid-role': '<div role="buton">Save</div>',
+    'aria-conflicting-attributes': '<svg aria-hidden="true" aria-label="Close"></svg>',
+    'custom-interactive-missing-keyboard': '<span role="tab">Tab</span>',
+    'missing-keyboard-handler': '<div role="button" onClick={go}>Go</div>',
+    'dynamic-content-no-announcement': [
+      'function Cart() {',
+      '  const [a] = useState(); const [b] = useState(); const [c] = useState(); const [d] = useState();',
+      '  return (',
+      '    <main>',
+      '      <p>{a}</p>',
+      '    </main>',
+      '  );',
+      '}'
+    ].join('\n'),
+    'missing-focus-styles': 'a { color: red; }\n',
+    'outline-none-no-alternative': '.btn:focus { outline: none; }',
+    'font-size-too-small': '.fine { font-size: 8px !important; }',
+    'font-size-small': '.fine { font-size: 11px; }',
+    'touch-target-too-small': '.btn-close { width: 24px; }',
+    'display-none-on-interactive': '.menu-button {\n  display: none;\n}',
+    'text-transparent': '.title { color: transparent; }',
+    'pointer-events-none': '.btn { pointer-events: none; color: red; }',
+    'color-contrast-insufficient': '.muted {\n  color: #999999;\n  background-color: #ffffff;\n}'
+  };
+
+  const failures = [];
+  for (const rule of getRules()) {
+    const code = samples[rule.id];
+    if (!code) {
+      failures.push(`${rule.id}: no sample`);
+      continue;
+    }
+    const result = await suggestFix(rule.id, code);
+    const rewrite = result.rewrites[0];
+    if (!result.matched || !rewrite || rewrite.before === rewrite.after || !/^\+/m.test(rewrite.diff) || rewrite.changes.length === 0) {
+      failures.push(`${rule.id}: ${JSON.stringify(result)}`);
+    }
+  }
+  if (failures.length > 0) {
+    throw new Error(`Missing rewrites:\n${failures.join('\n')}`);
+  }
+});
+
+// Test 45: Suggestions use names from the code, and the file when a rule needs the document
+suite.test('Builds suggestions from the supplied code and file', async () => {
+  const image = await suggestFix('img-missing-alt', '<img src="/assets/company-logo.png">');
+  const described = image.rewrites.find(rewrite => !rewrite.automatic);
+  if (described.after !== '<img alt="Company logo" src="/assets/company-logo.png">' ||
+      !image.rewrites.some(rewrite => rewrite.automatic && rewrite.after.includes('alt=""'))) {
+    throw new Error(`Unexpected img rewrites: ${JSON.stringify(image.rewrites)}`);
+  }
+
+  const contrast = await suggestFix('color-contrast-insufficient', '.muted { color: #999999; background-color: #ffffff; }');
+  const color = contrast.rewrites[0].after.match(/color: (#[0-9a-f]{6})/)[1];
+  if (calculateContrast(color, '#ffffff') < 4.5) {
+    throw new Error(`Suggested color ${color} still fails contrast`);
+  }
+
+  // The heading alone is fine; only the surrounding document shows the skipped level
+  const content = '<h1>Shop</h1>\n<h2>Cart</h2>\n<h4>Details</h4>\n';
+  const snippetOnly = await suggestFix('heading-level-skip', '<h4>Details</h4>');
+  const withFile = await suggestFix('heading-level-skip', '<h4>Details</h4>', { filePath: 'shop.html', content, line: 3 });
+  if (snippetOnly.matched || !snippetOnly.note) {
+    throw new Error('A lone heading should not reproduce heading-level-skip');
+  }
+  if (withFile.analyzed !== 'file' || withFile.rewrites[0].after !== '<h3>Details</h3>' ||
+      !withFile.rewrites[0].diff.includes('-<h4>Details</h4>\n+<h3>Details</h3>')) {
+    throw new Error(`Unexpected file rewrite: ${JSON.stringify(withFile.rewrites)}`);
+  }
+
+  let error = null;
+  try {
+    await suggestFix('not-a-rule', '<div>');
+  } catch (e) {
+    error = e;
+  }
+  if (!error || !/Unknown violation id/.test(error.message)) {
+    throw new Error('Unknown rule ids should be rejected');
+  }
+});
+
+// Test 46: One MCP session handles the handshake, concurrent requests and shutdown
+suite.test('MCP client reuses one server session for concurrent requests', async () => {
+  const client = new MCPClient({ serverPath: path.join(__dirname, '..', 'src', 'mcp-server.js') });
+  try {
+    const { serverInfo, capabilities } = await client.start();
+    if (!serverInfo || !capabilities.tools) {
+      throw new Error('Expected the initialize handshake to return server info and tool capabilities');
+    }
+    const serverProcess = client.child;
+
+    const files = ['<img src="a.png" />', '<button></button>', 'a { outline: none; }'];
+    const [tools, ...results] = await Promise.all([
+      client.listTools(),
+      ...files.map((content, index) => client.callTool('check_accessibility', {
+        filePath: `file-${index}.${index === 2 ? 'css' : 'jsx'}`,
+        content
+      }))
+    ]);
+    if (!tools.some(tool => tool.name === 'check_accessibility')) {
+      throw new Error('tools/list did not include check_accessibility');
+    }
+    results.forEach((result, index) => {
+      if (!result.filePath.startsWith(`file-${index}.`) || result.violations.length === 0) {
+        throw new Error(`Response ${index} was not matched to its request: ${result.filePath}`);
+      }
+    });
+    if (client.child !== serverProcess) {
+      throw new Error('Expected every request to use the same server process');
+    }
+
+    let unknownTool = null;
+    await client.callTool('no_such_tool', {}).catch(error => { unknownTool = error; });
+    if (!unknownTool || !/Unknown tool/.test(unknownTool.message)) {
+      throw new Error('Errors should be reported for the request that caused them');
+    }
+  } finally {
+    await client.close();
+  }
+  if (client.child !== null) {
+    throw new Error('The server should have exited after close()');
+  }
+});
+
+// Test 47: HTTP transport keeps per-session state, reports health and limits body size
+suite.test('HTTP transport serves sessions, health and a body size limit', async () => {
+  if (parseSize('10mb') !== 10 * 1024 * 1024 || parseSize('512kb') !== 512 * 1024 || parseSize(2048) !== 2048) {
+    throw new Error('parseSize should accept bytes, kb and mb');
+  }
+
+  const child = spawn(process.execPath, [
+    path.join(__dirname, '..', 'src', 'mcp-server.js'),
+    '--http', '--port', '0', '--max-body-size', '4kb'
+  ], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+  try {
+    const url = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('HTTP server did not start')), 10000);
+      child.stderr.on('data', data => {
+        const match = /(http:\/\/\S+)\/mcp/.exec(data.toString());
+        if (match) {
+          clearTimeout(timer);
+          resolve(match[1]);
+        }
+      });
+    });
+
+    const health = await (await fetch(`${url}/health`)).json();
+    if (health.status !== 'ok' || health.sessions !== 0) {
+      throw new Error(`Unexpected health response: ${JSON.stringify(health)}`);
+    }
+
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+    const post = (body, extra = {}) => fetch(`${url}/mcp`, { method: 'POST', headers: { ...headers, ...extra }, body: JSON.stringify(body) });
+    const data = async response => JSON.parse(/^data: (.*)$/m.exec(await response.text())[1]);
+
+    const init = await post({
+      jsonrpc: '2.0', id: 1, method: 'initialize',
+      params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+    });
+    const sessionId = init.headers.get('mcp-session-id');
+    if (!sessionId || (await data(init)).result.serverInfo.name !== 'accessibility-reviewer') {
+      throw new Error('initialize should start a session');
+    }
+
+    const session = { 'mcp-session-id': sessionId, 'mcp-protocol-version': '2025-06-18' };
+    await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, session);
+    const tools = await data(await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, session));
+    if (!tools.result.tools.some(tool => tool.name === 'check_accessibility')) {
+      throw new Error('tools/list over HTTP should list check_accessibility');
+    }
+
+    const withoutSession = await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' });
+    const unknownSession = await post({ jsonrpc: '2.0', id: 4, method: 'tools/list' }, { 'mcp-session-id': 'nope' });
+    const tooLarge = await post({ jsonrpc: '2.0', id: 5, method: 'tools/call', params: { name: 'check_accessibility', arguments: { filePath: 'a.html', content: 'x'.repeat(5000) } } }, session);
+    if (withoutSession.status !== 400 || unknownSession.status !== 404 || tooLarge.status !== 413) {
+      throw new Error(`Expected 400/404/413, got ${withoutSession.status}/${unknownSession.status}/${tooLarge.status}`);
+    }
+
+    if ((await (await fetch(`${url}/health`)).json()).sessions !== 1) {
+      throw new Error('Health should count the open session');
+    }
+    await fetch(`${url}/mcp`, { method: 'DELETE', headers: session });
+    if ((await (await fetch(`${url}/health`)).json()).sessions !== 0) {
+      throw new Error('DELETE should end the session');
+    }
+  } finally {
+    child.kill();
+  }
+});
+
+// Test 48: Every rule documents an example that triggers it and one that does not
+suite.test('Rule examples trigger their rule and the correct version does not', async () => {
+  const extensions = { html: '.html', jsx: '.jsx', css: '.css' };
+  for (const rule of getRules()) {
+    if (!rule.examples || !extensions[rule.examples.language]) {
+      throw new Error(`${rule.id} has no examples`);
+    }
+    const filePath = `example${extensions[rule.examples.language]}`;
+    const incorrect = await analyzeContent(rule.examples.incorrect, filePath);
+    const correct = await analyzeContent(rule.examples.correct, filePath);
+    if (!incorrect.some(v => v.id === rule.id)) {
+      throw new Error(`The incorrect example for ${rule.id} does not trigger it`);
+    }
+    if (correct.some(v => v.id === rule.id)) {
+      throw new Error(`The correct example for ${rule.id} still triggers it`);
+    }
+  }
+});
+
+// Test 49: Rules, WCAG criteria and scan reports are readable as MCP resources
+suite.test('MCP resources describe rules, WCAG criteria and the latest report', async () => {
+  const uris = [...listResources().map(r => r.uri), ...listResourceTemplates().map(r => r.uriTemplate)];
+  ['a11y://rules', 'a11y://rules/{id}', 'a11y://wcag/{criterion}', 'a11y://reports/latest'].forEach(uri => {
+    if (!uris.includes(uri)) throw new Error(`Missing resource ${uri}`);
+  });
+
+  const { rules } = JSON.parse(readResource('a11y://rules').text);
+  if (rules.length !== getRules().length || rules[0].uri !== `a11y://rules/${rules[0].id}`) {
+    throw new Error('a11y://rules should list every rule with its URI');
+  }
+
+  const doc = readResource('a11y://rules/img-missing-alt');
+  if (doc.mimeType !== 'text/markdown' || !doc.text.includes('1.1.1 Non-text Content') || !doc.text.includes('```html')) {
+    throw new Error(`Rule docs should link the criterion and show examples:\n${doc.text}`);
+  }
+
+  const criterion = readResource('a11y://wcag/2.4.7').text;
+  if (!criterion.includes('Focus Visible (Level AA)') || !criterion.includes('outline-none-no-alternative')) {
+    throw new Error(`Criterion docs should list the rules covering it:\n${criterion}`);
+  }
+  if (!readResource('a11y://wcag/1.4.11').text.includes('review it manually')) {
+    throw new Error('Criteria without rules should say they need a manual review');
+  }
+
+  ['a11y://rules/made-up-rule', 'a11y://wcag/9.9.9', 'a11y://nothing'].forEach(uri => {
+    let error = null;
+    try { readResource(uri); } catch (e) { error = e; }
+    if (!error) throw new Error(`Expected ${uri} to be rejected`);
+  });
+
+  const reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-report-'));
+  try {
+    if (JSON.parse(readResource('a11y://reports/latest', { reportDir }).text).artifacts.length !== 0) {
+      throw new Error('An empty directory has no report artifacts');
+    }
+    fs.writeFileSync(path.join(reportDir, 'a11y-results.json'), JSON.stringify({ analyzedFiles: 2, passed: false, summary: { totalViolations: 3, errors: 1, warnings: 2 } }));
+    fs.writeFileSync(path.join(reportDir, 'a11y-results.sarif'), '{}');
+    const report = JSON.parse(readResource('a11y://reports/latest', { reportDir }).text);
+    if (report.artifacts.length !== 2 || !report.artifacts[0].uri.startsWith('file://') ||
+        report.summary.totalViolations !== 3 || report.summary.passed !== false) {
+      throw new Error(`Unexpected report: ${JSON.stringify(report)}`);
+    }
+
+    // run.sh scans land in artifacts/<timestamp>/; the newest one is listed with its summary
+    const past = new Date(Date.now() - 60 * 1000);
+    const scanDir = path.join(reportDir, 'artifacts', '20261019-120000');
+    fs.mkdirSync(path.join(reportDir, 'artifacts', '20261018-120000'), { recursive: true });
+    fs.mkdirSync(path.join(scanDir, 'hr'), { recursive: true });
+    fs.writeFileSync(path.join(scanDir, 'Header.jsx.json'), '{}');
+    fs.writeFileSync(path.join(scanDir, 'a11y-results-20261019-120000.txt'),
+      '===== Accessibility Scan Summary =====\nFiles analyzed: 4\nFiles with violations: 1\nTotal violations found: 5\n');
+    fs.utimesSync(path.join(reportDir, 'artifacts', '20261018-120000'), past, past);
+    fs.utimesSync(path.join(reportDir, 'a11y-results.json'), past, past);
+    const scan = JSON.parse(readResource('a11y://reports/latest', { reportDir }).text);
+    const names = scan.artifacts.map(artifact => artifact.name).sort().join(',');
+    if (scan.scanDir !== scanDir || names !== 'Header.jsx.json,a11y-results-20261019-120000.txt,a11y-results.json,a11y-results.sarif' ||
+        scan.summary.totalViolations !== 5 || scan.summary.analyzedFiles !== 4) {
+      throw new Error(`Expected the newest artifacts/ scan to be listed with its summary, got ${JSON.stringify(scan)}`);
+    }
+  } finally {
+    fs.rmSync(reportDir, { recursive: true, force: true });
+  }
+});
+
+// Test 50: Prompts are pre-filled with the findings for the given file
+suite.test('MCP prompts start from the analyzer findings', async () => {
+  const names = listPrompts().map(prompt => prompt.name);
+  ['review-component', 'explain-violation', 'accessible-form', 'triage-report'].forEach(name => {
+    if (!names.includes(name)) throw new Error(`Missing prompt ${name}`);
+  });
+
+  const options = { config: loadConfig({ cwd: path.join(__dirname, '..') }), baseline: false };
+  const content = '<form>\n  <input type="text" placeholder="Name" />\n  <div onClick={submit}>Send</div>\n  <img src="logo.png" />\n</form>';
+
+  const review = await getPrompt('review-component', { filePath: 'Signup.jsx', content }, options);
+  const reviewText = review.messages[0].content.text;
+  if (!reviewText.includes('`img-missing-alt` at line 4') || !reviewText.includes('```jsx')) {
+    throw new Error(`Review prompt should list the findings and the code:\n${reviewText}`);
+  }
+
+  const explain = await getPrompt('explain-violation', { filePath: 'Signup.jsx', content, violationId: 'div-button' }, options);
+  if (!explain.messages[0].content.text.includes('junior developer') ||
+      explain.messages[1].content.resource.uri !== 'a11y://rules/div-button') {
+    throw new Error('Explain prompt should cover the requested violation and attach its rule doc');
+  }
+
+  const form = (await getPrompt('accessible-form', { filePath: 'Signup.jsx', content }, options)).messages[0].content.text;
+  if (!form.includes('placeholder-as-label') || form.includes('`img-missing-alt`')) {
+    throw new Error('Form prompt should list only the form-related findings');
+  }
+
+  const triage = (await getPrompt('triage-report', { filePaths: 'examples/accessibility-violations.html, examples/sample-violations.css' }, options)).messages[0].content.text;
+  if (!triage.includes('| `html-missing-lang` | error |') || !triage.includes('2 file(s)')) {
+    throw new Error(`Triage prompt should summarize the scan by rule:\n${triage.slice(0, 500)}`);
+  }
+
+  for (const [name, args] of [['no-such-prompt', {}], ['review-component', {}], ['explain-violation', { filePath: 'Signup.jsx', content, violationId: 'duplicate-id' }]]) {
+    let error = null;
+    await getPrompt(name, args, options).catch(e => { error = e; });
+    if (!error) throw new Error(`Expected ${name} with ${JSON.stringify(args)} to be rejected`);
+  }
+
+  // Files are only read from inside the project root
+  const outsideDir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-prompt-'));
+  try {
+    fs.writeFileSync(path.join(outsideDir, 'Secret.jsx'), content);
+    fs.writeFileSync(path.join(outsideDir, 'a11y-results.json'), JSON.stringify({ violations: [] }));
+    for (const [name, args] of [
+      ['review-component', { filePath: path.join(outsideDir, 'Secret.jsx') }],
+      ['triage-report', { filePaths: path.join(outsideDir, 'Secret.jsx') }],
+      ['triage-report', { reportPath: path.join(outsideDir, 'a11y-results.json') }]
+    ]) {
+      const error = await getPrompt(name, args, options).catch(e => e);
+      if (!/outside the project root/.test(error?.message)) {
+        throw new Error(`Expected ${name} with ${JSON.stringify(args)} to be refused as outside the project root`);
+      }
+    }
+  } finally {
+    fs.rmSync(outsideDir, { recursive: true, force: true });
+  }
+});
+
+// Test 51: check_directory walks a folder on the server and pages through the results
+suite.test('check_directory scans a directory with severity filters and pagination', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-dir-'));
+  fs.mkdirSync(path.join(dir, 'components'));
+  fs.mkdirSync(path.join(dir, 'node_modules'));
+  fs.writeFileSync(path.join(dir, 'components', 'Card.jsx'), 'export const Card = () => <img src="card.png" />;\n');
+  fs.writeFileSync(path.join(dir, 'components', 'List.jsx'), 'export const List = () => <div><h1>List</h1><h3>Items</h3></div>;\n');
+  fs.writeFileSync(path.join(dir, 'components', 'notes.txt'), '<img src="x.png">');
+  fs.writeFileSync(path.join(dir, 'node_modules', 'vendor.jsx'), '<img src="vendor.png" />');
+
+  const client = new MCPClient({ serverPath: path.join(__dirname, '..', 'src', 'mcp-server.js'), cwd: dir });
+  try {
+    const all = await client.callTool('check_directory', { path: dir, pageSize: 1 });
+    if (all.summary.filesFound !== 2 || all.summary.filesWithViolations !== 2 || all.totalPages !== 2 || all.nextPage !== 2) {
+      throw new Error(`Expected two analyzable files on two pages: ${JSON.stringify(all.summary)}`);
+    }
+    if (!all.results[0].filePath.endsWith('Card.jsx') || all.results.length !== 1) {
+      throw new Error('Pages should hold pageSize files in path order');
+    }
+
+    const errors = await client.callTool('check_directory', { path: dir, severity: ['error'] });
+    if (errors.results.length !== 1 || errors.results[0].violations.some(v => v.severity !== 'error') ||
+        errors.summary.totalWarnings !== 0 || errors.summary.passed !== false) {
+      throw new Error(`Severity filter should only report errors: ${JSON.stringify(errors.summary)}`);
+    }
+
+    const limited = await client.callTool('check_directory', { path: dir, maxFiles: 1 });
+    if (!limited.summary.truncated || limited.summary.filesChecked !== 1) {
+      throw new Error('maxFiles should limit the files analyzed');
+    }
+
+    let missing = null;
+    await client.callTool('check_directory', { path: path.join(dir, 'nope') }).catch(error => { missing = error; });
+    if (!missing || !/No such file/.test(missing.message)) {
+      throw new Error('A missing path should be reported');
+    }
+
+    const outside = [path.dirname(dir), '..', `${path.join(dir, '..')}/**/*.jsx`];
+    for (const target of outside) {
+      let refused = null;
+      await client.callTool('check_directory', { path: target }).catch(error => { refused = error; });
+      if (!refused || !/outside the project root/.test(refused.message)) {
+        throw new Error(`Expected ${target} to be refused as outside the project root`);
+      }
+    }
+  } finally {
+    await client.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Test 52: Batch runs report progress and return partial results when cancelled
+suite.test('Batch check reports progress and stops on cancellation', async () => {
+  const content = fs.readFileSync(path.join(__dirname, '..', 'examples', 'AccessibilityViolations.jsx'), 'utf8');
+  const files = Array.from({ length: 100 }, (_, index) => ({ path: `Component${index}.jsx`, content }));
+  const client = new MCPClient({ serverPath: path.join(__dirname, '..', 'src', 'mcp-server.js') });
+  try {
+    const updates = [];
+    const complete = await client.callTool('check_accessibility_batch', { files: files.slice(0, 3) }, {
+      onProgress: update => updates.push(update)
+    });
+    // Files run in parallel on multi-core machines, so only the first and last updates are fixed
+    const increasing = updates.every((update, index) => index === 0 || update.progress > updates[index - 1].progress);
+    const last = updates[updates.length - 1];
+    if (complete.partial || !increasing || updates[0].progress !== 0 || updates[0].message !== 'Checking Component0.jsx' ||
+        last.progress !== 3 || last.total !== 3 || last.message !== 'Checked 3 file(s)') {
+      throw new Error(`Unexpected progress: ${JSON.stringify(updates)}`);
+    }
+
+    const controller = new AbortController();
+    const partial = await client.callTool('check_accessibility_batch', { files }, {
+      signal: controller.signal,
+      onProgress: ({ progress }) => { if (progress === 2) controller.abort(); }
+    });
+    if (!partial.partial || !partial.cancelled || partial.results.length >= files.length ||
+        partial.filesRemaining !== files.length - partial.results.length || partial.summary.filesChecked !== partial.results.length) {
+      throw new Error(`Expected partial results after cancelling: ${JSON.stringify({ ...partial, results: partial.results.length })}`);
+    }
+
+    // A protocol-level cancellation stops the run too, but gets no response
+    const requestId = client.nextId;
+    let unanswered = null;
+    const cancelled = client.request('tools/call', { name: 'check_accessibility_batch', arguments: { files } }, { timeout: 2000 })
+      .catch(error => { unanswered = error; });
+    client.notify('notifications/cancelled', { requestId, reason: 'test' });
+    await cancelled;
+    if (!unanswered || !/timed out/.test(unanswered.message)) {
+      throw new Error('Expected no response to a cancelled request');
+    }
+
+    // The session keeps working after a cancelled request
+    if ((await client.listTools()).length === 0) {
+      throw new Error('Expected the server to keep serving requests');
+    }
+  } finally {
+    await client.close();
+  }
+});
+
+// Test 53: The worker pool gives the same findings as analyzing in-process, in input order
+suite.test('Worker pool analyzes files on worker threads in input order', async () => {
+  const config = loadConfig({ cwd: os.tmpdir() });
+  const examples = ['accessibility-violations.html', 'AccessibilityViolations.jsx', 'accessibility-violations.scss']
+    .map(name => path.join(__dirname, '..', 'examples', name));
+  const pool = createWorkerPool({ size: 2 });
+  try {
+    const { results, cancelled } = await pool.map(examples, filePath => pool.analyze({ filePath, config }));
+    if (cancelled || results.length !== examples.length) {
+      throw new Error(`Expected ${examples.length} results, got ${results.length}`);
+    }
+    for (const [index, filePath] of examples.entries()) {
+      const expected = await analyzeFileReport(fs.readFileSync(filePath, 'utf8'), filePath, { config, baseline: false });
+      const summarize = violations => violations.map(v => `${v.id}@${v.line}:${v.column}`).join();
+      if (results[index].filePath !== filePath || summarize(results[index].violations) !== summarize(expected.violations)) {
+        throw new Error(`Worker results differ from in-process analysis for ${path.basename(filePath)}`);
+      }
+      const fixes = violations => JSON.stringify(violations.map(v => v.fix || null));
+      if (fixes(results[index].violations) !== fixes(expected.violations)) {
+        throw new Error('Expected fixes to survive the copy from the worker');
+      }
+      if ('content' in results[index] || results[index].lineCount !== fs.readFileSync(filePath, 'utf8').split('\n').length) {
+        throw new Error('Expected workers to return the line count without copying the content back');
+      }
+    }
+
+    const withContent = await pool.analyze({ filePath: examples[0], config, includeContent: true });
+    if (withContent.content !== fs.readFileSync(examples[0], 'utf8')) {
+      throw new Error('Expected includeContent to return the analyzed content');
+    }
+
+    let failed = null;
+    await pool.analyze({ filePath: 'missing.html', config }).catch(error => { failed = error; });
+    if (!failed || !/File not found/.test(failed.message)) {
+      throw new Error('Expected a missing file to reject with File not found');
+    }
+
+    const controller = new AbortController();
+    controller.abort();
+    const aborted = await pool.map(examples, filePath => pool.analyze({ filePath, config }), { signal: controller.signal });
+    if (!aborted.cancelled || aborted.results.length !== 0) {
+      throw new Error('Expected an aborted run to start no files');
+    }
+  } finally {
+    await pool.close();
+  }
+});
+
+// Test 54: scan-parallel.js writes both reports from one analysis, matching the single-file CLI
+suite.test('scan-parallel.js writes JSON and text reports that match the CLI', () => {
+  const artifactDir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-parallel-'));
+  const filePath = path.join('examples', 'AccessibilityViolations.jsx');
+  const run = (script, args) => spawnSync(process.execPath, [path.join(__dirname, '..', script), ...args], {
+    cwd: path.join(__dirname, '..'),
+    encoding: 'utf8'
+  });
+  try {
+    const scan = run('scripts/scan-parallel.js', ['2', artifactDir, filePath, 'examples/missing.html']);
+    if (scan.status !== 3) {
+      throw new Error(`Expected exit code 3 with a missing file, got ${scan.status}: ${scan.stderr}`);
+    }
+
+    const withoutTimestamp = text => text.replace(/"analyzedAt": "[^"]*"/, '');
+    const json = fs.readFileSync(path.join(artifactDir, 'AccessibilityViolations.jsx.json'), 'utf8');
+    const text = fs.readFileSync(path.join(artifactDir, 'hr', 'AccessibilityViolations.jsx.txt'), 'utf8');
+    if (withoutTimestamp(json) !== withoutTimestamp(run('cli-scanner.js', [filePath, '--json']).stdout)) {
+      throw new Error('JSON report differs from cli-scanner.js --json');
+    }
+    if (text !== run('cli-scanner.js', [filePath]).stdout) {
+      throw new Error('Text report differs from cli-scanner.js');
+    }
+    if (!fs.readFileSync(path.join(artifactDir, 'hr', 'missing.html.txt'), 'utf8').includes('File not found')) {
+      throw new Error('Expected the missing file to be reported in its text report');
+    }
+  } finally {
+    fs.rmSync(artifactDir, { recursive: true, force: true });
+  }
+});
+
+// Test 55: Unchanged content is served from .a11y/cache; config is applied after the cache; no config, no cache
+suite.test('Caches findings by content hash and applies config to cached results', async () => {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-cache-'));
+  const looseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-loose-'));
+  try {
+    fs.mkdirSync(path.join(projectDir, '.a11y'));
+    const configPath = path.join(projectDir, '.a11y', 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({}));
+    const filePath = path.join(projectDir, 'Logo.jsx');
+    const content = 'export const Logo = () => <img src="logo.png" />;';
+    const config = loadConfig({ cwd: projectDir });
+
+    const first = await analyzeFileReport(content, filePath, { config, baseline: false });
+    const second = await analyzeFileReport(content, filePath, { config, baseline: false });
+    if (first.cached || !second.cached || JSON.stringify(first.violations) !== JSON.stringify(second.violations)) {
+      throw new Error(`Expected a miss and then an identical hit, got cached=${first.cached},${second.cached}`);
+    }
+    const edited = await analyzeFileReport(content.replace('logo.png', 'brand.png'), filePath, { config, baseline: false });
+    const uncached = await analyzeFileReport(content, filePath, { config, baseline: false, cache: false });
+    if (edited.cached || uncached.cached) {
+      throw new Error('Expected changed content and cache: false to analyze again');
+    }
+
+    // Rule settings still apply to cached findings
+    fs.writeFileSync(configPath, JSON.stringify({ rules: { 'img-missing-alt': 'off' } }));
+    const quiet = await analyzeFileReport(content, filePath, { config: loadConfig({ cwd: projectDir }), baseline: false });
+    if (!quiet.cached || quiet.violations.some(v => v.id === 'img-missing-alt')) {
+      throw new Error('Expected the cached findings to be filtered by the new config');
+    }
+
+    fs.writeFileSync(path.join(cacheDir(config), 'old.json'), JSON.stringify({ version: 'older-rules', violations: [] }));
+    const stats = getCacheStats(config);
+    if (stats.entries !== 3 || stats.current !== 2 || stats.stale !== 1 || stats.bytes === 0) {
+      throw new Error(`Unexpected cache stats: ${JSON.stringify(stats)}`);
+    }
+
+    const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'cli-scanner.js'), '--clear-cache'], {
+      cwd: projectDir,
+      encoding: 'utf8'
+    });
+    if (cli.status !== 0 || !cli.stdout.includes('Removed 3 cached result(s)') || getCacheStats(config).entries !== 0) {
+      throw new Error(`Expected --clear-cache to empty the cache: ${cli.stdout}${cli.stderr}`);
+    }
+    if (clearCache(config).removed !== 0) {
+      throw new Error('Expected clearing an empty cache to remove nothing');
+    }
+
+    // Without a config file there is no project to hold a cache
+    const looseConfig = loadConfig({ cwd: looseDir });
+    await analyzeFileReport(content, path.join(looseDir, 'Logo.jsx'), { config: looseConfig, baseline: false });
+    const again = await analyzeFileReport(content, path.join(looseDir, 'Logo.jsx'), { config: looseConfig, baseline: false });
+    if (again.cached || fs.existsSync(path.join(looseDir, '.a11y'))) {
+      throw new Error('Expected no cache to be written outside a project with .a11y/config.json');
+    }
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+    fs.rmSync(looseDir, { recursive: true, force: true });
+  }
+});
+
+// Test 56: Every violation carries a start and end range that points at its code
+suite.test('Violations report accurate start and end positions', async () => {
+  const config = loadConfig({ cwd: os.tmpdir() });
+  const examplesDir = path.join(__dirname, '..', 'examples');
+  for (const name of fs.readdirSync(examplesDir)) {
+    const content = fs.readFileSync(path.join(examplesDir, name), 'utf8');
+    const lines = content.split('\n');
+    const offsetOf = (line, column) => lines.slice(0, line - 1).reduce((sum, text) => sum + text.length + 1, 0) + column - 1;
+    const violations = await analyzeFileHybrid(content, name, { config, baseline: false, cache: false });
+    violations.forEach(v => {
+      const range = content.substring(offsetOf(v.line, v.column), offsetOf(v.endLine, v.endColumn));
+      // Some rules shorten `code` (long declarations, the first of several state updates)
+      if (v.code && !range.startsWith(v.code)) {
+        throw new Error(`${name}: ${v.id} at ${v.line}:${v.column}-${v.endLine}:${v.endColumn} does not cover ${JSON.stringify(v.code)}`);
+      }
+    });
+  }
+
+  const multiLine = 'export const Logo = () => (\n  <img\n    src="logo.png"\n  />\n);';
+  const [img] = await analyzeFileHybrid(multiLine, 'Logo.jsx', { config, baseline: false, cache: false });
+  if (img.id !== 'img-missing-alt' || img.line !== 2 || img.column !== 3 || img.endLine !== 4 || img.endColumn !== 5) {
+    throw new Error(`Unexpected range: ${JSON.stringify(img)}`);
+  }
+
+  const { region } = createSarifLog([{ filePath: 'Logo.jsx', violations: [img] }]).runs[0].results[0].locations[0].physicalLocation;
+  if (region.startLine !== 2 || region.endLine !== 4 || region.endColumn !== 5) {
+    throw new Error(`SARIF region should carry the end position: ${JSON.stringify(region)}`);
+  }
+
+  const results = { analyzedFiles: 1, violations: [{ ...img, file: 'Logo.jsx' }], summary: { totalViolations: 1, errors: 1, warnings: 0 } };
+  const [comment] = buildReview(results, new Map([['Logo.jsx', new Set([2, 3, 4])]])).comments;
+  if (comment.start_line !== 2 || comment.line !== 4 || comment.start_side !== 'RIGHT') {
+    throw new Error(`Expected a comment on lines 2-4, got ${JSON.stringify(comment)}`);
+  }
+  const [partial] = buildReview(results, new Map([['Logo.jsx', new Set([2])]])).comments;
+  if (partial.start_line !== undefined || partial.line !== 2) {
+    throw new Error('A range partly outside the diff should fall back to a single-line comment');
+  }
+});
+
+// Test 57: The shared line-start table agrees with counting lines up to each offset
+suite.test('Position index matches a rescan at every offset', async () => {
+  const content = fs.readFileSync(path.join(__dirname, '..', 'examples', 'accessibility-violations.html'), 'utf8') + '\n\n<p>end</p>';
+  const index = createPositionIndex(content);
+  if (index.lineCount !== content.split('\n').length) {
+    throw new Error(`Expected ${content.split('\n').length} lines, got ${index.lineCount}`);
+  }
+  for (let offset = 0; offset <= content.length; offset++) {
+    const before = content.substring(0, offset).split('\n');
+    const { line, column } = index.positionAt(offset);
+    if (line !== before.length || column !== before[before.length - 1].length + 1) {
+      throw new Error(`Offset ${offset}: expected ${before.length}:${before[before.length - 1].length + 1}, got ${line}:${column}`);
+    }
+    if (index.offsetAt(line, column) !== offset) {
+      throw new Error(`offsetAt(${line}, ${column}) should return ${offset}`);
+    }
+  }
+
+  if (getPositionIndex(content) !== getPositionIndex(content)) {
+    throw new Error('Analyzers looking at the same content should share one index');
+  }
+
+  const colors = extractColorValues('.a {\n  color: #333;\n}\n\n.b { background: rgb(0, 0, 0); }');
+  if (colors.map(c => c.line).join(',') !== '2,5') {
+    throw new Error(`Unexpected color lines: ${JSON.stringify(colors)}`);
+  }
+});
+
+// Test 58: Vue single-file components
+suite.test('Vue components are analyzed block by block at their original lines', async () => {
+  const config = loadConfig({ cwd: os.tmpdir() });
+  const content = [
+    '<template>',                                                  // 1
+    '  <div>',                                                     // 2
+    '    <template v-if="ready"><img :src="photo"></template>',    // 3
+    '    <img :alt="\'Company logo\'" src="logo.png">',             // 4
+    '    <img v-bind="imageProps">',                               // 5
+    '    <div @click.stop="save">Save</div>',                      // 6
+    '    <span role="button" tabindex="0" v-on:click="toggle" v-on:keydown.enter="toggle">Menu</span>', // 7
+    '    <button :aria-label="label" @click="close"></button>',    // 8
+    '    <button v-text="caption"></button>',                      // 9
+    '  </div>',                                                    // 10
+    '</template>',                                                 // 11
+    '<script lang="ts">',                                          // 12
+    'const count: number = 1;',                                    // 13
+    'document.body.innerHTML = \'<iframe src="x.html"></iframe>\';', // 14
+    '</script>',                                                   // 15
+    '<style lang="scss">',                                         // 16
+    '.save:focus { outline: none; }',                              // 17
+    '</style>'                                                     // 18
+  ].join('\n');
+
+  const blocks = splitComponent(content);
+  if (blocks.map(b => `${b.type}:${b.lang}`).join(',') !== 'template:,script:ts,style:scss') {
+    throw new Error(`Unexpected blocks: ${JSON.stringify(blocks)}`);
+  }
+  if (!content.substring(blocks[0].start, blocks[0].end).trim().endsWith('</div>')) {
+    throw new Error('The template block should end at its own </template>, not a nested one');
+  }
+
+  const violations = await analyzeFileHybrid(content, 'Widget.vue', { config, baseline: false, cache: false });
+  const found = violations.map(v => `${v.id}@${v.line}`).sort().join(', ');
+  const expected = ['div-button@6', 'iframe-missing-title@14', 'img-missing-alt@3', 'outline-none-no-alternative@17'].join(', ');
+  if (found !== expected) {
+    throw new Error(`Expected ${expected}, got ${found}`);
+  }
+
+  const img = violations.find(v => v.id === 'img-missing-alt');
+  if (img.column !== 28 || img.code !== '<img :src="photo">') {
+    throw new Error(`Template positions should point into the .vue file: ${JSON.stringify(img)}`);
+  }
+});
+
+// Test 59: Svelte and Astro components
+suite.test('Svelte and Astro components run the markup, script and style rules', async () => {
+  const config = loadConfig({ cwd: os.tmpdir() });
+  const svelte = [
+    '<script lang="ts">',                                            // 1
+    '  export let alt: string;',                                     // 2
+    '</script>',                                                     // 3
+    '<img {alt} src="a.png">',                                       // 4
+    '<img {...$$restProps}>',                                        // 5
+    '<span role="button" on:click|once={toggle}>Menu</span>',        // 6
+    '<!-- svelte-ignore a11y_missing_attribute -->',                 // 7
+    '<img src="b.png">',                                             // 8
+    '<!-- svelte-ignore a11y-autofocus -->',                         // 9
+    '<img src="c.png">',                                             // 10
+    '<label for="q">Search</label><input id="q" bind:value={query}>', // 11
+    '<style>.menu:focus { outline: none; }</style>'                  // 12
+  ].join('\n');
+
+  const report = await analyzeFileReport(svelte, 'Menu.svelte', { config, baseline: false, cache: false });
+  const found = report.violations.map(v => `${v.id}@${v.line}`).sort().join(', ');
+  const expected = ['custom-interactive-missing-keyboard@6', 'img-missing-alt@10', 'missing-keyboard-handler@6', 'outline-none-no-alternative@12'].join(', ');
+  if (found !== expected) {
+    throw new Error(`Expected ${expected}, got ${found}`);
+  }
+  if (report.suppressed.length !== 1 || report.suppressed[0].line !== 8 || report.suppressed[0].suppression.type !== 'svelte-ignore') {
+    throw new Error('svelte-ignore a11y_missing_attribute should silence img-missing-alt on the next line');
+  }
+
+  const keyboard = report.violations.find(v => v.id === 'custom-interactive-missing-keyboard');
+  if (!keyboard.fix.edits[0].text.includes('on:keydown={(event) =>')) {
+    throw new Error(`Keyboard fix should use Svelte syntax: ${keyboard.fix.edits[0].text}`);
+  }
+
+  const astro = [
+    '---',                                                            // 1
+    "const title: string = 'Home';",                                   // 2
+    "document.body.innerHTML = '<iframe src=\"x.html\"></iframe>';", // 3
+    '---',                                                            // 4
+    '<h1>{title}</h1>',                                               // 5
+    '<img src="/hero.png" alt={title}>',                              // 6
+    '<div onclick="go()">Go</div>',                                   // 7
+    '<button set:html={icon}></button>',                              // 8
+    '<style lang="scss">$c: red; a:focus { outline: 0; }</style>'     // 9
+  ].join('\n');
+  const astroFound = (await analyzeFileHybrid(astro, 'index.astro', { config, baseline: false, cache: false }))
+    .map(v => `${v.id}@${v.line}`).sort().join(', ');
+  const astroExpected = ['div-button@7', 'iframe-missing-title@3', 'outline-none-no-alternative@9'].join(', ');
+  if (astroFound !== astroExpected) {
+    throw new Error(`Expected ${astroExpected}, got ${astroFound}`);
+  }
+});
+
+// Test 60: Angular component templates and inline templates
+suite.test('Angular templates are fragments with binding syntax', async () => {
+  const config = loadConfig({ cwd: os.tmpdir() });
+  const template = [
+    '<div (click)="select()">Pick</div>',                             // 1
+    '<img [src]="avatar">',                                           // 2
+    '<img [src]="avatar" [alt]="name">',                              // 3
+    '<img src="logo.png" alt="{{ company }}">',                       // 4
+    '<button [attr.aria-label]="label" (click)="close()"></button>',  // 5
+    '<span role="button" tabindex="0" on-click="go()" (keydown.enter)="go()">Go</span>', // 6
+    '<label for="q">Search</label><input id="q" [(ngModel)]="query">', // 7
+    '<h2>Orders</h2>'                                                 // 8
+  ].join('\n');
+
+  const found = (await analyzeFileHybrid(template, 'src/app/user.component.html', { config, baseline: false, cache: false }))
+    .map(v => `${v.id}@${v.line}`).sort().join(', ');
+  if (found !== 'div-button@1, img-missing-alt@2') {
+    throw new Error(`Unexpected Angular template findings: ${found}`);
+  }
+
+  // The same markup in a plain .html page is still a document
+  const page = (await analyzeFileHybrid(template, 'index.html', { config, baseline: false, cache: false })).map(v => v.id);
+  if (!page.includes('html-missing-lang') || !page.includes('html-missing-title') || !page.includes('missing-h1')) {
+    throw new Error('Plain .html files should still be checked as pages');
+  }
+
+  const component = [
+    "import { Component } from '@angular/core';",
+    '@Component({',
+    "  selector: 'app-user',",
+    '  template: `',
+    '    <img [src]="avatar">',
+    '    <span role="button" (click)="go()">Go</span>',
+    '  `',
+    '})',
+    'export class UserComponent {}'
+  ].join('\n');
+  const inline = await analyzeFileHybrid(component, 'user.component.ts', { config, baseline: false, cache: false });
+  const inlineFound = inline.map(v => `${v.id}@${v.line}`).sort().join(', ');
+  if (inlineFound !== 'custom-interactive-missing-keyboard@6, img-missing-alt@5, missing-keyboard-handler@6') {
+    throw new Error(`Unexpected inline template findings: ${inlineFound}`);
+  }
+  if (!inline.find(v => v.id === 'missing-keyboard-handler').fix.edits[0].text.includes('(keydown.enter)=')) {
+    throw new Error('Keyboard fix should use Angular event binding syntax');
+  }
+});
+
+// Test 61: Tools only read and write files inside the project root
+suite.test('Tools refuse files outside the project root and apply_fix never writes over other content', async () => {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-project-'));
+  const outsideDir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-outside-'));
+  const client = new MCPClient({ serverPath: path.join(__dirname, '..', 'src', 'mcp-server.js'), cwd: projectDir });
+  try {
+    fs.mkdirSync(path.join(projectDir, '.a11y'));
+    fs.writeFileSync(path.join(projectDir, '.a11y', 'config.json'), JSON.stringify({}));
+    const content = 'export const Logo = () => <img src="logo.png" />;\n';
+    const inside = path.join(projectDir, 'Logo.jsx');
+    const outside = path.join(outsideDir, 'Logo.jsx');
+    fs.writeFileSync(inside, content);
+    fs.writeFileSync(outside, content);
+
+    const refused = async args => {
+      let error = null;
+      await client.callTool('apply_fix', { write: true, ...args }).catch(e => { error = e; });
+      return error;
+    };
+    const outsideError = await refused({ filePath: outside });
+    const relativeError = await refused({ filePath: path.join('..', path.basename(outsideDir), 'Logo.jsx') });
+    if (!/outside the project root/.test(outsideError?.message) || !/outside the project root/.test(relativeError?.message)) {
+      throw new Error('Expected absolute and ../ paths outside the root to be refused');
+    }
+    if (fs.readFileSync(outside, 'utf8') !== content) {
+      throw new Error('A file outside the root was rewritten');
+    }
+
+    // Reading a file outside the root is refused too; supplied content is still checked
+    const readErrors = await Promise.all([
+      client.callTool('check_accessibility', { filePath: outside }).catch(e => e),
+      client.callTool('suggest_fix', { violationId: 'img-missing-alt', code: '<img src="logo.png" />', filePath: outside }).catch(e => e)
+    ]);
+    if (readErrors.some(error => !/outside the project root/.test(error?.message))) {
+      throw new Error(`Expected check_accessibility and suggest_fix to refuse ${outside}`);
+    }
+    const supplied = await client.callTool('check_accessibility', { filePath: outside, content });
+    if (!supplied.violations.some(v => v.id === 'img-missing-alt')) {
+      throw new Error('Supplied content should be checked whatever its path');
+    }
+
+    const mismatch = await refused({ filePath: inside, content: '<img src="other.png">' });
+    const created = await refused({ filePath: path.join(projectDir, 'New.jsx'), content });
+    if (!/does not match/.test(mismatch?.message) || !/does not match/.test(created?.message) ||
+        fs.existsSync(path.join(projectDir, 'New.jsx')) || fs.readFileSync(inside, 'utf8') !== content) {
+      throw new Error('Supplied content should only be written over the file it came from');
+    }
+
+    const fixed = await client.callTool('apply_fix', { filePath: inside, content, write: true });
+    if (!fixed.written || !fs.readFileSync(inside, 'utf8').includes('alt=""')) {
+      throw new Error('Expected a file inside the root to be fixed in place');
+    }
+  } finally {
+    await client.close();
+    fs.rmSync(projectDir, { recursive: true, force: true });
+    fs.rmSync(outsideDir, { recursive: true, force: true });
+  }
+});
+
+// Test 62: The HTTP transport rejects foreign Hosts and Origins, checks the token and expires idle sessions
+suite.test('HTTP transport guards against DNS rebinding, checks the token and expires idle sessions', async () => {
+  const server = await startHttpServer({
+    port: 0,
+    authToken: 'secret',
+    sessionTtl: 0.2,
+    createServer: () => new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } })
+  });
+  try {
+    const { port } = server.httpServer.address();
+    const request = (headers, body) => new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port, path: '/mcp', method: 'POST', headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        Authorization: 'Bearer secret',
+        ...headers
+      } }, res => {
+        res.resume();
+        res.on('end', () => resolve(res));
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify(body));
+    });
+    const initialize = {
+      jsonrpc: '2.0', id: 1, method: 'initialize',
+      params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+    };
+
+    const rebound = await request({ Host: `attacker.example:${port}` }, initialize);
+    const foreignOrigin = await request({ Origin: 'http://attacker.example' }, initialize);
+    const noToken = await request({ Authorization: '' }, initialize);
+    const wrongToken = await request({ Authorization: 'Bearer nope' }, initialize);
+    if (rebound.statusCode !== 403 || foreignOrigin.statusCode !== 403 || noToken.statusCode !== 401 || wrongToken.statusCode !== 401) {
+      throw new Error(`Expected 403/403/401/401, got ${rebound.statusCode}/${foreignOrigin.statusCode}/${noToken.statusCode}/${wrongToken.statusCode}`);
+    }
+    if (server.sessions.size !== 0) {
+      throw new Error('Rejected requests should not start sessions');
+    }
+
+    const accepted = await request({ Host: `localhost:${port}`, Origin: `http://localhost:${port}` }, initialize);
+    if (accepted.statusCode !== 200 || server.sessions.size !== 1) {
+      throw new Error(`Expected a local client with the token to start a session, got ${accepted.statusCode}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 600));
+    if (server.sessions.size !== 0) {
+      throw new Error('Expected the idle session to be closed after the session TTL');
+    }
+  } finally {
+    await server.close();
+  }
+
+  // Other interfaces are only served with a token
+  const exposed = await startHttpServer({ host: '0.0.0.0', port: 0, createServer: () => null }).catch(error => error);
+  if (!/without an auth token/.test(exposed?.message)) {
+    if (exposed?.close) await exposed.close();
+    throw new Error('Expected binding 0.0.0.0 without an auth token to be refused');
+  }
+});
+
+// Test 63: In SCSS, // inside url() and other parentheses is not a line comment
+suite.test('SCSS keeps protocol-relative url(//...) values intact', async () => {
+  const content = [
+    '.a { background: url(//cdn.example.com/bg.png) no-repeat; } // trailing comment',
+    '.b:focus { outline: none; }'
+  ].join('\n');
+  const summarize = violations => violations.map(v => `${v.id}@${v.line}`).sort().join(', ');
+  const css = summarize(await analyzeContent(content.replace(' // trailing comment', ''), 'styles.css'));
+  const scss = summarize(await analyzeContent(content, 'styles.scss'));
+  if (scss !== 'outline-none-no-alternative@2' || scss !== css) {
+    throw new Error(`Expected the SCSS findings to match CSS (${css}), got ${scss}`);
+  }
+});
+
+// Test 64: Strings inside ${...} substitutions are not markup; nested html`` templates are
+suite.test('Template fragments skip strings in substitutions but keep nested templates', async () => {
+  const content = [
+    "el.innerHTML = `<div title=\"${title}\">${'<img src=z>'}</div>`;",
+    'const list = html`<ul>${items.map(item => html`<li><img src=${item.src}></li>`)}</ul>`;'
+  ].join('\n');
+  const found = (await analyzeFileHybrid(content, 'render.js', { cache: false }))
+    .map(v => `${v.id}@${v.line}:${v.column}`).join(', ');
+  if (found !== 'img-missing-alt@2:52') {
+    throw new Error(`Expected only the nested template's <img>, got ${found}`);
+  }
+});
+
+// Test 65: Suppression comments are read in the file's own syntax, so `//` in a URL or string is not one
+suite.test('Finds suppression comments with the parser for the file language', async () => {
+  const html = [
+    '<!DOCTYPE html><html lang="en"><head><title>Docs</title></head><body><h1>Docs</h1>',
+    '<a href="https://example.com/">Docs</a> <!-- a11y-disable-next-line img-missing-alt -- decorative -->',
+    '<img src="rule.png">',
+    '</body></html>'
+  ].join('\n');
+  const htmlReport = await analyzeFileReport(html, 'docs.html', { baseline: false, cache: false });
+  if (htmlReport.violations.some(v => v.id === 'img-missing-alt') || htmlReport.suppressed.length !== 1 ||
+      htmlReport.unusedSuppressions.length !== 0) {
+    throw new Error(`The comment after the link should suppress the <img>, got ${JSON.stringify(htmlReport)}`);
+  }
+
+  const jsx = [
+    "const help = 'see // a11y-disable-next-line img-missing-alt';",
+    'export const Logo = () => <img src="logo.png" />;'
+  ].join('\n');
+  const jsxReport = await analyzeFileReport(jsx, 'Logo.jsx', { baseline: false, cache: false });
+  if (!jsxReport.violations.some(v => v.id === 'img-missing-alt') || jsxReport.suppressed.length !== 0) {
+    throw new Error('Text inside a string should not suppress anything');
+  }
+});
+
 // Run the test suite
 suite.run().then(success => {
   process.exit(success ? 0 : 1);